@@ -0,0 +1,242 @@
+'use strict';
+
+const MicroServiceCallError = require('./microservice-call-error');
+
+const DEFAULT_OPTIONS = {
+	maxConcurrent: 10,
+	maxGlobalConcurrent: null,
+	maxQueue: 100
+};
+
+let activeRequests = new Map();
+let globalActiveRequests = 0;
+let queue = [];
+
+/**
+ * Bulkhead options
+ * @typedef {Object} BulkheadOptions
+ * @property {number} [maxConcurrent=10] The max amount of requests in progress at the same time for each service
+ * @property {number|null} [maxGlobalConcurrent=null] The max amount of requests in progress at the same time for every service. null for no limit
+ * @property {number} [maxQueue=100] The max amount of requests waiting for each service
+ */
+
+/**
+ * State of the requests of a service
+ * @typedef {Object} BulkheadState
+ * @property {number} active The amount of requests in progress
+ * @property {number} queued The amount of requests waiting
+ */
+
+/**
+ * Request waiting for a free slot
+ * @typedef {Object} QueuedRequest
+ * @property {string} key The key of the service
+ * @property {BulkheadOptions} options The bulkhead options of the request
+ * @property {function(): void} start Takes the slot and resolves the request
+ * @property {function(MicroServiceCallError): void} cancel Rejects the request
+ * @property {function(): void} cleanup Clears the timeout and the abort listener of the request
+ */
+
+/**
+ * @class Bulkhead
+ * @classdesc Limits the requests in progress at the same time in the container, by service and globally.
+ * The requests that exceed the limits wait in a FIFO queue until a slot is released.
+ */
+module.exports = class Bulkhead {
+
+	/**
+	 * @returns {BulkheadOptions}
+	 */
+	static get defaultOptions() {
+		return DEFAULT_OPTIONS;
+	}
+
+	/**
+	 * Take a slot for a request of a service, waiting in the queue when the limits are reached
+	 *
+	 * @param {string} key The key of the service
+	 * @param {BulkheadOptions} options The bulkhead options
+	 * @param {Object} [waitOptions]
+	 * @param {number} [waitOptions.timeout] The max time (in milliseconds) to wait in the queue. 0 means no timeout
+	 * @param {AbortSignal} [waitOptions.signal] A signal to stop waiting
+	 * @throws {MicroServiceCallError} When the queue is full, the timeout passes or the signal is aborted
+	 * @returns {Promise<function(): void>} Resolves a function to release the slot
+	 */
+	static acquire(key, options, { timeout, signal } = {}) {
+
+		// the requests of a service, and the requests limited by the global limit, are started in order of arrival
+		if(!queue.some(queuedRequest => queuedRequest.key === key || this.waitsForGlobalSlot(queuedRequest, options))
+			&& this.hasFreeSlot(key, options))
+			return Promise.resolve(this.take(key));
+
+		if(queue.filter(queuedRequest => queuedRequest.key === key).length >= options.maxQueue)
+			return Promise.reject(new MicroServiceCallError(`Bulkhead queue full for ${key}`, MicroServiceCallError.codes.BULKHEAD_FULL));
+
+		return new Promise((resolve, reject) => {
+
+			let timer;
+			let onAbort;
+
+			const queuedRequest = {
+				key,
+				options,
+				start: () => resolve(this.take(key)),
+				cancel: reject,
+				cleanup: () => {
+					clearTimeout(timer);
+					if(signal)
+						signal.removeEventListener('abort', onAbort);
+				}
+			};
+
+			const leaveQueue = error => {
+				queue = queue.filter(request => request !== queuedRequest);
+				queuedRequest.cleanup();
+				reject(error);
+			};
+
+			onAbort = () => leaveQueue(new MicroServiceCallError('Request aborted', MicroServiceCallError.codes.ABORTED));
+
+			if(timeout) {
+				timer = setTimeout(() => leaveQueue(new MicroServiceCallError(
+					`Request timed out after ${timeout}ms waiting for a free slot for ${key}`,
+					MicroServiceCallError.codes.TIMEOUT
+				)), timeout);
+			}
+
+			if(signal)
+				signal.addEventListener('abort', onAbort);
+
+			queue.push(queuedRequest);
+		});
+	}
+
+	/**
+	 * Get the state of the requests of a service, or of every service when no key is received
+	 *
+	 * @param {string} [key] The key of the service
+	 * @returns {BulkheadState|Object<string, BulkheadState>}
+	 */
+	static inspect(key) {
+
+		const getState = serviceKey => ({
+			active: activeRequests.get(serviceKey) || 0,
+			queued: queue.filter(queuedRequest => queuedRequest.key === serviceKey).length
+		});
+
+		if(typeof key !== 'undefined')
+			return getState(key);
+
+		const keys = new Set([...activeRequests.keys(), ...queue.map(queuedRequest => queuedRequest.key)]);
+
+		return [...keys].reduce((states, serviceKey) => ({
+			...states,
+			[serviceKey]: getState(serviceKey)
+		}), {});
+	}
+
+	/**
+	 * Forget every request in progress and reject the waiting ones
+	 */
+	static reset() {
+
+		const queuedRequests = queue;
+
+		activeRequests = new Map();
+		globalActiveRequests = 0;
+		queue = [];
+
+		queuedRequests.forEach(queuedRequest => {
+			queuedRequest.cleanup();
+			queuedRequest.cancel(new MicroServiceCallError(`Bulkhead reset while waiting for a free slot for ${queuedRequest.key}`,
+				MicroServiceCallError.codes.BULKHEAD_FULL));
+		});
+	}
+
+	/**
+	 * @private
+	 * @returns {boolean}
+	 */
+	static hasFreeSlot(key, { maxConcurrent, maxGlobalConcurrent }) {
+		return (activeRequests.get(key) || 0) < maxConcurrent
+			&& (!maxGlobalConcurrent || globalActiveRequests < maxGlobalConcurrent);
+	}
+
+	/**
+	 * Indicates if a queued request only waits for a global slot, so it goes before the later requests limited by the global limit
+	 *
+	 * @private
+	 * @param {QueuedRequest} queuedRequest The waiting request
+	 * @param {BulkheadOptions} options The bulkhead options of the later request
+	 * @returns {boolean}
+	 */
+	static waitsForGlobalSlot({ key, options: queuedOptions }, { maxGlobalConcurrent }) {
+		return !!maxGlobalConcurrent
+			&& !!queuedOptions.maxGlobalConcurrent
+			&& (activeRequests.get(key) || 0) < queuedOptions.maxConcurrent
+			&& globalActiveRequests >= queuedOptions.maxGlobalConcurrent;
+	}
+
+	/**
+	 * @private
+	 * @param {QueuedRequest} queuedRequest The waiting request
+	 * @returns {boolean} true if an earlier request waits for a global slot
+	 */
+	static isBehindGlobalWaiter(queuedRequest) {
+		return queue.slice(0, queue.indexOf(queuedRequest)).some(request => this.waitsForGlobalSlot(request, queuedRequest.options));
+	}
+
+	/**
+	 * Take a slot and get the function to release it
+	 *
+	 * @private
+	 * @returns {function(): void}
+	 */
+	static take(key) {
+
+		const requests = activeRequests;
+
+		requests.set(key, (requests.get(key) || 0) + 1);
+		globalActiveRequests++;
+
+		let released = false;
+
+		return () => {
+
+			// slots taken before a reset are not released
+			if(released || requests !== activeRequests)
+				return;
+
+			released = true;
+
+			const remaining = requests.get(key) - 1;
+
+			if(remaining)
+				requests.set(key, remaining);
+			else
+				requests.delete(key);
+
+			globalActiveRequests--;
+
+			this.drain();
+		};
+	}
+
+	/**
+	 * Start the waiting requests that have a free slot, in order of arrival
+	 *
+	 * @private
+	 */
+	static drain() {
+
+		queue.slice().forEach(queuedRequest => {
+
+			if(!this.hasFreeSlot(queuedRequest.key, queuedRequest.options) || this.isBehindGlobalWaiter(queuedRequest))
+				return;
+
+			queue = queue.filter(request => request !== queuedRequest);
+			queuedRequest.cleanup();
+			queuedRequest.start();
+		});
+	}
+};
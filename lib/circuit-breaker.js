@@ -0,0 +1,273 @@
+'use strict';
+
+const events = require('./events');
+const MicroServiceCallError = require('./microservice-call-error');
+
+const States = {
+	CLOSED: 'closed',
+	OPEN: 'open',
+	HALF_OPEN: 'halfOpen'
+};
+
+const Scopes = {
+	SERVICE: 'service',
+	NAMESPACE: 'namespace'
+};
+
+const DEFAULT_OPTIONS = {
+	scope: Scopes.SERVICE,
+	failureThreshold: 5,
+	failureRate: null,
+	minimumRequests: 10,
+	windowSize: 20,
+	resetTimeout: 30000,
+	halfOpenRequests: 1
+};
+
+let circuits = new Map();
+
+/**
+ * Circuit breaker options
+ * @typedef {Object} CircuitBreakerOptions
+ * @property {string} [scope='service'] The key of the circuits: service or namespace (service/namespace)
+ * @property {number|null} [failureThreshold=5] The amount of consecutive failures that opens the circuit. null to disable it
+ * @property {number|null} [failureRate=null] The rate of failures (from 0 to 1) in the window that opens the circuit. null to disable it
+ * @property {number} [minimumRequests=10] The min amount of requests in the window to check the failure rate
+ * @property {number} [windowSize=20] The amount of the last requests used to calculate the failure rate
+ * @property {number} [resetTimeout=30000] The time (in milliseconds) that the circuit stays open before letting requests probe the service
+ * @property {number} [halfOpenRequests=1] The max amount of requests made at the same time to probe the service
+ */
+
+/**
+ * State of a circuit
+ * @typedef {Object} CircuitState
+ * @property {string} state The state of the circuit: closed, open or halfOpen
+ * @property {number} consecutiveFailures The amount of consecutive failures
+ * @property {number} requests The amount of requests in the window
+ * @property {number} failures The amount of failures in the window
+ * @property {number|null} openedAt The timestamp (in milliseconds) when the circuit was opened
+ */
+
+/**
+ * @class CircuitBreaker
+ * @classdesc Keeps the state of the circuits of the services in the container. A circuit is opened when the service keeps failing,
+ * so the requests are rejected without reaching the service until the reset timeout passes and a probe request succeeds.
+ */
+module.exports = class CircuitBreaker {
+
+	static get states() {
+		return States;
+	}
+
+	static get scopes() {
+		return Scopes;
+	}
+
+	/**
+	 * @returns {CircuitBreakerOptions}
+	 */
+	static get defaultOptions() {
+		return DEFAULT_OPTIONS;
+	}
+
+	/**
+	 * Get the key of the circuit of a service and namespace
+	 *
+	 * @param {string} service The name of the microservice
+	 * @param {string} namespace The namespace of the microservice
+	 * @param {string} [scope='service'] The scope of the circuits
+	 * @returns {string}
+	 */
+	static getKey(service, namespace, scope = Scopes.SERVICE) {
+		return scope === Scopes.NAMESPACE ? `${service}/${namespace}` : service;
+	}
+
+	/**
+	 * Reserve a request in the circuit. When the circuit is open, it becomes half-open once the reset timeout passes.
+	 *
+	 * @param {string} key The key of the circuit
+	 * @param {CircuitBreakerOptions} options The circuit breaker options
+	 * @throws {MicroServiceCallError} When the circuit is open or the half-open circuit is already probing the service
+	 * @returns {number} The half-open period when the request probes the service, 0 when it is not a probe
+	 */
+	static acquire(key, options) {
+
+		const circuit = this.getCircuit(key);
+
+		if(circuit.state === States.OPEN) {
+
+			if(Date.now() < circuit.openedAt + options.resetTimeout)
+				throw this.formatError(key);
+
+			circuit.halfOpenPeriod++;
+			this.setState(key, circuit, States.HALF_OPEN);
+		}
+
+		if(circuit.state === States.HALF_OPEN) {
+
+			if(circuit.probes >= options.halfOpenRequests)
+				throw this.formatError(key);
+
+			circuit.probes++;
+
+			return circuit.halfOpenPeriod;
+		}
+
+		return 0;
+	}
+
+	/**
+	 * Record the result of a reserved request
+	 *
+	 * @param {string} key The key of the circuit
+	 * @param {CircuitBreakerOptions} options The circuit breaker options
+	 * @param {boolean|null} failed Indicates if the request failed. null when the result does not tell anything about the service health
+	 * @param {number} [probe=0] The half-open period of the request, as returned by acquire()
+	 */
+	static record(key, options, failed, probe = 0) {
+
+		const circuit = this.getCircuit(key);
+
+		if(circuit.state === States.HALF_OPEN) {
+
+			// only the probes of the current period tell if the service recovered, the other requests are late results
+			if(probe !== circuit.halfOpenPeriod)
+				return;
+
+			circuit.probes--;
+
+			if(failed === null)
+				return;
+
+			return failed ? this.open(key, circuit) : this.close(key, circuit);
+		}
+
+		// results of requests made before the circuit was opened are not taken into account
+		if(failed === null || circuit.state === States.OPEN)
+			return;
+
+		circuit.results = [...circuit.results, failed].slice(-options.windowSize);
+		circuit.consecutiveFailures = failed ? circuit.consecutiveFailures + 1 : 0;
+
+		if(this.shouldOpen(circuit, options))
+			this.open(key, circuit);
+	}
+
+	/**
+	 * Get the state of a circuit, or of every circuit when no key is received
+	 *
+	 * @param {string} [key] The key of the circuit
+	 * @returns {CircuitState|Object<string, CircuitState>|null} The state or null if the circuit has no requests yet
+	 */
+	static inspect(key) {
+
+		if(typeof key !== 'undefined')
+			return circuits.has(key) ? this.getSnapshot(circuits.get(key)) : null;
+
+		return [...circuits.entries()].reduce((states, [circuitKey, circuit]) => ({
+			...states,
+			[circuitKey]: this.getSnapshot(circuit)
+		}), {});
+	}
+
+	/**
+	 * Close a circuit forgetting its results, or every circuit when no key is received
+	 *
+	 * @param {string} [key] The key of the circuit
+	 */
+	static reset(key) {
+
+		if(typeof key !== 'undefined')
+			circuits.delete(key);
+		else
+			circuits = new Map();
+	}
+
+	/**
+	 * @private
+	 */
+	static getCircuit(key) {
+
+		if(!circuits.has(key)) {
+			circuits.set(key, {
+				state: States.CLOSED,
+				results: [],
+				consecutiveFailures: 0,
+				openedAt: null,
+				probes: 0,
+				halfOpenPeriod: 0
+			});
+		}
+
+		return circuits.get(key);
+	}
+
+	/**
+	 * @private
+	 * @returns {CircuitState}
+	 */
+	static getSnapshot({
+		state,
+		results,
+		consecutiveFailures,
+		openedAt
+	}) {
+		return {
+			state,
+			consecutiveFailures,
+			requests: results.length,
+			failures: results.filter(failed => failed).length,
+			openedAt
+		};
+	}
+
+	/**
+	 * @private
+	 * @returns {boolean}
+	 */
+	static shouldOpen({ results, consecutiveFailures }, { failureThreshold, failureRate, minimumRequests }) {
+
+		if(failureThreshold && consecutiveFailures >= failureThreshold)
+			return true;
+
+		if(!failureRate || results.length < minimumRequests)
+			return false;
+
+		return results.filter(failed => failed).length / results.length >= failureRate;
+	}
+
+	/**
+	 * @private
+	 */
+	static open(key, circuit) {
+		circuit.openedAt = Date.now();
+		circuit.probes = 0;
+		this.setState(key, circuit, States.OPEN);
+	}
+
+	/**
+	 * @private
+	 */
+	static close(key, circuit) {
+		circuit.results = [];
+		circuit.consecutiveFailures = 0;
+		circuit.openedAt = null;
+		this.setState(key, circuit, States.CLOSED);
+	}
+
+	/**
+	 * @private
+	 */
+	static setState(key, circuit, state) {
+		circuit.state = state;
+		events.emit('circuitStateChange', { circuit: key, state });
+	}
+
+	/**
+	 * @private
+	 * @returns {MicroServiceCallError}
+	 */
+	static formatError(key) {
+		return new MicroServiceCallError(`Circuit open for ${key}`, MicroServiceCallError.codes.CIRCUIT_OPEN);
+	}
+};
@@ -0,0 +1,61 @@
+'use strict';
+
+const MicroServiceCallError = require('../microservice-call-error');
+
+/**
+ * Endpoint resolved by a provider
+ * @typedef {Object} ResolvedEndpoint
+ * @property {string} endpoint The full url of the endpoint
+ * @property {string} httpMethod The http method of the endpoint
+ */
+
+/**
+ * @class DiscoveryProvider
+ * @classdesc Base class of the providers that resolve the endpoint of a service, namespace and method.
+ * Any object with a `getEndpoint()` method returning a {@link ResolvedEndpoint} can be used as provider.
+ */
+module.exports = class DiscoveryProvider {
+
+	/**
+	 * Resolve the endpoint of a service, namespace and method
+	 *
+	 * @abstract
+	 * @param {string} service The name of the microservice
+	 * @param {string} namespace The namespace of the microservice
+	 * @param {string} method The method of the microservice
+	 * @throws {MicroServiceCallError} When the endpoint cannot be resolved
+	 * @returns {Promise<ResolvedEndpoint>}
+	 */
+	async getEndpoint(service, namespace, method) {
+		throw new MicroServiceCallError(
+			`${this.constructor.name} must implement getEndpoint() to resolve ${service}.${namespace}.${method}`,
+			MicroServiceCallError.codes.DISCOVERY_ERROR
+		);
+	}
+
+	/**
+	 * Build the endpoint from the base url, path and method
+	 *
+	 * @protected
+	 * @param {Object} endpointData
+	 * @param {string} endpointData.baseUrl The base url of the service
+	 * @param {string} endpointData.path The path of the endpoint
+	 * @param {string} endpointData.method The http method of the endpoint
+	 * @throws {MicroServiceCallError} When the base url, path or method are missing
+	 * @returns {ResolvedEndpoint}
+	 */
+	buildEndpoint({ baseUrl, path, method }) {
+
+		if(!baseUrl || !path || !method) {
+			throw new MicroServiceCallError(
+				`Could not get base url, path or method. Base url: ${baseUrl}, path: ${path}, method: ${method}`,
+				MicroServiceCallError.codes.DISCOVERY_ERROR
+			);
+		}
+
+		return {
+			endpoint: `${baseUrl}${path}`,
+			httpMethod: method
+		};
+	}
+};
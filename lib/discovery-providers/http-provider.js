@@ -0,0 +1,68 @@
+'use strict';
+
+const axios = require('axios').default;
+
+const DiscoveryProvider = require('./discovery-provider');
+const MicroServiceCallError = require('../microservice-call-error');
+
+const DEFAULT_TIMEOUT = 5000;
+
+/**
+ * @class HttpDiscoveryProvider
+ * @classdesc Resolves the endpoints making a GET request to an HTTP discovery endpoint.
+ * The request has the `service`, `namespace` and `method` query params and the response body must have the `baseUrl`, `path` and `method`.
+ */
+module.exports = class HttpDiscoveryProvider extends DiscoveryProvider {
+
+	/**
+	 * @param {Object} options
+	 * @param {string} options.url The url of the discovery endpoint
+	 * @param {Object<string, string>} [options.headers] The headers to send in every request
+	 * @param {number} [options.timeout=5000] The time (in milliseconds) to wait for the response of the discovery endpoint
+	 */
+	constructor({ url, headers = {}, timeout = DEFAULT_TIMEOUT }) {
+		super();
+		this.url = url;
+		this.headers = headers;
+		this.timeout = timeout;
+	}
+
+	/**
+	 * @param {string} service The name of the microservice
+	 * @param {string} namespace The namespace of the microservice
+	 * @param {string} method The method of the microservice
+	 * @throws {MicroServiceCallError} When the request fails or the response has an incomplete endpoint
+	 * @returns {Promise<import('./discovery-provider').ResolvedEndpoint>}
+	 */
+	async getEndpoint(service, namespace, method) {
+
+		let response;
+
+		try {
+
+			response = await axios.request({
+				url: this.url,
+				method: 'get',
+				headers: this.headers,
+				params: { service, namespace, method },
+				timeout: this.timeout,
+				validateStatus: () => true
+			});
+
+		} catch(error) {
+			throw new MicroServiceCallError(`Service Discovery fails getting endpoint. Error: ${error.message}`, MicroServiceCallError.codes.DISCOVERY_ERROR);
+		}
+
+		const { status, data } = response;
+
+		if(status >= 400) {
+			const message = (data && (data.message || JSON.stringify(data))) || 'No response body';
+			throw new MicroServiceCallError(
+				`Service Discovery fails getting endpoint. Error: (${status}) ${message}`,
+				MicroServiceCallError.codes.DISCOVERY_ERROR
+			);
+		}
+
+		return this.buildEndpoint(data || {});
+	}
+};
@@ -0,0 +1,13 @@
+'use strict';
+
+const DiscoveryProvider = require('./discovery-provider');
+const InvokerDiscoveryProvider = require('./invoker-provider');
+const StaticDiscoveryProvider = require('./static-provider');
+const HttpDiscoveryProvider = require('./http-provider');
+
+module.exports = {
+	DiscoveryProvider,
+	InvokerDiscoveryProvider,
+	StaticDiscoveryProvider,
+	HttpDiscoveryProvider
+};
@@ -0,0 +1,161 @@
+'use strict';
+
+const { Invoker, LambdaError } = require('@janiscommerce/lambda');
+
+const DiscoveryProvider = require('./discovery-provider');
+const MicroServiceCallError = require('../microservice-call-error');
+const backoff = require('../helpers/backoff');
+
+// Errors thrown by the AWS SDK when Lambda is throttling or temporarily unavailable
+const TransientErrorNames = [
+	'TooManyRequestsException',
+	'ThrottlingException',
+	'ServiceException',
+	'EC2ThrottledException',
+	'ResourceNotReadyException',
+	'TimeoutError',
+	'RequestTimeout'
+];
+
+const TransientErrorCodes = ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN'];
+
+const TransientFunctionErrorMessage = /timed out|throttl|rate exceeded/i;
+
+/**
+ * @class InvokerDiscoveryProvider
+ * @classdesc Resolves the endpoints invoking the GetEndpoint lambda function of Janis Discovery Service. This is the default provider.
+ * Transient failures (throttling, timeouts or unhandled function errors) are retried with exponential backoff and jitter.
+ */
+module.exports = class InvokerDiscoveryProvider extends DiscoveryProvider {
+
+	/**
+	 * @param {Object} [options]
+	 * @param {number} [options.retries=2] The max amount of retries when the invocation fails with a transient error
+	 * @param {number} [options.baseDelay=100] The delay of the first retry, in milliseconds
+	 * @param {number} [options.maxDelay=1000] The max delay between retries, in milliseconds
+	 */
+	constructor({ retries = 2, baseDelay = 100, maxDelay = 1000 } = {}) {
+		super();
+		this.retries = retries;
+		this.baseDelay = baseDelay;
+		this.maxDelay = maxDelay;
+	}
+
+	/**
+	 * @param {string} service The name of the microservice
+	 * @param {string} namespace The namespace of the microservice
+	 * @param {string} method The method of the microservice
+	 * @throws {MicroServiceCallError} When Discovery fails or returns an incomplete endpoint
+	 * @returns {Promise<import('./discovery-provider').ResolvedEndpoint>}
+	 */
+	async getEndpoint(service, namespace, method) {
+		return this.invokeDiscovery(service, namespace, method, 0);
+	}
+
+	/**
+	 * @private
+	 * @param {string} service The name of the microservice
+	 * @param {string} namespace The namespace of the microservice
+	 * @param {string} method The method of the microservice
+	 * @param {number} attempt The number of the attempt, starting from 0
+	 * @returns {Promise<import('./discovery-provider').ResolvedEndpoint>}
+	 */
+	async invokeDiscovery(service, namespace, method, attempt) {
+
+		let response;
+
+		try {
+			response = await Invoker.serviceCall('discovery', 'GetEndpoint', { service, namespace, method });
+		} catch(error) {
+			const isTransient = this.isTransientInvokeError(error);
+			return this.retryOrThrow(this.formatError(error.message, error), isTransient, service, namespace, method, attempt);
+		}
+
+		const {
+			payload: { baseUrl, path, method: httpMethod, errorMessage },
+			functionError
+		} = response;
+
+		const errorMsg = errorMessage || functionError;
+
+		if(errorMsg) {
+			const isTransient = this.isTransientFunctionError(response);
+			return this.retryOrThrow(this.formatError(errorMsg), isTransient, service, namespace, method, attempt);
+		}
+
+		return this.buildEndpoint({ baseUrl, path, method: httpMethod });
+	}
+
+	/**
+	 * Wait and invoke Discovery again when the error is transient and there are retries left, otherwise throw the error.
+	 *
+	 * @private
+	 * @param {MicroServiceCallError} error The error of the attempt
+	 * @param {boolean} isTransient Indicates if the error is transient
+	 * @param {string} service The name of the microservice
+	 * @param {string} namespace The namespace of the microservice
+	 * @param {string} method The method of the microservice
+	 * @param {number} attempt The number of the failed attempt, starting from 0
+	 * @returns {Promise<import('./discovery-provider').ResolvedEndpoint>}
+	 */
+	async retryOrThrow(error, isTransient, service, namespace, method, attempt) {
+
+		if(!isTransient || attempt >= this.retries)
+			throw error;
+
+		await backoff.wait(backoff.getDelay(attempt, this.baseDelay, this.maxDelay));
+
+		return this.invokeDiscovery(service, namespace, method, attempt + 1);
+	}
+
+	/**
+	 * @private
+	 * @param {Error} error The error thrown by the Invoker
+	 * @returns {boolean}
+	 */
+	isTransientInvokeError(error) {
+
+		// thrown by the Invoker when the invocation response has an error status code
+		if(error instanceof LambdaError && error.code === LambdaError.codes.INVOCATION_FAILED)
+			return true;
+
+		const statusCode = error.$metadata && error.$metadata.httpStatusCode;
+
+		return TransientErrorNames.includes(error.name)
+			|| TransientErrorCodes.includes(error.code)
+			|| statusCode === 429
+			|| statusCode >= 500;
+	}
+
+	/**
+	 * @private
+	 * @param {Object} response The response of the Invoker
+	 * @returns {boolean}
+	 */
+	isTransientFunctionError({ functionError, payload: { errorMessage, errorType } }) {
+
+		if(!functionError)
+			return false;
+
+		return functionError === 'Unhandled'
+			|| TransientErrorNames.includes(errorType)
+			|| TransientFunctionErrorMessage.test(errorMessage);
+	}
+
+	/**
+	 * @private
+	 * @returns {MicroServiceCallError}
+	 */
+	formatError(errorMessage, previousError) {
+
+		const error = new MicroServiceCallError(
+			`Service Discovery fails getting endpoint. Error: ${errorMessage}`,
+			MicroServiceCallError.codes.DISCOVERY_ERROR
+		);
+
+		if(previousError)
+			error.previousError = previousError;
+
+		return error;
+	}
+};
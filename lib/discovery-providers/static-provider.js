@@ -0,0 +1,44 @@
+'use strict';
+
+const DiscoveryProvider = require('./discovery-provider');
+const MicroServiceCallError = require('../microservice-call-error');
+
+/**
+ * Static endpoint
+ * @typedef {Object} StaticEndpoint
+ * @property {string} baseUrl The base url of the service. Eg: https://catalog.janis-test.in
+ * @property {string} path The path of the endpoint. Eg: /api/product/{id}
+ * @property {string} method The http method of the endpoint. Eg: GET
+ */
+
+/**
+ * @class StaticDiscoveryProvider
+ * @classdesc Resolves the endpoints from a static map keyed by service.namespace.method
+ */
+module.exports = class StaticDiscoveryProvider extends DiscoveryProvider {
+
+	/**
+	 * @param {Object<string, StaticEndpoint>} endpoints The endpoints keyed by service.namespace.method
+	 */
+	constructor(endpoints = {}) {
+		super();
+		this.endpoints = endpoints;
+	}
+
+	/**
+	 * @param {string} service The name of the microservice
+	 * @param {string} namespace The namespace of the microservice
+	 * @param {string} method The method of the microservice
+	 * @throws {MicroServiceCallError} When the endpoint is not in the map or it is incomplete
+	 * @returns {Promise<import('./discovery-provider').ResolvedEndpoint>}
+	 */
+	async getEndpoint(service, namespace, method) {
+
+		const endpointKey = `${service}.${namespace}.${method}`;
+
+		if(!this.endpoints[endpointKey])
+			throw new MicroServiceCallError(`Endpoint ${endpointKey} not found in static endpoints`, MicroServiceCallError.codes.DISCOVERY_ERROR);
+
+		return this.buildEndpoint(this.endpoints[endpointKey]);
+	}
+};
@@ -1,44 +1,243 @@
 'use strict';
 
-const { Invoker } = require('@janiscommerce/lambda');
-const MicroServiceCallError = require('./microservice-call-error');
+const EndpointOverrides = require('./endpoint-overrides');
+const { InvokerDiscoveryProvider } = require('./discovery-providers');
+const mapWithConcurrency = require('./helpers/map-with-concurrency');
 
-let cache = {};
+const DEFAULT_CACHE_TTL = 300; // 5 minutes
+const DEFAULT_PREFETCH_CONCURRENCY = 5;
+
+const defaultProvider = new InvokerDiscoveryProvider();
+
+let globalProvider = null;
+
+let caches = new WeakMap();
+
+/**
+ * Cached endpoint
+ * @typedef {Object} CachedEndpoint
+ * @property {string} endpoint The full url of the endpoint
+ * @property {string} httpMethod The http method of the endpoint
+ * @property {number} expiresAt The timestamp (in milliseconds) when the entry becomes stale
+ */
+
+/**
+ * Provider cache
+ * @typedef {Object} ProviderCache
+ * @property {Object<string, CachedEndpoint>} endpoints The cached endpoints by service.namespace.method
+ * @property {Object<string, Promise<CachedEndpoint>>} pendingLookups The lookups in progress by service.namespace.method
+ */
+
+/**
+ * Endpoint to prefetch
+ * @typedef {Object} EndpointDefinition
+ * @property {string} service The name of the microservice
+ * @property {string} namespace The namespace of the microservice
+ * @property {string} method The method of the microservice
+ */
+
+/**
+ * Result of a prefetch
+ * @typedef {Object} PrefetchResult
+ * @property {Array<EndpointDefinition & { endpoint: string, httpMethod: string }>} endpoints The endpoints that were resolved
+ * @property {Array<EndpointDefinition & { error: MicroServiceCallError }>} failed The endpoints that could not be resolved
+ */
 
 module.exports = class Discovery {
 
-	static async getEndpoint(service, namespace, method) {
+	/**
+	 * Get the time to live (in seconds) of the cached endpoints. Can be set with JANIS_DISCOVERY_CACHE_TTL env var.
+	 * A value of 0 means that cached endpoints never expire.
+	 * @returns {number}
+	 */
+	static get cacheTtl() {
+
+		const ttl = parseInt(process.env.JANIS_DISCOVERY_CACHE_TTL, 10);
+
+		return Number.isNaN(ttl) || ttl < 0 ? DEFAULT_CACHE_TTL : ttl;
+	}
+
+	/**
+	 * Get the provider used when no provider is received. By default is the InvokerDiscoveryProvider.
+	 * @returns {import('./discovery-providers/discovery-provider')}
+	 */
+	static get provider() {
+		return globalProvider || defaultProvider;
+	}
+
+	/**
+	 * Set the provider used when no provider is received. Use null to restore the default one.
+	 * @param {import('./discovery-providers/discovery-provider')|null} provider The provider
+	 */
+	static setProvider(provider) {
+		globalProvider = provider;
+	}
+
+	/**
+	 * Get the endpoint and http method for a service, namespace and method.
+	 * When the cached entry is stale, it is returned anyway while it is refreshed in background.
+	 * Concurrent lookups for the same endpoint share a single provider request.
+	 * Declared endpoint overrides are used instead of the provider.
+	 *
+	 * @param {string} service The name of the microservice
+	 * @param {string} namespace The namespace of the microservice
+	 * @param {string} method The method of the microservice
+	 * @param {import('./discovery-providers/discovery-provider')} [provider] The provider to resolve the endpoint, the global one by default
+	 * @throws {MicroServiceCallError} When the endpoint is not cached and the provider fails
+	 * @returns {Promise<{ endpoint: string, httpMethod: string }>}
+	 */
+	static async getEndpoint(service, namespace, method, provider = this.provider) {
+
+		const overriddenEndpoint = EndpointOverrides.get(service, namespace, method);
+
+		if(overriddenEndpoint)
+			return overriddenEndpoint;
 
 		const cacheKey = `${service}.${namespace}.${method}`;
 
-		if(!cache[cacheKey]) {
+		let cachedEndpoint = this.getProviderCache(provider).endpoints[cacheKey];
 
-			const {
-				payload: { baseUrl, path, method: httpMethod, errorMessage },
-				functionError
-			} = await Invoker.serviceCall('discovery', 'GetEndpoint', { service, namespace, method });
+		if(!cachedEndpoint)
+			cachedEndpoint = await this.lookup(provider, cacheKey, service, namespace, method);
+		else if(this.isStale(cachedEndpoint))
+			this.refresh(provider, cacheKey, service, namespace, method);
 
-			const errorMsg = errorMessage || functionError;
+		const { endpoint, httpMethod } = cachedEndpoint;
+
+		return { endpoint, httpMethod };
+	}
 
-			if(errorMsg)
-				throw new MicroServiceCallError(`Service Discovery fails getting endpoint. Error: ${errorMsg}`, MicroServiceCallError.codes.DISCOVERY_ERROR);
+	/**
+	 * Resolve several endpoints in parallel and save them in cache. It does not reject when an endpoint fails, the failures are reported instead.
+	 *
+	 * @param {Array<EndpointDefinition>} endpointDefinitions The endpoints to resolve
+	 * @param {Object} [options]
+	 * @param {number} [options.concurrency=5] The max amount of provider requests made at the same time
+	 * @param {import('./discovery-providers/discovery-provider')} [options.provider] The provider to resolve the endpoints, the global one by default
+	 * @returns {Promise<PrefetchResult>}
+	 */
+	static async prefetch(endpointDefinitions, { concurrency = DEFAULT_PREFETCH_CONCURRENCY, provider } = {}) {
 
-			if(!baseUrl || !path || !httpMethod) {
-				throw new MicroServiceCallError(
-					`Could not get base url, path or method. Base url: ${baseUrl}, path: ${path}, method: ${httpMethod}`,
-					MicroServiceCallError.codes.DISCOVERY_ERROR
-				);
+		const results = await mapWithConcurrency(endpointDefinitions, concurrency, async ({ service, namespace, method }) => {
+			try {
+				const { endpoint, httpMethod } = await this.getEndpoint(service, namespace, method, provider);
+				return {
+					service,
+					namespace,
+					method,
+					endpoint,
+					httpMethod
+				};
+			} catch(error) {
+				return { service, namespace, method, error };
 			}
+		});
 
-			const endpoint = `${baseUrl}${path}`;
+		return {
+			endpoints: results.filter(({ error }) => !error),
+			failed: results.filter(({ error }) => error)
+		};
+	}
+
+	/**
+	 * Remove the cached endpoint of a service, namespace and method, so it is resolved again in the next lookup
+	 *
+	 * @param {string} service The name of the microservice
+	 * @param {string} namespace The namespace of the microservice
+	 * @param {string} method The method of the microservice
+	 * @param {import('./discovery-providers/discovery-provider')} [provider] The provider of the cached endpoint, the global one by default
+	 */
+	static evict(service, namespace, method, provider = this.provider) {
+		delete this.getProviderCache(provider).endpoints[`${service}.${namespace}.${method}`];
+	}
+
+	/**
+	 * Get the cache of a provider, creating it if it does not exist
+	 *
+	 * @private
+	 * @returns {ProviderCache}
+	 */
+	static getProviderCache(provider) {
+
+		if(!caches.has(provider))
+			caches.set(provider, { endpoints: {}, pendingLookups: {} });
 
-			cache[cacheKey] = { endpoint, httpMethod };
+		return caches.get(provider);
+	}
+
+	/**
+	 * Check if a cached entry has expired
+	 *
+	 * @private
+	 * @param {CachedEndpoint} cachedEndpoint The cached entry
+	 * @returns {boolean}
+	 */
+	static isStale({ expiresAt }) {
+		return expiresAt !== null && expiresAt <= Date.now();
+	}
+
+	/**
+	 * Refresh a stale entry in background. If the refresh fails, the stale entry is kept.
+	 *
+	 * @private
+	 */
+	static refresh(provider, cacheKey, service, namespace, method) {
+		this.lookup(provider, cacheKey, service, namespace, method)
+			.catch(() => {
+				// the stale endpoint keeps being used until a refresh succeeds
+			});
+	}
+
+	/**
+	 * Request the endpoint to the provider and save it in cache. If there is a lookup in progress for the same endpoint it is reused.
+	 *
+	 * @private
+	 * @returns {Promise<CachedEndpoint>}
+	 */
+	static lookup(provider, cacheKey, service, namespace, method) {
+
+		const providerCache = this.getProviderCache(provider);
+
+		if(!providerCache.pendingLookups[cacheKey]) {
+
+			providerCache.pendingLookups[cacheKey] = this.fetchEndpoint(provider, service, namespace, method)
+				.then(cachedEndpoint => {
+					providerCache.endpoints[cacheKey] = cachedEndpoint;
+					return cachedEndpoint;
+				})
+				.finally(() => {
+					delete providerCache.pendingLookups[cacheKey];
+				});
 		}
 
-		return cache[cacheKey];
+		return providerCache.pendingLookups[cacheKey];
+	}
+
+	/**
+	 * Request the endpoint to the provider
+	 *
+	 * @private
+	 * @throws {MicroServiceCallError} When the provider fails
+	 * @returns {Promise<CachedEndpoint>}
+	 */
+	static async fetchEndpoint(provider, service, namespace, method) {
+
+		const { endpoint, httpMethod } = await provider.getEndpoint(service, namespace, method);
+
+		const { cacheTtl } = this;
+
+		return {
+			endpoint,
+			httpMethod,
+			expiresAt: cacheTtl ? Date.now() + (cacheTtl * 1000) : null
+		};
 	}
 
+	/**
+	 * Remove every cached endpoint and endpoint override
+	 */
 	static cleanCache() {
-		cache = {};
+		caches = new WeakMap();
+		EndpointOverrides.cleanCache();
 	}
 };
@@ -0,0 +1,132 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const MicroServiceCallError = require('./microservice-call-error');
+
+let parsedOverrides = {};
+
+/**
+ * Endpoint override
+ * @typedef {Object} EndpointOverride
+ * @property {string} [baseUrl] The base url of the service. Eg: http://localhost:3001
+ * @property {string} [path] The path of the endpoint. Eg: /api/product/{id}
+ * @property {string} [method] The http method of the endpoint. Eg: GET
+ */
+
+/** @typedef {Object<string, EndpointOverride|string>} EndpointOverrides Overrides by service, service.namespace or service.namespace.method */
+
+module.exports = class EndpointOverrides {
+
+	/**
+	 * Get the overrides declared as JSON in the JANIS_ENDPOINT_OVERRIDES env var
+	 * @returns {string}
+	 */
+	static get overridesJson() {
+		return process.env.JANIS_ENDPOINT_OVERRIDES;
+	}
+
+	/**
+	 * Get the path of the JSON file with the overrides declared in the JANIS_ENDPOINT_OVERRIDES_FILE env var
+	 * @returns {string}
+	 */
+	static get overridesFile() {
+		return process.env.JANIS_ENDPOINT_OVERRIDES_FILE;
+	}
+
+	/**
+	 * Get the declared overrides. The ones from the env var have precedence over the ones from the file.
+	 *
+	 * @throws {MicroServiceCallError} When the overrides cannot be read or parsed
+	 * @returns {EndpointOverrides}
+	 */
+	static get overrides() {
+
+		const { overridesJson, overridesFile } = this;
+
+		if(!overridesJson && !overridesFile)
+			return {};
+
+		const source = `${overridesFile}|${overridesJson}`;
+
+		if(!parsedOverrides[source]) {
+			parsedOverrides[source] = {
+				...overridesFile && this.parse(() => fs.readFileSync(path.resolve(overridesFile), 'utf8'), overridesFile),
+				...overridesJson && this.parse(() => overridesJson, 'JANIS_ENDPOINT_OVERRIDES')
+			};
+		}
+
+		return parsedOverrides[source];
+	}
+
+	/**
+	 * Get the overridden endpoint for a service, namespace and method.
+	 * The matching overrides are merged from the less specific (service) to the most specific (service.namespace.method).
+	 *
+	 * @param {string} service The name of the microservice
+	 * @param {string} namespace The namespace of the microservice
+	 * @param {string} method The method of the microservice
+	 * @throws {MicroServiceCallError} When the merged override does not have base url, path and method
+	 * @returns {{ endpoint: string, httpMethod: string }|null} The endpoint or null if it is not overridden
+	 */
+	static get(service, namespace, method) {
+
+		const { overrides } = this;
+
+		const keys = [service, `${service}.${namespace}`, `${service}.${namespace}.${method}`]
+			.filter(key => overrides[key]);
+
+		if(!keys.length)
+			return null;
+
+		const { baseUrl, path: endpointPath, method: httpMethod } = keys.reduce((override, key) => ({
+			...override,
+			...this.normalize(overrides[key])
+		}), {});
+
+		if(!baseUrl || !endpointPath || !httpMethod) {
+			throw new MicroServiceCallError(
+				`Incomplete endpoint override for ${service}.${namespace}.${method}. Base url: ${baseUrl}, path: ${endpointPath}, method: ${httpMethod}`,
+				MicroServiceCallError.codes.DISCOVERY_ERROR
+			);
+		}
+
+		return {
+			endpoint: `${baseUrl}${endpointPath}`,
+			httpMethod
+		};
+	}
+
+	/**
+	 * Remove the cached overrides, they will be read and parsed again
+	 */
+	static cleanCache() {
+		parsedOverrides = {};
+	}
+
+	/**
+	 * Accept a string as a shorthand for the base url
+	 *
+	 * @private
+	 * @param {EndpointOverride|string} override The override
+	 * @returns {EndpointOverride}
+	 */
+	static normalize(override) {
+		return typeof override === 'string' ? { baseUrl: override } : override;
+	}
+
+	/**
+	 * @private
+	 * @param {function(): string} read Function that returns the JSON to parse
+	 * @param {string} source The source of the JSON, for error messages
+	 * @returns {EndpointOverrides}
+	 */
+	static parse(read, source) {
+		try {
+			return JSON.parse(read());
+		} catch(err) {
+			throw new MicroServiceCallError(`Invalid endpoint overrides in ${source}. Error: ${err.message}`, MicroServiceCallError.codes.DISCOVERY_ERROR);
+		}
+	}
+};
@@ -0,0 +1,12 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+
+/**
+ * Emitter of the events reported by every MicroServiceCall instance.
+ *
+ * @event staleEndpoint When a cached endpoint fails at route level and it is resolved again
+ * @event circuitStateChange When the circuit of a service changes its state
+ * @event fallback When a fallback is used because a service is unavailable
+ */
+module.exports = new EventEmitter();
@@ -0,0 +1,101 @@
+'use strict';
+
+const DEFAULT_OPTIONS = {
+	delay: 100,
+	budgetPercent: 10
+};
+
+let budgets = new Map();
+
+/**
+ * Hedging options
+ * @typedef {Object} HedgingOptions
+ * @property {number} [delay=100] The time (in milliseconds) to wait for the response before sending the hedged request
+ * @property {number} [budgetPercent=10] The max amount of hedged requests, as a percentage of the hedgeable requests of each service
+ */
+
+/**
+ * State of the hedge budget of a service
+ * @typedef {Object} HedgeBudgetState
+ * @property {number} requests The amount of hedgeable requests
+ * @property {number} hedges The amount of hedged requests sent
+ */
+
+/**
+ * @class Hedging
+ * @classdesc Keeps the hedge budget of the services in the container, so the hedged requests do not exceed a percentage of the requests.
+ */
+module.exports = class Hedging {
+
+	/**
+	 * @returns {HedgingOptions}
+	 */
+	static get defaultOptions() {
+		return DEFAULT_OPTIONS;
+	}
+
+	/**
+	 * Count a hedgeable request of a service
+	 *
+	 * @param {string} key The key of the service
+	 */
+	static recordRequest(key) {
+		const budget = this.getBudget(key);
+		budget.requests++;
+	}
+
+	/**
+	 * Reserve a hedged request of a service when the budget allows it
+	 *
+	 * @param {string} key The key of the service
+	 * @param {HedgingOptions} options The hedging options
+	 * @returns {boolean} true if the hedged request can be sent
+	 */
+	static acquire(key, { budgetPercent }) {
+
+		const budget = this.getBudget(key);
+
+		if(budget.hedges >= budget.requests * budgetPercent / 100)
+			return false;
+
+		budget.hedges++;
+
+		return true;
+	}
+
+	/**
+	 * Get the hedge budget of a service, or of every service when no key is received
+	 *
+	 * @param {string} [key] The key of the service
+	 * @returns {HedgeBudgetState|Object<string, HedgeBudgetState>|null} The state or null if the service has no hedgeable requests yet
+	 */
+	static inspect(key) {
+
+		if(typeof key !== 'undefined')
+			return budgets.has(key) ? { ...budgets.get(key) } : null;
+
+		return [...budgets.entries()].reduce((states, [serviceKey, budget]) => ({
+			...states,
+			[serviceKey]: { ...budget }
+		}), {});
+	}
+
+	/**
+	 * Forget the hedge budget of every service
+	 */
+	static reset() {
+		budgets = new Map();
+	}
+
+	/**
+	 * @private
+	 * @returns {HedgeBudgetState}
+	 */
+	static getBudget(key) {
+
+		if(!budgets.has(key))
+			budgets.set(key, { requests: 0, hedges: 0 });
+
+		return budgets.get(key);
+	}
+};
@@ -0,0 +1,50 @@
+'use strict';
+
+const MicroServiceCallError = require('../microservice-call-error');
+
+module.exports = {
+
+	/**
+	 * Get the delay before the next attempt using exponential backoff with full jitter
+	 *
+	 * @param {number} attempt The number of the failed attempt, starting from 0
+	 * @param {number} baseDelay The delay of the first retry, in milliseconds
+	 * @param {number} maxDelay The max delay, in milliseconds
+	 * @returns {number}
+	 */
+	getDelay(attempt, baseDelay, maxDelay) {
+		return Math.round(Math.random() * Math.min(maxDelay, baseDelay * (2 ** attempt)));
+	},
+
+	/**
+	 * Wait the received time
+	 *
+	 * @param {number} delay The time to wait, in milliseconds
+	 * @param {AbortSignal} [signal] A signal to stop waiting
+	 * @throws {MicroServiceCallError} When the signal is aborted before the time passes
+	 * @returns {Promise<void>}
+	 */
+	wait(delay, signal) {
+		return new Promise((resolve, reject) => {
+
+			let timer;
+
+			const abort = () => {
+				clearTimeout(timer);
+				reject(new MicroServiceCallError('Request aborted', MicroServiceCallError.codes.ABORTED));
+			};
+
+			if(signal && signal.aborted)
+				return abort();
+
+			timer = setTimeout(() => {
+				if(signal)
+					signal.removeEventListener('abort', abort);
+				resolve();
+			}, delay);
+
+			if(signal)
+				signal.addEventListener('abort', abort, { once: true });
+		});
+	}
+};
@@ -0,0 +1,43 @@
+'use strict';
+
+/**
+ * Call the mapper for every item, running up to `concurrency` calls at the same time.
+ * Once a call rejects or its result stops the mapping, no more calls are started.
+ *
+ * @param {Array<*>} items The items to map
+ * @param {number} concurrency The max amount of mapper calls running at the same time
+ * @param {function(*, number): Promise<*>} mapper The function to call with every item and its index
+ * @param {function(*): boolean} [shouldStop] Indicates if a result stops the mapping. The items not mapped have no result
+ * @returns {Promise<Array<*>>} The results in the same order of the items
+ */
+module.exports = async (items, concurrency, mapper, shouldStop = () => false) => {
+
+	const results = new Array(items.length);
+
+	let nextIndex = 0;
+	let stopped = false;
+
+	const worker = async () => {
+
+		while(!stopped && nextIndex < items.length) {
+
+			const index = nextIndex++;
+
+			try {
+				results[index] = await mapper(items[index], index);
+			} catch(error) {
+				stopped = true;
+				throw error;
+			}
+
+			if(shouldStop(results[index]))
+				stopped = true;
+		}
+	};
+
+	const workersCount = Math.min(Math.max(concurrency, 1), items.length);
+
+	await Promise.all(Array.from({ length: workersCount }, worker));
+
+	return results;
+};
@@ -7,7 +7,15 @@ module.exports = class MicroServiceCallError extends Error {
 			MICROSERVICE_FAILED: 2,
 			REQUEST_LIB_ERROR: 3,
 			JANIS_SECRET_MISSING: 4,
-			DISCOVERY_ERROR: 5
+			DISCOVERY_ERROR: 5,
+			MISSING_ENDPOINT_PARAMETERS: 6,
+			TIMEOUT: 7,
+			ABORTED: 8,
+			DEADLINE_EXCEEDED: 9,
+			CIRCUIT_OPEN: 10,
+			TOO_MANY_REQUESTS: 11,
+			BULKHEAD_FULL: 12,
+			TOTALS_NOT_SUPPORTED: 13
 		};
 	}
 
@@ -1,18 +1,86 @@
 'use strict';
 
+const { randomUUID } = require('crypto');
+
 const axios = require('axios').default;
 const { stringify } = require('qs');
 const Discovery = require('./discovery');
+const mapWithConcurrency = require('./helpers/map-with-concurrency');
+const discoveryProviders = require('./discovery-providers');
+const CircuitBreaker = require('./circuit-breaker');
+const Bulkhead = require('./bulkhead');
+const Hedging = require('./hedging');
+const RetryClassifier = require('./retry-classifier');
+const events = require('./events');
+const backoff = require('./helpers/backoff');
 
 const MicroServiceCallError = require('./microservice-call-error');
 const SecretFetcher = require('./secret-fetcher');
 
-const NoRetryErrorMessages = [
-	': Argument passed in must be a single String of 12 bytes or a string of 24 hex characters',
-	': Invalid client'
+const DEFAULT_PAGE_SIZE = 60;
+
+const DEFAULT_IDS_CONCURRENCY = 5;
+
+// Leaves room for the url of the endpoint in the 2048 characters supported by most gateways
+const DEFAULT_MAX_QUERY_LENGTH = 1500;
+
+const QueryStringOptions = {
+	encodeValuesOnly: true,
+	arrayFormat: 'indices'
+};
+
+const TOTAL_HEADER = 'x-janis-total';
+
+// Http methods that send the request data in the body
+const WriteMethods = ['POST', 'PUT', 'PATCH'];
+
+// Only idempotent reads are hedged
+const HEDGEABLE_METHOD = 'GET';
+
+const IDEMPOTENCY_KEY_HEADER = 'x-janis-idempotency-key';
+
+// Errors of the request library that indicate that the endpoint does not exist anymore
+const RouteErrorCodes = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+// Error types informed by the API Gateway (not the service) when the route does not exist
+const RouteGatewayErrorTypes = {
+	403: 'MissingAuthenticationTokenException',
+	404: 'NotFoundException'
+};
+
+const PathPlaceholderRegExp = /{([^{}]+)}/g;
+
+const DEFAULT_RETRY_POLICY = {
+	maxAttempts: 3,
+	baseDelay: 100,
+	maxDelay: 2000,
+	methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']
+};
+
+// Errors that retrying the request cannot fix
+const NoRetryErrorCodes = [
+	MicroServiceCallError.codes.JANIS_SECRET_MISSING,
+	MicroServiceCallError.codes.DISCOVERY_ERROR,
+	MicroServiceCallError.codes.MISSING_ENDPOINT_PARAMETERS,
+	MicroServiceCallError.codes.ABORTED,
+	MicroServiceCallError.codes.DEADLINE_EXCEEDED,
+	MicroServiceCallError.codes.CIRCUIT_OPEN,
+	MicroServiceCallError.codes.BULKHEAD_FULL
 ];
 
-const DEFAULT_PAGE_SIZE = 60;
+const TOO_MANY_REQUESTS_STATUS_CODE = 429;
+
+const DEFAULT_MAX_THROTTLE_DELAY = 10000;
+
+// Response headers that inform the remaining requests and the seconds until the rate limit is reset
+const RateLimitRemainingHeaders = ['ratelimit-remaining', 'x-ratelimit-remaining'];
+const RateLimitResetHeaders = ['ratelimit-reset', 'x-ratelimit-reset'];
+
+// Rate limit resets greater than this are epoch seconds instead of delta seconds
+const EPOCH_SECONDS_THRESHOLD = 1e9;
+
+// Time reserved to finish the execution after the deadline taken from a Lambda context
+const DEFAULT_DEADLINE_MARGIN = 100;
 
 /**
  * Credential Headers
@@ -45,6 +113,12 @@ const DEFAULT_PAGE_SIZE = 60;
  * @property {number} statusCode The http status code of response.
  * @property {string} statusMessage The status message of response.
  * @property {*} body The body of response
+ * @property {string} [idempotencyKey] The idempotency key sent in the request
+ * @property {boolean} [isFallback] true when the body is a fallback used because the service is unavailable
+ * @property {boolean} [truncated] Only in lists with max items or stop predicate, true when the list ended because of them
+ * @property {boolean} [partial] Only in lists with partial results, true when a page failed and the body has the items of the previous pages
+ * @property {number} [failedPage] Only in partial lists, the page that failed
+ * @property {Error} [error] Only in partial lists, the error of the page that failed
  */
 
 /** @typedef {Object<string,*>} RequestData The data of an request */
@@ -53,22 +127,207 @@ const DEFAULT_PAGE_SIZE = 60;
 
 /** @typedef {Object<string,string|number>} EndpointParameters A key value to replace variables in an API path */
 
+/**
+ * Retry policy
+ * @typedef {Object} RetryPolicy
+ * @property {number} [maxAttempts=3] The max amount of attempts, including the first one
+ * @property {number} [baseDelay=100] The delay before the first retry, in milliseconds
+ * @property {number} [maxDelay=2000] The max delay between attempts, in milliseconds
+ * @property {Array<string>} [methods=['GET','HEAD','OPTIONS','PUT','DELETE']] The http methods that can be retried
+ */
+
+/**
+ * Attempt of a call made with a retry policy
+ * @typedef {Object} CallAttempt
+ * @property {number} attempt The number of the attempt, starting from 1
+ * @property {number} [statusCode] The status code of the response
+ * @property {number} [errorCode] The code of the error of the attempt
+ * @property {string} [errorMessage] The message of the error of the attempt
+ * @property {number} [delay] The time waited (in milliseconds) before the next attempt
+ */
+
+/**
+ * Options of a single call
+ * @typedef {Object} CallOptions
+ * @property {number} [timeout] The time (in milliseconds) to wait for the response, overrides the instance timeout. 0 means no timeout
+ * @property {AbortSignal} [signal] A signal to cancel the request
+ * @property {RetryPolicy|boolean} [retry] The retry policy, overrides the instance retry policy. false disables the retries
+ * @property {string} [idempotencyKey] The idempotency key sent in write requests, instead of a generated one
+ * @property {import('./hedging').HedgingOptions|boolean} [hedging] The hedging options, overrides the instance ones. false disables the hedging
+ * @property {string} [userId] The user identifier for the api key header, overrides the one set with setUserId()
+ * @property {boolean} [fallback=true] Resolves the fallback of the endpoint when the service is unavailable. false to reject instead
+ */
+
+/**
+ * Options of a list, the call options are used in every page call
+ * @typedef {Object} ListOptions
+ * @property {number} [concurrency] The max amount of pages requested at the same time, using the totals of the first page. Pages are requested one by one by default
+ * @property {boolean} [safe=false] Resolves the first failed page instead of rejecting, as safeList() does
+ * @property {number} [maxItems] The max amount of items of the list. The last page is reduced to not fetch more items than needed
+ * @property {function(*, number): boolean} [stopWhen] Stops the list after the first item (received with its index in the list) that matches
+ * @property {boolean} [partialResults=false] When a page fails, resolves the items of the previous pages with the failed page and its error instead of rejecting
+ * @property {number} [startPage=1] The page to start the list from, to resume a list with partial results
+ */
+
+/**
+ * Options of a lookup by ids, the call options are used in every page call
+ * @typedef {Object} GetByIdsOptions
+ * @property {string} [idField='id'] The field used to filter and to identify the objects
+ * @property {number} [maxQueryLength=1500] The max length of the query string of each request. The ids are split in chunks to not exceed it
+ * @property {number} [concurrency=5] The max amount of chunks requested at the same time
+ * @property {number} [pageSize] The pageSize to use in list api
+ * @property {boolean} [keyById=false] Resolves a Map of the objects by id instead of an Array
+ */
+
+/**
+ * Call to a microservice
+ * @typedef {Object} ServiceRequest
+ * @property {string} service The name of the microservice
+ * @property {string} namespace The namespace of the microservice
+ * @property {string} method The method of the microservice
+ * @property {RequestData | Array<RequestData>} requestData The data that will send
+ * @property {Headers} requestHeaders The headers of the request
+ * @property {EndpointParameters} endpointParameters A key value to replace variables in API path
+ */
+
+/**
+ * MicroServiceCall options
+ * @typedef {Object} MicroServiceCallOptions
+ * @property {import('./discovery-providers/discovery-provider')} [discoveryProvider] The provider to resolve the endpoints, the global one by default
+ * @property {boolean} [warnUnusedEndpointParameters=false] Emits a process warning when an endpoint parameter is not used in the endpoint path
+ * @property {number} [timeout=0] The default time (in milliseconds) to wait for each response. 0 means no timeout
+ * @property {RetryPolicy|boolean} [retry=false] The policy to retry the failed requests. true uses the default policy
+ * @property {import('./circuit-breaker').CircuitBreakerOptions|boolean} [circuitBreaker=false] The options of the circuit breaker. true uses the default options
+ * @property {number} [maxThrottleDelay=10000] The max time (in milliseconds) to wait when a service throttles the requests
+ * @property {import('./bulkhead').BulkheadOptions|boolean} [bulkhead=false] The limits of requests in progress at the same time. true uses the default limits
+ * @property {boolean} [idempotencyKeys=false] Generates an idempotency key for each write call, sent in every attempt of the call
+ * @property {import('./retry-classifier').RetryClassifierOptions} [retryClassifier] The rules to decide if a call should be retried, for every service or by service
+ * @property {import('./hedging').HedgingOptions|boolean} [hedging=false] Sends a second request for GET calls that do not answer in time. true uses the default options
+ * @property {Object<string, *>} [fallbacks] The bodies (or functions that receive the error and return the body) used when a service is unavailable,
+ * by service, service.namespace or service.namespace.method
+ */
+
 /**
  * @class MicroServiceCall
  * @classdesc Use this to make request to a Janis Microservice.
  */
 module.exports = class MicroServiceCall {
 
+	/**
+	 * @param {MicroServiceCallOptions} [options]
+	 */
+	constructor({
+		discoveryProvider,
+		warnUnusedEndpointParameters = false,
+		timeout = 0,
+		retry = false,
+		circuitBreaker = false,
+		maxThrottleDelay = DEFAULT_MAX_THROTTLE_DELAY,
+		bulkhead = false,
+		idempotencyKeys = false,
+		retryClassifier = {},
+		fallbacks = {},
+		hedging = false
+	} = {}) {
+		this.discoveryProvider = discoveryProvider;
+		this.warnUnusedEndpointParameters = warnUnusedEndpointParameters;
+		this.timeout = timeout;
+		this.retry = retry;
+		this.circuitBreaker = circuitBreaker;
+		this.maxThrottleDelay = maxThrottleDelay;
+		this.bulkhead = bulkhead;
+		this.idempotencyKeys = idempotencyKeys;
+		this.retryClassifier = retryClassifier;
+		this.fallbacks = fallbacks;
+		this.hedging = hedging;
+	}
+
+	/**
+	 * Get the emitter of the events reported by every instance
+	 *
+	 * @returns {import('events').EventEmitter}
+	 */
+	static get events() {
+		return events;
+	}
+
+	/**
+	 * Get the built-in discovery providers
+	 *
+	 * @returns {typeof discoveryProviders}
+	 */
+	static get discoveryProviders() {
+		return discoveryProviders;
+	}
+
+	/**
+	 * Get the circuit breaker shared by every instance, to inspect or reset the state of the circuits
+	 *
+	 * @returns {typeof CircuitBreaker}
+	 */
+	static get circuitBreaker() {
+		return CircuitBreaker;
+	}
+
+	/**
+	 * Get the bulkhead shared by every instance, to inspect the requests in progress and waiting
+	 *
+	 * @returns {typeof Bulkhead}
+	 */
+	static get bulkhead() {
+		return Bulkhead;
+	}
+
+	/**
+	 * Get the hedge budget shared by every instance, to inspect the hedged requests
+	 *
+	 * @returns {typeof Hedging}
+	 */
+	static get hedging() {
+		return Hedging;
+	}
+
+	/**
+	 * Set the discovery provider used by the instances without their own provider. Use null to restore the default one.
+	 *
+	 * @param {import('./discovery-providers/discovery-provider')|null} provider The provider
+	 */
+	static setDiscoveryProvider(provider) {
+		Discovery.setProvider(provider);
+	}
+
+	/**
+	 * Resolve the endpoints that will be used and save them in cache, to avoid resolving them in the middle of a request.
+	 *
+	 * @param {Array<import('./discovery').EndpointDefinition>} endpoints The endpoints to resolve
+	 * @param {Object} [options]
+	 * @param {number} [options.concurrency] The max amount of endpoints resolved at the same time
+	 * @param {import('./discovery-providers/discovery-provider')} [options.provider] The provider to resolve the endpoints, the global one by default
+	 * @returns {Promise<import('./discovery').PrefetchResult>}
+	 */
+	static warmUp(endpoints, options) {
+		return Discovery.prefetch(endpoints, options);
+	}
+
 	/**
 	 * Get the credentials headers that will be set in the basic headers
 	 *
 	 * @returns {CredentialHeaders}
 	 */
 	get credentialsHeaders() {
+		return this._getCredentialsHeaders(this.apiKeyUser);
+	}
+
+	/**
+	 * @private
+	 * @param {string} [userId] The user identifier for the api key
+	 * @returns {CredentialHeaders}
+	 */
+	_getCredentialsHeaders(userId) {
 
 		const servicePart = `service-${process.env.JANIS_SERVICE_NAME}`;
 
-		const userPart = this.apiKeyUser ? `_user-${this.apiKeyUser}` : '';
+		const userPart = userId ? `_user-${userId}` : '';
 
 		return {
 			'janis-api-key': `${servicePart}${userPart}`,
@@ -98,50 +357,97 @@ module.exports = class MicroServiceCall {
 	}
 
 	/**
-	 * Set userId for make api-key header
+	 * Get a view of the instance that makes every request with the userId in the api-key header. The instance is not modified.
 	 * @param {string} userId User identifier
 	 * @returns {MicroServiceCall}
 	 */
 	setUserId(userId) {
 
-		this.apiKeyUser = userId;
+		const view = Object.create(this);
+
+		view.apiKeyUser = userId;
+
+		return view;
+	}
+
+	/**
+	 * Get a view of the instance that makes every request with the deadline. The instance is not modified.
+	 * Requests are not made after the deadline and their timeouts are clamped to the remaining time.
+	 * The deadline is sent to the services in the x-janis-deadline header (timestamp in milliseconds).
+	 *
+	 * @param {Date|number|null} deadline The deadline as a Date or timestamp in milliseconds. Use null to remove it
+	 * @returns {MicroServiceCall}
+	 */
+	setDeadline(deadline) {
+
+		const view = Object.create(this);
+
+		view.deadline = deadline instanceof Date ? deadline.getTime() : deadline;
+
+		return view;
+	}
 
-		return this;
+	/**
+	 * Get a view of the instance with the deadline from the remaining execution time of a Lambda context
+	 *
+	 * @param {{ getRemainingTimeInMillis: function(): number }} context The Lambda context
+	 * @param {number} [margin=100] The time (in milliseconds) reserved to finish the execution
+	 * @returns {MicroServiceCall}
+	 */
+	setDeadlineFromContext(context, margin = DEFAULT_DEADLINE_MARGIN) {
+		return this.setDeadline(Date.now() + context.getRemainingTimeInMillis() - margin);
 	}
 
 	/**
 	 * Get the basic headers of that will be set in the request to the ms.
 	 *
+	 * @param {string} [userId] The user identifier for the api key, the one set with setUserId() by default
 	 * @returns {BasicHeaders}
 	 */
-	getBasicHeaders() {
-
-		const basic = {
+	getBasicHeaders(userId = this.apiKeyUser) {
+		return {
 			'content-type': 'application/json',
-			...this.credentialsHeaders,
+			...this._getCredentialsHeaders(userId),
 			...this.sessionHeaders
 		};
-
-		// clear user id for api key
-		this.apiKeyUser = null;
-
-		return basic;
 	}
 
 	/**
 	 * Get the url of microservice with the endpoint parameters.
+	 * Every occurrence of each placeholder is replaced with the URL encoded value.
 	 *
 	 * @private
 	 * @param {string} endpoint The endpoint of microservice
 	 * @param {EndpointParameters} endpointParameters A key value to replace variables in API path
+	 * @throws {MicroServiceCallError} When a placeholder of the endpoint has no value
 	 * @returns {string}
 	 */
 	_getUrlWithEndpointParameters(endpoint, endpointParameters) {
-		return endpointParameters
-			? Object.keys(endpointParameters).reduce((endpointWithParameters, endpointParam) => {
-				return endpointWithParameters.replace(`{${endpointParam}}`, endpointParameters[endpointParam]);
-			}, endpoint)
-			: endpoint;
+
+		const parameters = endpointParameters || {};
+
+		const hasValue = name => typeof parameters[name] !== 'undefined' && parameters[name] !== null;
+
+		const placeholders = [...new Set([...endpoint.matchAll(PathPlaceholderRegExp)].map(([, name]) => name))];
+
+		const missingParameters = placeholders.filter(name => !hasValue(name));
+
+		if(missingParameters.length) {
+			throw new MicroServiceCallError(
+				`Missing endpoint parameters for ${endpoint}: ${missingParameters.join(', ')}`,
+				MicroServiceCallError.codes.MISSING_ENDPOINT_PARAMETERS
+			);
+		}
+
+		if(this.warnUnusedEndpointParameters) {
+
+			const unusedParameters = Object.keys(parameters).filter(name => !placeholders.includes(name));
+
+			if(unusedParameters.length)
+				process.emitWarning(`Unused endpoint parameters for ${endpoint}: ${unusedParameters.join(', ')}`, 'MicroServiceCallWarning');
+		}
+
+		return endpoint.replace(PathPlaceholderRegExp, (placeholder, name) => encodeURIComponent(parameters[name]));
 	}
 
 	/**
@@ -152,9 +458,13 @@ module.exports = class MicroServiceCall {
 	 * @param  {RequestData | Array<RequestData>} requestData The data that will send
 	 * @param  {Headers} requestHeaders The headers of the request
 	 * @param  {EndpointParameters} endpointParameters A key value to replace variables in API path
+	 * @param  {CallOptions} [options] The options of the call
+	 * @throws {MicroServiceCallError} When the request cannot be made, times out or is aborted
 	 * @returns {Promise<RequestResponse>}
 	 */
-	async _makeRequest(apiEndpoint, httpMethod, requestData, requestHeaders, endpointParameters = {}) {
+	async _makeRequest(apiEndpoint, httpMethod, requestData, requestHeaders, endpointParameters = {}, options = {}) {
+
+		const { timeout, isDeadline, callTimeout } = this._getRequestTimeout(options);
 
 		let qs;
 		let requestBody;
@@ -162,76 +472,147 @@ module.exports = class MicroServiceCall {
 		if(['GET', 'DELETE'].includes(httpMethod.toUpperCase()))
 			qs = requestData;
 
-		if(['POST', 'PUT', 'PATCH'].includes(httpMethod.toUpperCase()))
+		const isWriteMethod = WriteMethods.includes(httpMethod.toUpperCase());
+
+		if(isWriteMethod)
 			requestBody = requestData;
 
+		const idempotencyKey = isWriteMethod ? options.idempotencyKey : undefined;
+
+		const url = this._getUrlWithEndpointParameters(apiEndpoint, endpointParameters);
+
 		try {
 
 			await SecretFetcher.fetch();
 
 			const { data, status, statusText, headers } = await axios.request({
-				url: this._getUrlWithEndpointParameters(apiEndpoint, endpointParameters),
+				url,
 				headers: {
-					...this.getBasicHeaders(),
+					...this.getBasicHeaders(options.userId),
+					...this.deadline && { 'x-janis-deadline': String(this.deadline) },
+					...idempotencyKey && { [IDEMPOTENCY_KEY_HEADER]: idempotencyKey },
 					...requestHeaders
 				},
 				data: requestBody,
 				params: qs,
 				method: httpMethod,
+				timeout,
+				signal: options.signal,
 				validateStatus: () => true,
-				paramsSerializer: /* istanbul ignore next: Cannot test axios callbacks */ params => stringify(params, {
-					encodeValuesOnly: true,
-					arrayFormat: 'indices'
-				})
+				paramsSerializer: /* istanbul ignore next: Cannot test axios callbacks */ params => stringify(params, QueryStringOptions)
 			});
 
 			return {
 				headers: headers.toJSON ? Object.assign({}, headers.toJSON()) : headers,
 				statusCode: status,
 				statusMessage: statusText,
-				body: data
+				body: data,
+				...idempotencyKey && { idempotencyKey }
 			};
 		} catch(error) {
 
-			if(error.constructor.name === 'MicroServiceCallError')
-				throw error;
+			const requestError = error.constructor.name === 'MicroServiceCallError'
+				? error
+				: this._formatRequestError(error, isDeadline ? timeout : callTimeout, isDeadline);
 
-			throw new MicroServiceCallError(error, MicroServiceCallError.codes.REQUEST_LIB_ERROR);
+			if(idempotencyKey)
+				requestError.idempotencyKey = idempotencyKey;
+
+			throw requestError;
 		}
 	}
 
 	/**
-	 * Check if the service, namespace and method are valid and make the request to the correct ms, throws an Error if response's statusCode is 400+.
+	 * Get the timeout of a request, clamped to the time remaining until the deadline
 	 *
-	 * @param  {String} service The name of the microservice.
-	 * @param  {String} namespace The namespace of the microservice.
-	 * @param  {String} method The method of microservice.
-	 * @param  {RequestData | Array<RequestData>} requestData The data that will send
-	 * @param  {Headers} requestHeaders The headers of the request
-	 * @param  {EndpointParameters} endpointParameters A key value to replace variables in API path
-	 * @throws {MicroServiceCallError} When the request fails (status code >= 400)
-	 * @returns {Promise<RequestResponse>}
+	 * @private
+	 * @param {CallOptions} options The options of the call
+	 * @throws {MicroServiceCallError} When the deadline was exceeded
+	 * @returns {{ timeout: number, isDeadline: boolean, callTimeout: number }} The timeout, if it is the remaining time until the deadline and the timeout of the call
 	 */
-	async call(service, namespace, method, requestData, requestHeaders, endpointParameters) {
+	_getRequestTimeout(options) {
 
-		const { endpoint, httpMethod } = await Discovery.getEndpoint(service, namespace, method);
+		const callTimeout = this._getCallTimeout(options);
 
-		const response = await this._makeRequest(endpoint, httpMethod, requestData, requestHeaders, endpointParameters);
+		// the time waited for a free slot of the bulkhead is part of the timeout
+		const timeout = callTimeout && Math.max(callTimeout - (options.queueTime || 0), 1);
 
-		if(response.statusCode >= 400) {
+		if(!this.deadline)
+			return { timeout, isDeadline: false, callTimeout };
 
-			const message = (response.body && (response.body.message || JSON.stringify(response.body))) || 'No response body';
+		// the time is read once, so the remaining time is never 0, that axios would take as no timeout
+		const remainingTime = this.deadline - Date.now();
 
-			throw new MicroServiceCallError(`Microservice failed (${response.statusCode}): ${message}`,
-				MicroServiceCallError.codes.MICROSERVICE_FAILED,
-				response.statusCode);
-		}
+		if(remainingTime <= 0)
+			throw new MicroServiceCallError('Deadline exceeded', MicroServiceCallError.codes.DEADLINE_EXCEEDED);
 
-		return response;
+		return timeout && timeout <= remainingTime
+			? { timeout, isDeadline: false, callTimeout }
+			: { timeout: remainingTime, isDeadline: true, callTimeout };
 	}
 
 	/**
-	 * Check if the service, namespace and method are valid and make the request to the correct ms do not throw if Service response 400+ statusCode.
+	 * @private
+	 * @param {CallOptions} options The options of the call
+	 * @returns {number} The timeout of the call or the instance
+	 */
+	_getCallTimeout(options) {
+		return typeof options.timeout === 'number' ? options.timeout : this.timeout;
+	}
+
+	/**
+	 * Format the error of the request library, distinguishing timeouts and cancellations
+	 *
+	 * @private
+	 * @param {Error} error The error of the request library
+	 * @param {number} timeout The timeout of the request, or the remaining time until the deadline
+	 * @param {boolean} isDeadline Indicates if the timeout is the remaining time until the deadline
+	 * @returns {MicroServiceCallError}
+	 */
+	_formatRequestError(error, timeout, isDeadline) {
+
+		let requestError;
+
+		if(axios.isCancel(error))
+			requestError = new MicroServiceCallError('Request aborted', MicroServiceCallError.codes.ABORTED);
+		else if(timeout && error.code === 'ECONNABORTED' && isDeadline)
+			requestError = new MicroServiceCallError(`Deadline exceeded after ${timeout}ms`, MicroServiceCallError.codes.DEADLINE_EXCEEDED);
+		else if(timeout && error.code === 'ECONNABORTED')
+			requestError = new MicroServiceCallError(`Request timed out after ${timeout}ms`, MicroServiceCallError.codes.TIMEOUT);
+		else
+			return new MicroServiceCallError(error, MicroServiceCallError.codes.REQUEST_LIB_ERROR);
+
+		requestError.previousError = error;
+
+		return requestError;
+	}
+
+	/**
+	 * Throw an error if the signal was aborted or the deadline was exceeded
+	 *
+	 * @private
+	 * @param {AbortSignal} [signal] The signal of the call
+	 * @throws {MicroServiceCallError} When the signal was aborted or the deadline was exceeded
+	 */
+	_throwIfCancelled(signal) {
+
+		if(signal && signal.aborted)
+			throw new MicroServiceCallError('Request aborted', MicroServiceCallError.codes.ABORTED);
+
+		this._throwIfDeadlineExceeded();
+	}
+
+	/**
+	 * @private
+	 * @throws {MicroServiceCallError} When the deadline was exceeded
+	 */
+	_throwIfDeadlineExceeded() {
+		if(this.deadline && this.deadline <= Date.now())
+			throw new MicroServiceCallError('Deadline exceeded', MicroServiceCallError.codes.DEADLINE_EXCEEDED);
+	}
+
+	/**
+	 * Check if the service, namespace and method are valid and make the request to the correct ms, throws an Error if response's statusCode is 400+.
 	 *
 	 * @param  {String} service The name of the microservice.
 	 * @param  {String} namespace The namespace of the microservice.
@@ -239,112 +620,1291 @@ module.exports = class MicroServiceCall {
 	 * @param  {RequestData | Array<RequestData>} requestData The data that will send
 	 * @param  {Headers} requestHeaders The headers of the request
 	 * @param  {EndpointParameters} endpointParameters A key value to replace variables in API path
+	 * @param  {CallOptions} [options] The options of the call
+	 * @throws {MicroServiceCallError} When the request fails (status code >= 400), unless a fallback is used
 	 * @returns {Promise<RequestResponse>}
 	 */
-	async safeCall(service, namespace, method, requestData, requestHeaders, endpointParameters) {
+	async call(service, namespace, method, requestData, requestHeaders, endpointParameters, options) {
+
+		let response;
+
+		try {
+			response = await this._callService(service, namespace, method, requestData, requestHeaders, endpointParameters, options);
+		} catch(error) {
+			return this._fallbackOrThrow(service, namespace, method, error, options);
+		}
 
-		const { endpoint, httpMethod } = await Discovery.getEndpoint(service, namespace, method);
+		if(response.statusCode >= 400)
+			return this._fallbackOrThrow(service, namespace, method, this._formatResponseError(response), options);
 
-		return this._makeRequest(endpoint, httpMethod, requestData, requestHeaders, endpointParameters);
+		return response;
 	}
 
 	/**
-	 * Makes an HTTP GET request with x-janis-method 'list' to the specified service/namespace with the specified filters. Throws an Error if Services response statusCode 400+
+	 * Build the error of a failed response
 	 *
-	 * @param {String} service The name of the microservice
-	 * @param {String} namespace The namespace of the microservice
-	 * @param {RequestData} requestData The query params to filter/order the list
-	 * @param {EndpointParameters} endpointParameters The endpointParameters if needed
-	 * @param {Number} pageSize The pageSize to use in list api
-	 * @returns {Promise<RequestResponse>} Returns the response, in the body the full list of objects
+	 * @private
+	 * @param {RequestResponse} response The response with status code 400+
+	 * @returns {MicroServiceCallError}
 	 */
-	async list(service, namespace, requestData = null, endpointParameters, pageSize) {
+	_formatResponseError(response) {
 
-		pageSize = pageSize || DEFAULT_PAGE_SIZE;
+		const message = (response.body && (response.body.message || JSON.stringify(response.body))) || 'No response body';
 
-		return this.listIterate(service, namespace, requestData, endpointParameters, pageSize);
-	}
+		const isThrottled = response.statusCode === TOO_MANY_REQUESTS_STATUS_CODE;
 
-	async listIterate(service, namespace, requestData, endpointParameters, pageSize, page = 1, items = [], lastResponse) {
+		const error = new MicroServiceCallError(`Microservice failed (${response.statusCode}): ${message}`,
+			isThrottled ? MicroServiceCallError.codes.TOO_MANY_REQUESTS : MicroServiceCallError.codes.MICROSERVICE_FAILED,
+			response.statusCode);
 
-		const method = this.makeSafeCall ? 'safeCall' : 'call';
+		const retryAfter = isThrottled && this._getRetryAfter(response.headers);
 
-		const headers = {
-			'x-janis-page': page,
-			'x-janis-page-size': pageSize,
-			'x-janis-totals': false
-		};
+		if(typeof retryAfter === 'number')
+			error.retryAfter = retryAfter;
 
-		const response = await this[method](service, namespace, 'list', requestData, headers, endpointParameters);
+		if(response.attempts)
+			error.attempts = response.attempts;
 
-		if(this.makeSafeCall && response?.statusCode >= 400)
-			return response;
+		if(response.idempotencyKey)
+			error.idempotencyKey = response.idempotencyKey;
 
-		if(response)
-			lastResponse = response;
+		return error;
+	}
+
+	/**
+	 * Resolve the fallback of the endpoint when the service is unavailable: the error is retryable or the circuit is open.
+	 * Otherwise the error is thrown.
+	 *
+	 * @private
+	 * @param {string} service The name of the microservice
+	 * @param {string} namespace The namespace of the microservice
+	 * @param {string} method The method of the microservice
+	 * @param {MicroServiceCallError} error The error of the call
+	 * @param {CallOptions} [options] The options of the call
+	 * @throws {MicroServiceCallError} When there is no fallback, the service is not unavailable or the fallback is disabled
+	 * @returns {Promise<RequestResponse>}
+	 */
+	async _fallbackOrThrow(service, namespace, method, error, { fallback: useFallback } = {}) {
 
-		if(response?.body)
-			items.push(...response.body);
+		// the most specific fallback is used
+		const fallbackKey = [`${service}.${namespace}.${method}`, `${service}.${namespace}`, service]
+			.find(key => Object.prototype.hasOwnProperty.call(this.fallbacks, key));
 
-		if(response?.body.length === pageSize)
-			return this.listIterate(service, namespace, requestData, endpointParameters, pageSize, page + 1, items, lastResponse);
+		const isUnavailable = error.code === MicroServiceCallError.codes.CIRCUIT_OPEN || this._isRetryable(error, service);
 
-		return {
-			...lastResponse,
-			body: items
-		};
-	}
+		if(!fallbackKey || !isUnavailable || useFallback === false)
+			throw error;
 
-	async safeList(service, namespace, requestData = null, endpointParameters, pageSize) {
+		const fallback = this.fallbacks[fallbackKey];
 
-		this.makeSafeCall = true;
+		const body = typeof fallback === 'function' ? await fallback(error) : fallback;
 
-		const response = await this.list(service, namespace, requestData, endpointParameters, pageSize);
+		events.emit('fallback', {
+			service,
+			namespace,
+			method,
+			error
+		});
 
-		this.makeSafeCall = false;
+		return {
+			headers: {},
+			body,
+			isFallback: true
+		};
+	}
 
-		return response;
+	/**
+	 * Check if the service, namespace and method are valid and make the request to the correct ms do not throw if Service response 400+ statusCode.
+	 *
+	 * @param  {String} service The name of the microservice.
+	 * @param  {String} namespace The namespace of the microservice.
+	 * @param  {String} method The method of microservice.
+	 * @param  {RequestData | Array<RequestData>} requestData The data that will send
+	 * @param  {Headers} requestHeaders The headers of the request
+	 * @param  {EndpointParameters} endpointParameters A key value to replace variables in API path
+	 * @param  {CallOptions} [options] The options of the call
+	 * @returns {Promise<RequestResponse>}
+	 */
+	async safeCall(service, namespace, method, requestData, requestHeaders, endpointParameters, options) {
+		return this._callService(service, namespace, method, requestData, requestHeaders, endpointParameters, options);
 	}
 
 	/**
-	 * Indicates if should re-try the call
+	 * Make the request, retrying it when the call has a retry policy.
+	 * When idempotency keys are enabled or received, the same key is sent in every attempt of a write call.
 	 *
-	 * @param {RequestResponse|MicroServiceCallError} response MicroService Response or Error
-	 * @returns {boolean}
+	 * @private
+	 * @param  {String} service The name of the microservice.
+	 * @param  {String} namespace The namespace of the microservice.
+	 * @param  {String} method The method of microservice.
+	 * @param  {RequestData | Array<RequestData>} requestData The data that will send
+	 * @param  {Headers} requestHeaders The headers of the request
+	 * @param  {EndpointParameters} endpointParameters A key value to replace variables in API path
+	 * @param  {CallOptions} [options] The options of the call
+	 * @returns {Promise<RequestResponse>}
 	 */
-	shouldRetry(response = {}) {
+	async _callService(service, namespace, method, requestData, requestHeaders, endpointParameters, options = {}) {
+
+		// the same key is sent in every attempt of the call
+		const idempotencyKey = options.idempotencyKey
+			|| (requestHeaders && requestHeaders[IDEMPOTENCY_KEY_HEADER])
+			|| (this.idempotencyKeys ? randomUUID() : undefined);
+
+		const callOptions = idempotencyKey ? { ...options, idempotencyKey } : options;
+
+		const request = {
+			service,
+			namespace,
+			method,
+			requestData,
+			requestHeaders,
+			endpointParameters
+		};
 
-		if(!response.statusCode)
-			return true;
+		const retryPolicy = this._getRetryPolicy(callOptions);
 
-		const message = response instanceof MicroServiceCallError ?
-			this._getMessageFromError(response) :
-			this._getMessageFromResponse(response);
+		if(!retryPolicy)
+			return this._callEndpoint(request, callOptions);
 
-		return response.statusCode >= 500 && !NoRetryErrorMessages.includes(message);
+		return this._callWithRetries(request, callOptions, retryPolicy, []);
 	}
 
 	/**
-	 * Get the message from an MicroService Call Error
+	 * Get the retry policy of a call, merged with the default values
 	 *
 	 * @private
-	 * @param {MicroServiceCallError} error MicroServiceCallError
-	 * @returns {string}
+	 * @param {CallOptions} options The options of the call
+	 * @returns {RetryPolicy|null} The retry policy or null if the call must not be retried
 	 */
-	_getMessageFromError(error) {
-		const [, , message] = error.message.split(/[()]/g);
-		return message;
+	_getRetryPolicy(options) {
+
+		const retry = typeof options.retry !== 'undefined' ? options.retry : this.retry;
+
+		const retryPolicy = this._getFeatureOptions(retry, DEFAULT_RETRY_POLICY);
+
+		if(!retryPolicy)
+			return null;
+
+		return {
+			...retryPolicy,
+			methods: retryPolicy.methods.map(httpMethod => httpMethod.toUpperCase())
+		};
 	}
 
 	/**
-	 * Get the message from a MicroServiceCall Response
+	 * Make the request and retry it with exponential backoff while it fails with a retryable response or error.
+	 * Throttled requests are retried with any http method, waiting the time of the Retry-After header when it is received.
+	 * Every attempt is informed in the attempts property of the final response or error.
 	 *
 	 * @private
-	 * @param {RequestResponse} response MicroService Response
-	 * @returns {string}
+	 * @param {ServiceRequest} request The call to the microservice
+	 * @param {CallOptions} options The options of the call
+	 * @param {RetryPolicy} retryPolicy The retry policy
+	 * @param {Array<CallAttempt>} attempts The previous attempts
+	 * @returns {Promise<RequestResponse>}
 	 */
-	_getMessageFromResponse(response) {
-		return (response.body && response.body.message) ? `: ${response.body.message}` : '';
+	async _callWithRetries(request, options, retryPolicy, attempts) {
+
+		let response;
+		let error;
+		let httpMethod;
+
+		try {
+			response = await this._callEndpoint(request, options, resolvedEndpoint => {
+				({ httpMethod } = resolvedEndpoint);
+			});
+		} catch(err) {
+			error = err;
+		}
+
+		const result = response || error;
+
+		const attempt = {
+			attempt: attempts.length + 1,
+			...result.statusCode && { statusCode: result.statusCode },
+			...error && { errorCode: error.code, errorMessage: error.message }
+		};
+
+		attempts.push(attempt);
+
+		const isThrottled = result.statusCode === TOO_MANY_REQUESTS_STATUS_CODE;
+
+		const retryAfter = isThrottled && this._getRetryAfter(response.headers);
+
+		const delay = typeof retryAfter === 'number'
+			? Math.min(retryAfter, this.maxThrottleDelay)
+			: backoff.getDelay(attempts.length - 1, retryPolicy.baseDelay, retryPolicy.maxDelay);
+
+		const shouldRetry = !!httpMethod
+			&& attempts.length < retryPolicy.maxAttempts
+			&& (isThrottled || retryPolicy.methods.includes(httpMethod.toUpperCase()))
+			&& this._isRetryable(result, request.service)
+			&& !this._exceedsDeadline(delay);
+
+		if(!shouldRetry) {
+
+			result.attempts = attempts;
+
+			if(error)
+				throw error;
+
+			return response;
+		}
+
+		attempt.delay = delay;
+
+		try {
+			await backoff.wait(delay, options.signal);
+		} catch(abortError) {
+			abortError.attempts = attempts;
+			throw abortError;
+		}
+
+		return this._callWithRetries(request, options, retryPolicy, attempts);
+	}
+
+	/**
+	 * Check if a failed attempt can be retried
+	 *
+	 * @private
+	 * @param {RequestResponse|MicroServiceCallError} responseOrError The response or error of the attempt
+	 * @returns {boolean}
+	 */
+	_isRetryable(responseOrError, service) {
+		return !!this._isServiceFailure(responseOrError, service);
+	}
+
+	/**
+	 * Check if the response or error of a request means that the service is failing
+	 *
+	 * @private
+	 * @param {RequestResponse|MicroServiceCallError} responseOrError The response or error of the request
+	 * @returns {boolean|null} null when the error does not tell anything about the service health
+	 */
+	_isServiceFailure(responseOrError, service) {
+
+		if(responseOrError instanceof MicroServiceCallError && NoRetryErrorCodes.includes(responseOrError.code))
+			return null;
+
+		return this.shouldRetry(responseOrError, service);
+	}
+
+	/**
+	 * Get the time to wait before retrying a throttled request from the Retry-After header, in seconds or as an HTTP date
+	 *
+	 * @private
+	 * @param {Headers} headers The headers of the response
+	 * @returns {number|null} The time to wait (in milliseconds) or null if the header is missing or invalid
+	 */
+	_getRetryAfter(headers) {
+
+		const retryAfter = headers['retry-after'];
+
+		if(typeof retryAfter === 'undefined' || retryAfter === null || retryAfter === '')
+			return null;
+
+		if(/^\d+$/.test(String(retryAfter).trim()))
+			return Number(retryAfter) * 1000;
+
+		const retryDate = Date.parse(retryAfter);
+
+		return Number.isNaN(retryDate) ? null : Math.max(retryDate - Date.now(), 0);
+	}
+
+	/**
+	 * Get the time to wait before the next request when the rate limit headers inform that there are no requests remaining
+	 *
+	 * @private
+	 * @param {Headers} [headers] The headers of the response
+	 * @returns {number} The time to wait (in milliseconds), capped by the max throttle delay
+	 */
+	_getRateLimitDelay(headers = {}) {
+
+		const getHeader = names => headers[names.find(name => typeof headers[name] !== 'undefined')];
+
+		const remaining = getHeader(RateLimitRemainingHeaders);
+
+		if(typeof remaining === 'undefined' || Number(remaining) > 0)
+			return 0;
+
+		const reset = Number(getHeader(RateLimitResetHeaders));
+
+		if(!reset)
+			return 0;
+
+		const delay = reset > EPOCH_SECONDS_THRESHOLD ? (reset * 1000) - Date.now() : reset * 1000;
+
+		return Math.min(Math.max(delay, 0), this.maxThrottleDelay);
+	}
+
+	/**
+	 * Check if waiting the received time would exceed the deadline
+	 *
+	 * @private
+	 * @param {number} delay The time to wait, in milliseconds
+	 * @returns {boolean}
+	 */
+	_exceedsDeadline(delay) {
+		return !!this.deadline && Date.now() + delay >= this.deadline;
+	}
+
+	/**
+	 * Make the request once there is a free slot in the bulkhead, when the instance has one
+	 *
+	 * @private
+	 * @param {ServiceRequest} request The call to the microservice
+	 * @param {CallOptions} options The options of the call
+	 * @param {function({ endpoint: string, httpMethod: string }): void} [onResolve] Called with the endpoint once it is resolved
+	 * @throws {MicroServiceCallError} When the bulkhead queue is full or the timeout passes waiting for a free slot
+	 * @returns {Promise<RequestResponse>}
+	 */
+	async _callEndpoint(request, options, onResolve) {
+
+		this._throwIfCancelled(options.signal);
+
+		const bulkheadOptions = this._getFeatureOptions(this.bulkhead, Bulkhead.defaultOptions);
+
+		if(!bulkheadOptions)
+			return this._callThroughCircuit(request, options, onResolve);
+
+		const queuedAt = Date.now();
+
+		const { timeout, isDeadline } = this._getRequestTimeout(options);
+
+		let release;
+
+		try {
+			release = await Bulkhead.acquire(request.service, bulkheadOptions, { timeout, signal: options.signal });
+		} catch(error) {
+
+			if(isDeadline && error.code === MicroServiceCallError.codes.TIMEOUT)
+				throw new MicroServiceCallError('Deadline exceeded', MicroServiceCallError.codes.DEADLINE_EXCEEDED);
+
+			throw error;
+		}
+
+		try {
+			return await this._callThroughCircuit(request, { ...options, queueTime: Date.now() - queuedAt }, onResolve);
+		} finally {
+			release();
+		}
+	}
+
+	/**
+	 * Make the request through the circuit of the service when the instance has a circuit breaker
+	 *
+	 * @private
+	 * @param {ServiceRequest} request The call to the microservice
+	 * @param {CallOptions} options The options of the call
+	 * @param {function({ endpoint: string, httpMethod: string }): void} [onResolve] Called with the endpoint once it is resolved
+	 * @throws {MicroServiceCallError} When the circuit of the service is open
+	 * @returns {Promise<RequestResponse>}
+	 */
+	async _callThroughCircuit(request, options, onResolve) {
+
+		const circuitBreakerOptions = this._getFeatureOptions(this.circuitBreaker, CircuitBreaker.defaultOptions);
+
+		if(!circuitBreakerOptions)
+			return this._requestEndpoint(request, options, onResolve);
+
+		const circuit = CircuitBreaker.getKey(request.service, request.namespace, circuitBreakerOptions.scope);
+
+		const probe = CircuitBreaker.acquire(circuit, circuitBreakerOptions);
+
+		let response;
+
+		try {
+			response = await this._requestEndpoint(request, options, onResolve);
+		} catch(error) {
+			CircuitBreaker.record(circuit, circuitBreakerOptions, this._isServiceFailure(error, request.service), probe);
+			throw error;
+		}
+
+		CircuitBreaker.record(circuit, circuitBreakerOptions, this._isServiceFailure(response, request.service), probe);
+
+		return response;
+	}
+
+	/**
+	 * Get the options of a feature that can be enabled with true or an object of options, merged with the default values
+	 *
+	 * @private
+	 * @param {Object|boolean} featureOptions The options of the feature
+	 * @param {Object} defaultOptions The default options of the feature
+	 * @returns {Object|null} The options or null if the feature is disabled
+	 */
+	_getFeatureOptions(featureOptions, defaultOptions) {
+
+		if(!featureOptions)
+			return null;
+
+		return { ...defaultOptions, ...featureOptions !== true && featureOptions };
+	}
+
+	/**
+	 * Resolve the endpoint and make the request. When the request fails at route level, the cached endpoint is evicted,
+	 * resolved again and the request is retried once.
+	 *
+	 * @private
+	 * @param {ServiceRequest} request The call to the microservice
+	 * @param {CallOptions} options The options of the call
+	 * @param {function({ endpoint: string, httpMethod: string }): void} [onResolve] Called with the endpoint once it is resolved
+	 * @returns {Promise<RequestResponse>}
+	 */
+	async _requestEndpoint({
+		service,
+		namespace,
+		method,
+		requestData,
+		requestHeaders,
+		endpointParameters
+	}, options, onResolve = () => {}) {
+
+		const { endpoint, httpMethod } = await Discovery.getEndpoint(service, namespace, method, this.discoveryProvider);
+
+		onResolve({ endpoint, httpMethod });
+
+		let routeFailure;
+		let failedResponse;
+		let failedError;
+
+		try {
+
+			failedResponse = await this._makeHedgedRequest(service, httpMethod,
+				(signal, hedgeDelay) => this._makeRequest(endpoint, httpMethod, requestData, requestHeaders, endpointParameters, {
+					...options,
+					signal,
+					queueTime: (options.queueTime || 0) + hedgeDelay
+				}), options);
+
+			routeFailure = this._getRouteFailure(failedResponse);
+
+			if(!routeFailure)
+				return failedResponse;
+
+		} catch(error) {
+
+			routeFailure = this._getRouteFailure(error);
+
+			if(!routeFailure)
+				throw error;
+
+			failedError = error;
+		}
+
+		Discovery.evict(service, namespace, method, this.discoveryProvider);
+
+		const freshEndpoint = await Discovery.getEndpoint(service, namespace, method, this.discoveryProvider);
+
+		// the endpoint is not stale, so the same request would fail again
+		if(freshEndpoint.endpoint === endpoint && freshEndpoint.httpMethod === httpMethod) {
+
+			if(failedError)
+				throw failedError;
+
+			return failedResponse;
+		}
+
+		events.emit('staleEndpoint', {
+			service,
+			namespace,
+			method,
+			endpoint,
+			httpMethod,
+			freshEndpoint: freshEndpoint.endpoint,
+			freshHttpMethod: freshEndpoint.httpMethod,
+			reason: routeFailure
+		});
+
+		return this._makeRequest(freshEndpoint.endpoint, freshEndpoint.httpMethod, requestData, requestHeaders, endpointParameters, options);
+	}
+
+	/**
+	 * Make a request, sending a second identical one when hedging is enabled for GET requests and the first one does not answer in time.
+	 * The first response wins and the other request is aborted. The hedged request runs in the same bulkhead slot and only
+	 * gets the time remaining of the timeout.
+	 *
+	 * @private
+	 * @param {string} service The name of the microservice
+	 * @param {string} httpMethod The http method of the endpoint
+	 * @param {function(AbortSignal, number): Promise<RequestResponse>} makeRequest Makes the request with the received signal,
+	 * subtracting the received time (in milliseconds) since the first request from the timeout
+	 * @param {CallOptions} options The options of the call
+	 * @returns {Promise<RequestResponse>}
+	 */
+	_makeHedgedRequest(service, httpMethod, makeRequest, options) {
+
+		const hedgingOptions = this._getFeatureOptions(typeof options.hedging !== 'undefined' ? options.hedging : this.hedging, Hedging.defaultOptions);
+
+		// an aborted call rejects right away, its signal would never emit the abort event
+		if(!hedgingOptions || httpMethod.toUpperCase() !== HEDGEABLE_METHOD || (options.signal && options.signal.aborted))
+			return makeRequest(options.signal, 0);
+
+		Hedging.recordRequest(service);
+
+		return new Promise((resolve, reject) => {
+
+			const controllers = [];
+			const startedAt = Date.now();
+
+			let timer;
+			let pendingRequests = 0;
+			let settled = false;
+
+			const abortAll = () => controllers.forEach(controller => controller.abort());
+
+			const settle = () => {
+
+				settled = true;
+				clearTimeout(timer);
+
+				if(options.signal)
+					options.signal.removeEventListener('abort', abortAll);
+			};
+
+			const startRequest = () => {
+
+				const controller = new AbortController();
+
+				controllers.push(controller);
+				pendingRequests++;
+
+				makeRequest(controller.signal, Date.now() - startedAt).then(response => {
+
+					settle();
+					controllers.filter(loser => loser !== controller).forEach(loser => loser.abort());
+					resolve(response);
+
+				}, error => {
+
+					pendingRequests--;
+
+					// while the other request is in progress it can still answer
+					if(settled || pendingRequests)
+						return;
+
+					settle();
+					reject(error);
+				});
+			};
+
+			if(options.signal)
+				options.signal.addEventListener('abort', abortAll);
+
+			timer = setTimeout(() => {
+				if(Hedging.acquire(service, hedgingOptions))
+					startRequest();
+			}, hedgingOptions.delay);
+
+			startRequest();
+		});
+	}
+
+	/**
+	 * Get the reason of a route level failure: the endpoint cannot be reached or the API Gateway does not know the route.
+	 *
+	 * @private
+	 * @param {RequestResponse|MicroServiceCallError} responseOrError The response or error of the request
+	 * @returns {string|undefined} The reason or undefined if it is not a route level failure
+	 */
+	_getRouteFailure(responseOrError) {
+
+		if(responseOrError instanceof MicroServiceCallError) {
+
+			const errorCode = responseOrError.code === MicroServiceCallError.codes.REQUEST_LIB_ERROR
+				&& responseOrError.previousError
+				&& responseOrError.previousError.code;
+
+			return RouteErrorCodes.includes(errorCode) ? errorCode : undefined;
+		}
+
+		const gatewayErrorType = responseOrError.headers && responseOrError.headers['x-amzn-errortype'];
+
+		// the error type may have a suffix after a colon
+		if(gatewayErrorType && gatewayErrorType.split(':')[0] === RouteGatewayErrorTypes[responseOrError.statusCode])
+			return `${responseOrError.statusCode} ${RouteGatewayErrorTypes[responseOrError.statusCode]}`;
+	}
+
+	/**
+	 * Makes an HTTP GET request with x-janis-method 'list' to the specified service/namespace with the specified filters. Throws an Error if Services response statusCode 400+
+	 *
+	 * @param {String} service The name of the microservice
+	 * @param {String} namespace The namespace of the microservice
+	 * @param {RequestData} requestData The query params to filter/order the list
+	 * @param {EndpointParameters} endpointParameters The endpointParameters if needed
+	 * @param {Number} pageSize The pageSize to use in list api
+	 * @param {CallOptions & ListOptions} [options] The options of the list and of each page call
+	 * @returns {Promise<RequestResponse>} Returns the response, in the body the full list of objects
+	 */
+	async list(service, namespace, requestData = null, endpointParameters, pageSize, options = {}) {
+
+		pageSize = pageSize || DEFAULT_PAGE_SIZE;
+
+		try {
+
+			if(options.concurrency > 1)
+				return await this._listConcurrently(service, namespace, requestData, endpointParameters, pageSize, options);
+
+			return await this._listPages(service, namespace, requestData, endpointParameters, pageSize, options, options.startPage);
+
+		} catch(error) {
+
+			// the fallback is used once for the whole list, the pages never use it
+			if(options.safe)
+				throw error;
+
+			return this._fallbackOrThrow(service, namespace, 'list', error, options);
+		}
+	}
+
+	/**
+	 * Request the first page with totals and the remaining pages with bounded concurrency, reassembling them in order.
+	 * When the pages do not match the totals because the data changed, the result is the same as requesting the pages one by one:
+	 * it ends in the first incomplete page, and when every page is complete the next pages are requested one by one.
+	 *
+	 * @private
+	 * @returns {Promise<RequestResponse>}
+	 */
+	async _listConcurrently(service, namespace, requestData, endpointParameters, pageSize, options) {
+
+		const { concurrency, maxItems, startPage = 1 } = options;
+
+		const isFailed = response => this._isFailedPage(response, options);
+
+		// while the list is reassembled, the pages before each page are complete
+		const getHeaders = (page, totals) => this._getPageHeaders(page, pageSize, maxItems && maxItems - ((page - startPage) * pageSize), totals);
+
+		this._throwIfCancelled(options.signal);
+
+		const firstHeaders = getHeaders(startPage, true);
+
+		const firstPage = await this._requestPage(service, namespace, requestData, endpointParameters, firstHeaders, options);
+
+		const items = [];
+
+		if(isFailed(firstPage))
+			return this._formatFailedPageResponse(firstPage, undefined, items, startPage, options);
+
+		const firstResult = this._addPageItems(items, firstPage.body, firstHeaders, options);
+
+		if(firstResult.ended)
+			return this._formatListResponse(firstPage, items, firstResult.truncated, options);
+
+		let rateLimitWait = Promise.resolve();
+
+		// when a response informs that no requests remain, the next pages are not started until the rate limit resets
+		const waitForRateLimit = response => {
+
+			const rateLimitDelay = this._getRateLimitDelay(response.headers);
+
+			if(rateLimitDelay) {
+				rateLimitWait = this._waitBeforeNextPage(rateLimitDelay, options.signal);
+				// the error is handled by the pages that wait, there may be none
+				rateLimitWait.catch(() => {});
+			}
+		};
+
+		waitForRateLimit(firstPage);
+
+		const total = this._getTotal(firstPage.headers);
+
+		if(typeof total === 'undefined') {
+
+			try {
+				await rateLimitWait;
+			} catch(error) {
+				return this._formatStoppedListResponse(error, firstPage, items, startPage + 1, options);
+			}
+
+			return this._listPages(service, namespace, requestData, endpointParameters, pageSize, options, startPage + 1, items, firstPage);
+		}
+
+		const lastItem = maxItems ? Math.min(total, ((startPage - 1) * pageSize) + maxItems) : total;
+
+		const pages = Array.from({ length: Math.ceil(lastItem / pageSize) - startPage }, (_, index) => startPage + index + 1);
+
+		const responses = await mapWithConcurrency(pages, concurrency, async page => {
+
+			try {
+				await rateLimitWait;
+			} catch(error) {
+
+				if(!options.partialResults)
+					throw error;
+
+				return { pageError: error };
+			}
+
+			const response = await this._requestPage(service, namespace, requestData, endpointParameters, getHeaders(page), options);
+
+			if(!isFailed(response))
+				waitForRateLimit(response);
+
+			return response;
+		}, isFailed);
+
+		let lastResponse = firstPage;
+
+		for(const [index, response] of responses.entries()) {
+
+			if(isFailed(response))
+				return this._formatFailedPageResponse(response, lastResponse, items, pages[index], options);
+
+			lastResponse = response;
+
+			const { ended, truncated } = this._addPageItems(items, response.body, getHeaders(pages[index]), options);
+
+			if(ended)
+				return this._formatListResponse(response, items, truncated, options);
+		}
+
+		const nextPage = startPage + pages.length + 1;
+
+		try {
+			await rateLimitWait;
+		} catch(error) {
+			return this._formatStoppedListResponse(error, lastResponse, items, nextPage, options);
+		}
+
+		// every page is complete, so the list could have more pages than the totals informed
+		return this._listPages(service, namespace, requestData, endpointParameters, pageSize, options, nextPage, items, lastResponse);
+	}
+
+	/**
+	 * Request the pages of a list one by one, from the page until the list ends
+	 *
+	 * @param {string} service The name of the microservice
+	 * @param {string} namespace The namespace of the microservice
+	 * @param {RequestData} requestData The data of every page request
+	 * @param {EndpointParameters} endpointParameters A key value to replace variables in API path
+	 * @param {number} pageSize The size of the pages
+	 * @param {number} [page=1] The page to request
+	 * @param {Array<*>} [items=[]] The items of the previous pages
+	 * @param {RequestResponse} [lastResponse] The response of the previous page
+	 * @returns {Promise<RequestResponse>}
+	 */
+	async listIterate(service, namespace, requestData, endpointParameters, pageSize, page, items, lastResponse) {
+		return this._listPages(service, namespace, requestData, endpointParameters, pageSize, {}, page, items, lastResponse);
+	}
+
+	/**
+	 * Request the pages of a list one by one with the options of the list
+	 *
+	 * @private
+	 * @param {string} service The name of the microservice
+	 * @param {string} namespace The namespace of the microservice
+	 * @param {RequestData} requestData The data of every page request
+	 * @param {EndpointParameters} endpointParameters A key value to replace variables in API path
+	 * @param {number} pageSize The size of the pages
+	 * @param {ListOptions} options The options of the list
+	 * @param {number} [page=1] The page to request
+	 * @param {Array<*>} [items=[]] The items of the previous pages
+	 * @param {RequestResponse} [lastResponse] The response of the previous page
+	 * @returns {Promise<RequestResponse>}
+	 */
+	async _listPages(service, namespace, requestData, endpointParameters, pageSize, options, page = 1, items = [], lastResponse) {
+
+		try {
+			this._throwIfCancelled(options.signal);
+		} catch(error) {
+			return this._formatStoppedListResponse(error, lastResponse, items, page, options);
+		}
+
+		const headers = this._getPageHeaders(page, pageSize, options.maxItems && options.maxItems - items.length);
+
+		const response = await this._requestPage(service, namespace, requestData, endpointParameters, headers, options);
+
+		if(this._isFailedPage(response, options))
+			return this._formatFailedPageResponse(response, lastResponse, items, page, options);
+
+		if(response)
+			lastResponse = response;
+
+		const { ended, truncated } = this._addPageItems(items, response?.body, headers, options);
+
+		if(!ended) {
+
+			const rateLimitDelay = this._getRateLimitDelay(response.headers);
+
+			if(rateLimitDelay) {
+
+				try {
+					await this._waitBeforeNextPage(rateLimitDelay, options.signal);
+				} catch(error) {
+					return this._formatStoppedListResponse(error, lastResponse, items, page + 1, options);
+				}
+			}
+
+			return this._listPages(service, namespace, requestData, endpointParameters, pageSize, options, page + 1, items, lastResponse);
+		}
+
+		return this._formatListResponse(lastResponse, items, truncated, options);
+	}
+
+	/**
+	 * Request a page of a list, with safeCall() in safe mode.
+	 * With partial results, the error of the page is resolved in the pageError property instead of rejecting.
+	 *
+	 * @private
+	 * @param {Headers} headers The paging headers
+	 * @param {CallOptions & ListOptions} options The options of the list
+	 * @returns {Promise<RequestResponse|{ pageError: Error }>}
+	 */
+	async _requestPage(service, namespace, requestData, endpointParameters, headers, {
+		concurrency,
+		safe,
+		maxItems,
+		stopWhen,
+		partialResults,
+		startPage,
+		...callOptions
+	}) {
+
+		try {
+
+			if(safe)
+				return await this.safeCall(service, namespace, 'list', requestData, headers, endpointParameters, callOptions);
+
+			return await this.call(service, namespace, 'list', requestData, headers, endpointParameters, { ...callOptions, fallback: false });
+
+		} catch(error) {
+
+			if(!partialResults)
+				throw error;
+
+			return { pageError: error };
+		}
+	}
+
+	/**
+	 * @private
+	 * @returns {boolean} true if the page failed, with partial results or in safe mode
+	 */
+	_isFailedPage(response, { safe }) {
+		return !!response && (!!response.pageError || (!!safe && response.statusCode >= 400));
+	}
+
+	/**
+	 * Get the result of a list when it cannot continue before a page, because the signal was aborted or the deadline exceeded:
+	 * the items of the previous pages with partial results
+	 *
+	 * @private
+	 * @param {MicroServiceCallError} error The error that stops the list
+	 * @param {RequestResponse} [lastResponse] The response of the last page
+	 * @param {Array<*>} items The items of the previous pages
+	 * @param {number} page The number of the page that was not requested
+	 * @param {ListOptions} options The options of the list
+	 * @throws {MicroServiceCallError} When the list has no partial results
+	 * @returns {RequestResponse}
+	 */
+	_formatStoppedListResponse(error, lastResponse, items, page, options) {
+
+		if(!options.partialResults)
+			throw error;
+
+		return this._formatFailedPageResponse({ pageError: error }, lastResponse, items, page, options);
+	}
+
+	/**
+	 * Get the result of a list when a page failed: the failed response in safe mode, or the items of the previous pages with partial results
+	 *
+	 * @private
+	 * @param {RequestResponse|{ pageError: Error }} response The response of the failed page
+	 * @param {RequestResponse} [lastResponse] The response of the last page that did not fail
+	 * @param {Array<*>} items The items of the previous pages
+	 * @param {number} page The number of the failed page
+	 * @param {ListOptions} options The options of the list
+	 * @returns {RequestResponse}
+	 */
+	_formatFailedPageResponse(response, lastResponse, items, page, options) {
+
+		if(!options.partialResults)
+			return response;
+
+		return {
+			...lastResponse,
+			body: items,
+			partial: true,
+			failedPage: page,
+			error: response.pageError || this._formatResponseError(response)
+		};
+	}
+
+	/**
+	 * Get the paging headers of a page. When less items than the page size are needed, the page size is reduced to the smallest size
+	 * that keeps the offset of the page, so the last request does not fetch more items than needed.
+	 *
+	 * @private
+	 * @param {number} page The number of the page
+	 * @param {number} pageSize The page size of the list
+	 * @param {number} [remainingItems] The amount of items needed to reach the max items of the list
+	 * @param {boolean} [totals=false] Indicates if the totals are requested
+	 * @returns {Headers}
+	 */
+	_getPageHeaders(page, pageSize, remainingItems, totals = false) {
+
+		let size = pageSize;
+
+		if(remainingItems && remainingItems < pageSize) {
+
+			const offset = (page - 1) * pageSize;
+
+			// the page size always divides the offset, so the loop ends
+			size = remainingItems;
+
+			while(offset % size)
+				size++;
+
+			page = (offset / size) + 1;
+		}
+
+		return {
+			'x-janis-page': page,
+			'x-janis-page-size': size,
+			'x-janis-totals': totals
+		};
+	}
+
+	/**
+	 * Add the items of a page to the list, until the max items are reached or an item matches the stop predicate
+	 *
+	 * @private
+	 * @param {Array<*>} items The items of the list, modified with the items of the page
+	 * @param {Array<*>|null} [body] The body of the page
+	 * @param {Headers} headers The paging headers of the page
+	 * @param {ListOptions} options The options of the list
+	 * @returns {{ ended: boolean, truncated: boolean }} If the list ended and if it was stopped before its end
+	 */
+	_addPageItems(items, body, headers, { maxItems, stopWhen }) {
+
+		const pageItems = body || [];
+
+		const stopIndex = stopWhen ? pageItems.findIndex((item, index) => stopWhen(item, items.length + index)) : -1;
+
+		const matchingItems = stopIndex === -1 ? pageItems : pageItems.slice(0, stopIndex + 1);
+
+		const newItems = maxItems ? matchingItems.slice(0, maxItems - items.length) : matchingItems;
+
+		items.push(...newItems);
+
+		const isComplete = pageItems.length === headers['x-janis-page-size'];
+
+		const stopped = stopIndex !== -1 || (!!maxItems && items.length >= maxItems);
+
+		return {
+			ended: stopped || !isComplete,
+			// an incomplete page is the end of the list, so nothing was left out unless the page was cut
+			truncated: stopped && (isComplete || newItems.length < pageItems.length)
+		};
+	}
+
+	/**
+	 * @private
+	 * @returns {RequestResponse}
+	 */
+	_formatListResponse(response, items, truncated, { maxItems, stopWhen }) {
+		return {
+			...response,
+			body: items,
+			...(maxItems || stopWhen) && { truncated }
+		};
+	}
+
+	/**
+	 * Wait before requesting the next page of a list
+	 *
+	 * @private
+	 * @param {number} delay The time to wait, in milliseconds
+	 * @param {AbortSignal} [signal] The signal of the list
+	 * @throws {MicroServiceCallError} When waiting would exceed the deadline or the signal is aborted while waiting
+	 */
+	async _waitBeforeNextPage(delay, signal) {
+
+		if(this._exceedsDeadline(delay))
+			throw new MicroServiceCallError('Deadline exceeded', MicroServiceCallError.codes.DEADLINE_EXCEEDED);
+
+		await backoff.wait(delay, signal);
+	}
+
+	async safeList(service, namespace, requestData = null, endpointParameters, pageSize, options) {
+		return this.list(service, namespace, requestData, endpointParameters, pageSize, { ...options, safe: true });
+	}
+
+	/**
+	 * Count the objects of an entity that match the filters, requesting a single object page with totals. Throws an Error if Services response statusCode 400+
+	 *
+	 * @param {String} service The name of the microservice
+	 * @param {String} namespace The namespace of the microservice
+	 * @param {Object} [filters] The filters of the list api
+	 * @param {EndpointParameters} [endpointParameters] The endpointParameters if needed
+	 * @param {CallOptions} [options] The options of the call
+	 * @returns {Promise<number>} The total of objects
+	 * @throws {MicroServiceCallError} With TOTALS_NOT_SUPPORTED code when the service does not inform a valid total
+	 */
+	async count(service, namespace, filters, endpointParameters, options) {
+
+		// a fallback body has no totals
+		const response = await this.call(service, namespace, 'list', this._getCountRequestData(filters),
+			this._getPageHeaders(1, 1, undefined, true), endpointParameters, { ...options, fallback: false });
+
+		return this._getResponseTotal(service, response);
+	}
+
+	/**
+	 * Count the objects of an entity that match the filters, requesting a single object page with totals.
+	 * When the service responds with statusCode 400+ its response is resolved instead of rejecting.
+	 *
+	 * @param {String} service The name of the microservice
+	 * @param {String} namespace The namespace of the microservice
+	 * @param {Object} [filters] The filters of the list api
+	 * @param {EndpointParameters} [endpointParameters] The endpointParameters if needed
+	 * @param {CallOptions} [options] The options of the call
+	 * @returns {Promise<RequestResponse>} The response, with the total of objects in the total property when it succeeds
+	 * @throws {MicroServiceCallError} With TOTALS_NOT_SUPPORTED code when the service does not inform a valid total
+	 */
+	async safeCount(service, namespace, filters, endpointParameters, options) {
+
+		const response = await this.safeCall(service, namespace, 'list', this._getCountRequestData(filters),
+			this._getPageHeaders(1, 1, undefined, true), endpointParameters, options);
+
+		if(response.statusCode >= 400)
+			return response;
+
+		return {
+			...response,
+			total: this._getResponseTotal(service, response)
+		};
+	}
+
+	/**
+	 * Get the objects of an entity by their ids, splitting the ids in chunks so the query string of each list request is not too long.
+	 * The objects are resolved without duplicates, in the same order of the ids. Throws an Error if Services response statusCode 400+
+	 *
+	 * @param {String} service The name of the microservice
+	 * @param {String} namespace The namespace of the microservice
+	 * @param {Array<string|number>} ids The ids of the objects
+	 * @param {EndpointParameters} [endpointParameters] The endpointParameters if needed
+	 * @param {CallOptions & GetByIdsOptions} [options] The options of the lookup and of each page call
+	 * @returns {Promise<Array<Object>|Map<string|number, Object>>} The objects found, or a Map by id with the keyById option
+	 */
+	async getByIds(service, namespace, ids, endpointParameters, {
+		idField = 'id',
+		maxQueryLength = DEFAULT_MAX_QUERY_LENGTH,
+		concurrency = DEFAULT_IDS_CONCURRENCY,
+		pageSize,
+		keyById = false,
+		...callOptions
+	} = {}) {
+
+		const uniqueIds = [...new Set(ids)];
+
+		const chunks = this._getIdsChunks(uniqueIds, idField, maxQueryLength);
+
+		// a fallback body cannot be looked up by id
+		const responses = await mapWithConcurrency(chunks, concurrency, chunk => (
+			this.list(service, namespace, { filters: { [idField]: chunk } }, endpointParameters, pageSize, { ...callOptions, fallback: false })
+		));
+
+		// the first object of each id is kept
+		const objectsById = new Map();
+
+		responses.forEach(({ body }) => body.forEach(object => {
+			const id = String(object[idField]);
+			if(!objectsById.has(id))
+				objectsById.set(id, object);
+		}));
+
+		const foundIds = uniqueIds.filter(id => objectsById.has(String(id)));
+
+		if(keyById)
+			return new Map(foundIds.map(id => [id, objectsById.get(String(id))]));
+
+		return foundIds.map(id => objectsById.get(String(id)));
+	}
+
+	/**
+	 * Split the ids in chunks, so the query string of the filter of each chunk does not exceed the max length.
+	 * An id that exceeds the max length by itself is requested alone.
+	 *
+	 * @private
+	 * @param {Array<string|number>} ids The ids to split
+	 * @param {string} idField The field used to filter
+	 * @param {number} maxQueryLength The max length of the query string
+	 * @returns {Array<Array<string|number>>}
+	 */
+	_getIdsChunks(ids, idField, maxQueryLength) {
+
+		const chunks = [];
+
+		let chunk = [];
+		let queryLength = 0;
+
+		ids.forEach(id => {
+
+			// the length of each id parameter depends on its index, and every parameter but the first one is preceded by &
+			const getParameterLength = index => stringify({ filters: { [idField]: { [index]: id } } }, QueryStringOptions).length + (index && 1);
+
+			let parameterLength = getParameterLength(chunk.length);
+
+			if(chunk.length && queryLength + parameterLength > maxQueryLength) {
+				chunks.push(chunk);
+				chunk = [];
+				queryLength = 0;
+				parameterLength = getParameterLength(0);
+			}
+
+			chunk.push(id);
+			queryLength += parameterLength;
+		});
+
+		if(chunk.length)
+			chunks.push(chunk);
+
+		return chunks;
+	}
+
+	/**
+	 * @private
+	 * @returns {RequestData|null}
+	 */
+	_getCountRequestData(filters) {
+		return filters ? { filters } : null;
+	}
+
+	/**
+	 * Get the total informed in the response of a list request
+	 *
+	 * @private
+	 * @param {Headers} [headers] The headers of the response
+	 * @returns {number|undefined} The total, or undefined when it is missing or it is not a valid number
+	 */
+	_getTotal(headers) {
+
+		const total = headers && headers[TOTAL_HEADER];
+
+		return /^\d+$/.test(total) ? Number(total) : undefined;
+	}
+
+	/**
+	 * @private
+	 * @returns {number}
+	 * @throws {MicroServiceCallError} When the response has no valid total
+	 */
+	_getResponseTotal(service, response) {
+
+		const total = this._getTotal(response.headers);
+
+		if(typeof total === 'undefined') {
+			throw new MicroServiceCallError(`Service ${service} does not support totals: missing or invalid ${TOTAL_HEADER} header`,
+				MicroServiceCallError.codes.TOTALS_NOT_SUPPORTED, response.statusCode);
+		}
+
+		return total;
+	}
+
+	/**
+	 * Iterate the items of a list, requesting each page only when the previous one was consumed. Throws an Error if Services response statusCode 400+
+	 *
+	 * @param {String} service The name of the microservice
+	 * @param {String} namespace The namespace of the microservice
+	 * @param {RequestData} requestData The query params to filter/order the list
+	 * @param {EndpointParameters} endpointParameters The endpointParameters if needed
+	 * @param {Number} pageSize The pageSize to use in list api
+	 * @param {CallOptions & { pages: boolean }} [options] The options of each page call. With pages, the responses of the pages are iterated instead of the items
+	 * @returns {AsyncGenerator<*|RequestResponse>}
+	 */
+	async* iterateList(service, namespace, requestData = null, endpointParameters, pageSize, options = {}) {
+		return yield* this._iterateList(service, namespace, requestData, endpointParameters, pageSize, options, false);
+	}
+
+	/**
+	 * Iterate the items of a list, requesting each page only when the previous one was consumed.
+	 * When a page fails (statusCode 400+) the iteration ends: its response is the last one iterated with pages, and the return value of the iterator.
+	 *
+	 * @param {String} service The name of the microservice
+	 * @param {String} namespace The namespace of the microservice
+	 * @param {RequestData} requestData The query params to filter/order the list
+	 * @param {EndpointParameters} endpointParameters The endpointParameters if needed
+	 * @param {Number} pageSize The pageSize to use in list api
+	 * @param {CallOptions & { pages: boolean }} [options] The options of each page call. With pages, the responses of the pages are iterated instead of the items
+	 * @returns {AsyncGenerator<*|RequestResponse, RequestResponse|undefined>}
+	 */
+	async* safeIterateList(service, namespace, requestData = null, endpointParameters, pageSize, options = {}) {
+		return yield* this._iterateList(service, namespace, requestData, endpointParameters, pageSize, options, true);
+	}
+
+	/**
+	 * @private
+	 * @param {boolean} safe Indicates if the failed pages end the iteration instead of throwing
+	 * @returns {AsyncGenerator<*|RequestResponse, RequestResponse|undefined>}
+	 */
+	async* _iterateList(service, namespace, requestData, endpointParameters, pageSize, { pages, ...options }, safe) {
+
+		pageSize = pageSize || DEFAULT_PAGE_SIZE;
+
+		for(let page = 1; ; page++) {
+
+			this._throwIfCancelled(options.signal);
+
+			const headers = {
+				'x-janis-page': page,
+				'x-janis-page-size': pageSize,
+				'x-janis-totals': false
+			};
+
+			// a page never uses the fallback, it could be a full page and make the iteration endless
+			const response = safe
+				? await this.safeCall(service, namespace, 'list', requestData, headers, endpointParameters, options)
+				: await this.call(service, namespace, 'list', requestData, headers, endpointParameters, { ...options, fallback: false });
+
+			if(safe && response.statusCode >= 400) {
+
+				if(pages)
+					yield response;
+
+				return response;
+			}
+
+			const items = response.body || [];
+
+			if(pages)
+				yield response;
+			else
+				yield* items;
+
+			if(items.length !== pageSize)
+				return;
+
+			const rateLimitDelay = this._getRateLimitDelay(response.headers);
+
+			if(rateLimitDelay)
+				await this._waitBeforeNextPage(rateLimitDelay, options.signal);
+		}
+	}
+
+	/**
+	 * Indicates if should re-try the call: when there is no response, the request was throttled or the service failed with a retryable error
+	 *
+	 * @param {RequestResponse|MicroServiceCallError} response MicroService Response or Error
+	 * @param {string} [service] The name of the microservice, to use its retry classification rules
+	 * @returns {boolean}
+	 */
+	shouldRetry(response = {}, service) {
+		return this._getRetryClassifier(service).shouldRetry(response);
+	}
+
+	/**
+	 * Get the retry classifier with the rules of the instance, overridden by the rules of the service
+	 *
+	 * @private
+	 * @param {string} [service] The name of the microservice
+	 * @returns {RetryClassifier}
+	 */
+	_getRetryClassifier(service) {
+
+		const { services = {}, ...rules } = this.retryClassifier;
+
+		return new RetryClassifier({ ...rules, ...services[service] });
 	}
 
 };
@@ -0,0 +1,135 @@
+'use strict';
+
+const MicroServiceCallError = require('./microservice-call-error');
+
+// Message of the errors thrown by call() when the service responds with an error status code
+const FailedMicroserviceMessageRegExp = /^Microservice failed \(\d+\): ([\s\S]*)$/;
+
+const DEFAULT_RULES = {
+	retryStatusCodes: ['5xx', 429],
+	noRetryMessages: [
+		'Argument passed in must be a single String of 12 bytes or a string of 24 hex characters',
+		'Invalid client'
+	],
+	noRetryErrorCodes: [],
+	networkErrorCodes: ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN'],
+	retryUnknownErrors: true
+};
+
+/**
+ * Retry classification rules
+ * @typedef {Object} RetryRules
+ * @property {Array<number|string>} [retryStatusCodes=['5xx',429]] The status codes that can be retried. Status codes classes like 5xx are allowed
+ * @property {Array<string|RegExp>} [noRetryMessages] The messages of the response body that are never retried, even with a retryable status code
+ * @property {Array<number>} [noRetryErrorCodes=[]] The MicroServiceCallError codes that are never retried
+ * @property {Array<string>} [networkErrorCodes=['ECONNRESET','ETIMEDOUT','EAI_AGAIN']] The network error codes that are retried
+ * @property {boolean} [retryUnknownErrors=true] Indicates if the errors without status code nor a network error code are retried
+ */
+
+/**
+ * Retry classification rules, with overrides for some services
+ * @typedef {RetryRules & { services: Object<string, RetryRules> }} RetryClassifierOptions
+ */
+
+/**
+ * @class RetryClassifier
+ * @classdesc Decides if a response or error of a call is worth retrying, using declarative rules.
+ */
+module.exports = class RetryClassifier {
+
+	/**
+	 * @returns {RetryRules}
+	 */
+	static get defaultRules() {
+		return DEFAULT_RULES;
+	}
+
+	/**
+	 * @param {RetryRules} [rules] The rules to override the default ones
+	 */
+	constructor(rules = {}) {
+		this.rules = { ...DEFAULT_RULES, ...rules };
+	}
+
+	/**
+	 * Indicates if the response or error should be retried
+	 *
+	 * @param {import('./microservice-call').RequestResponse|Error} [responseOrError] The response or error of the call
+	 * @returns {boolean}
+	 */
+	shouldRetry(responseOrError = {}) {
+
+		if(responseOrError instanceof MicroServiceCallError && this.rules.noRetryErrorCodes.includes(responseOrError.code))
+			return false;
+
+		if(responseOrError.statusCode)
+			return this.isRetryableStatusCode(responseOrError.statusCode) && !this.isNoRetryMessage(this.getMessage(responseOrError));
+
+		if(this.rules.networkErrorCodes.includes(this.getNetworkErrorCode(responseOrError)))
+			return true;
+
+		return this.rules.retryUnknownErrors;
+	}
+
+	/**
+	 * @private
+	 * @param {number} statusCode The status code of the response
+	 * @returns {boolean}
+	 */
+	isRetryableStatusCode(statusCode) {
+		return this.rules.retryStatusCodes.some(retryStatusCode => (
+			typeof retryStatusCode === 'string'
+				? String(statusCode).startsWith(retryStatusCode.replace(/x+$/i, ''))
+				: retryStatusCode === statusCode
+		));
+	}
+
+	/**
+	 * @private
+	 * @param {string} [message] The message of the response body
+	 * @returns {boolean}
+	 */
+	isNoRetryMessage(message) {
+
+		if(typeof message !== 'string')
+			return false;
+
+		return this.rules.noRetryMessages.some(noRetryMessage => (
+			noRetryMessage instanceof RegExp ? noRetryMessage.test(message) : noRetryMessage === message
+		));
+	}
+
+	/**
+	 * Get the message of the response body, or the one informed in the message of the error
+	 *
+	 * @private
+	 * @param {import('./microservice-call').RequestResponse|Error} responseOrError The response or error of the call
+	 * @returns {string|undefined}
+	 */
+	getMessage(responseOrError) {
+
+		if(responseOrError instanceof Error) {
+			const [, message] = responseOrError.message.match(FailedMicroserviceMessageRegExp) || [];
+			return message;
+		}
+
+		return responseOrError.body && responseOrError.body.message;
+	}
+
+	/**
+	 * Get the code of the network error that caused the error
+	 *
+	 * @private
+	 * @param {Error|Object} responseOrError The response or error of the call
+	 * @returns {string|undefined}
+	 */
+	getNetworkErrorCode(responseOrError) {
+
+		const { previousError } = responseOrError;
+
+		if(previousError && typeof previousError.code === 'string')
+			return previousError.code;
+
+		return typeof responseOrError.code === 'string' ? responseOrError.code : undefined;
+	}
+};
@@ -0,0 +1,285 @@
+'use strict';
+
+const sinon = require('sinon');
+const assert = require('assert');
+
+const Bulkhead = require('../lib/bulkhead');
+const MicroServiceCallError = require('../lib/microservice-call-error');
+
+describe('Bulkhead', () => {
+
+	const options = {
+		...Bulkhead.defaultOptions,
+		maxConcurrent: 1,
+		maxQueue: 2
+	};
+
+	// lets the resolved acquires run their callbacks
+	const flush = () => new Promise(resolve => setImmediate(resolve));
+
+	const acquireInOrder = (started, key, name, acquireOptions = options, waitOptions) => Bulkhead.acquire(key, acquireOptions, waitOptions)
+		.then(release => {
+			started.push(name);
+			return release;
+		});
+
+	afterEach(() => {
+		sinon.restore();
+		Bulkhead.reset();
+	});
+
+	it('Should take a slot immediately while the service is under the limit', async () => {
+
+		const release = await Bulkhead.acquire('sample-service', { ...options, maxConcurrent: 2 });
+		await Bulkhead.acquire('sample-service', { ...options, maxConcurrent: 2 });
+
+		assert.deepStrictEqual(Bulkhead.inspect('sample-service'), { active: 2, queued: 0 });
+
+		release();
+		release();
+
+		assert.deepStrictEqual(Bulkhead.inspect('sample-service'), { active: 1, queued: 0 });
+	});
+
+	it('Should start the waiting requests in order of arrival when the slots are released', async () => {
+
+		const started = [];
+
+		const firstRelease = await acquireInOrder(started, 'sample-service', 'first');
+
+		const second = acquireInOrder(started, 'sample-service', 'second');
+		const third = acquireInOrder(started, 'sample-service', 'third');
+
+		await flush();
+
+		assert.deepStrictEqual(started, ['first']);
+		assert.deepStrictEqual(Bulkhead.inspect('sample-service'), { active: 1, queued: 2 });
+
+		firstRelease();
+
+		const secondRelease = await second;
+
+		assert.deepStrictEqual(started, ['first', 'second']);
+		assert.deepStrictEqual(Bulkhead.inspect('sample-service'), { active: 1, queued: 1 });
+
+		secondRelease();
+
+		(await third)();
+
+		assert.deepStrictEqual(started, ['first', 'second', 'third']);
+		assert.deepStrictEqual(Bulkhead.inspect(), {});
+	});
+
+	it('Should not make the requests of a service wait for the requests of other services', async () => {
+
+		await Bulkhead.acquire('sample-service', options);
+
+		const waiting = Bulkhead.acquire('sample-service', options);
+
+		await Bulkhead.acquire('other-service', options);
+
+		assert.deepStrictEqual(Bulkhead.inspect(), {
+			'sample-service': { active: 1, queued: 1 },
+			'other-service': { active: 1, queued: 0 }
+		});
+
+		Bulkhead.reset();
+
+		await assert.rejects(() => waiting, {
+			name: 'MicroServiceCallError',
+			code: MicroServiceCallError.codes.BULKHEAD_FULL,
+			message: 'Bulkhead reset while waiting for a free slot for sample-service'
+		});
+	});
+
+	it('Should limit the requests of every service with the global limit', async () => {
+
+		const globalOptions = { ...options, maxConcurrent: 5, maxGlobalConcurrent: 2 };
+
+		const started = [];
+
+		const firstRelease = await acquireInOrder(started, 'sample-service', 'first', globalOptions);
+		await acquireInOrder(started, 'other-service', 'second', globalOptions);
+
+		const third = acquireInOrder(started, 'another-service', 'third', globalOptions);
+
+		await flush();
+
+		assert.deepStrictEqual(started, ['first', 'second']);
+
+		firstRelease();
+
+		await third;
+
+		assert.deepStrictEqual(started, ['first', 'second', 'third']);
+		assert.deepStrictEqual(Bulkhead.inspect('sample-service'), { active: 0, queued: 0 });
+	});
+
+	it('Should not let other services take a global slot before the requests waiting for one', async () => {
+
+		// the instances of the services have different global limits
+		const strictOptions = { ...options, maxConcurrent: 5, maxGlobalConcurrent: 1 };
+		const looseOptions = { ...options, maxConcurrent: 5, maxGlobalConcurrent: 3 };
+
+		const started = [];
+
+		const firstRelease = await acquireInOrder(started, 'sample-service', 'first', strictOptions);
+
+		const second = acquireInOrder(started, 'another-service', 'second', strictOptions);
+		const third = acquireInOrder(started, 'other-service', 'third', looseOptions);
+
+		await flush();
+
+		assert.deepStrictEqual(started, ['first']);
+		assert.deepStrictEqual(Bulkhead.inspect('other-service'), { active: 0, queued: 1 });
+
+		firstRelease();
+
+		await Promise.all([second, third]);
+
+		assert.deepStrictEqual(started, ['first', 'second', 'third']);
+	});
+
+	it('Should start a request waiting for a global slot behind a request waiting for a slot of its service', async () => {
+
+		const globalOptions = { ...options, maxGlobalConcurrent: 2 };
+
+		const started = [];
+
+		await acquireInOrder(started, 'sample-service', 'first', globalOptions);
+		const secondRelease = await acquireInOrder(started, 'other-service', 'second', globalOptions);
+
+		acquireInOrder(started, 'sample-service', 'third', globalOptions).catch(() => {});
+		const fourth = acquireInOrder(started, 'another-service', 'fourth', globalOptions);
+
+		await flush();
+
+		secondRelease();
+
+		await fourth;
+
+		assert.deepStrictEqual(started, ['first', 'second', 'fourth']);
+		assert.deepStrictEqual(Bulkhead.inspect('sample-service'), { active: 1, queued: 1 });
+	});
+
+	it('Should not make the requests without global limit wait for the requests waiting for a global slot', async () => {
+
+		const strictOptions = { ...options, maxConcurrent: 5, maxGlobalConcurrent: 1 };
+
+		await Bulkhead.acquire('sample-service', strictOptions);
+
+		Bulkhead.acquire('sample-service', strictOptions).catch(() => {});
+
+		await Bulkhead.acquire('other-service', { ...options, maxConcurrent: 5 });
+
+		assert.deepStrictEqual(Bulkhead.inspect('other-service'), { active: 1, queued: 0 });
+	});
+
+	it('Should reject when the queue of the service is full', async () => {
+
+		await Bulkhead.acquire('sample-service', options);
+
+		Bulkhead.acquire('sample-service', options).catch(() => {});
+		Bulkhead.acquire('sample-service', options).catch(() => {});
+
+		await assert.rejects(() => Bulkhead.acquire('sample-service', options), {
+			name: 'MicroServiceCallError',
+			code: MicroServiceCallError.codes.BULKHEAD_FULL,
+			message: 'Bulkhead queue full for sample-service'
+		});
+
+		await assert.rejects(() => Bulkhead.acquire('other-service', { ...options, maxConcurrent: 0, maxQueue: 0 }), {
+			code: MicroServiceCallError.codes.BULKHEAD_FULL,
+			message: 'Bulkhead queue full for other-service'
+		});
+	});
+
+	it('Should reject when the timeout passes while waiting', async () => {
+
+		const clock = sinon.useFakeTimers();
+
+		const release = await Bulkhead.acquire('sample-service', options);
+
+		const waiting = Bulkhead.acquire('sample-service', options, { timeout: 100 });
+
+		clock.tick(100);
+
+		await assert.rejects(() => waiting, {
+			name: 'MicroServiceCallError',
+			code: MicroServiceCallError.codes.TIMEOUT,
+			message: 'Request timed out after 100ms waiting for a free slot for sample-service'
+		});
+
+		assert.deepStrictEqual(Bulkhead.inspect('sample-service'), { active: 1, queued: 0 });
+
+		release();
+
+		assert.deepStrictEqual(Bulkhead.inspect(), {});
+	});
+
+	it('Should not reject when the timeout passes after getting the slot', async () => {
+
+		const clock = sinon.useFakeTimers();
+
+		const release = await Bulkhead.acquire('sample-service', options);
+
+		const waiting = Bulkhead.acquire('sample-service', options, { timeout: 100 });
+
+		release();
+
+		await waiting;
+
+		clock.tick(100);
+
+		assert.deepStrictEqual(Bulkhead.inspect('sample-service'), { active: 1, queued: 0 });
+	});
+
+	it('Should reject when the signal is aborted while waiting', async () => {
+
+		await Bulkhead.acquire('sample-service', options);
+
+		const controller = new AbortController();
+
+		const waiting = Bulkhead.acquire('sample-service', options, { signal: controller.signal });
+
+		controller.abort();
+
+		await assert.rejects(() => waiting, {
+			name: 'MicroServiceCallError',
+			code: MicroServiceCallError.codes.ABORTED,
+			message: 'Request aborted'
+		});
+
+		assert.deepStrictEqual(Bulkhead.inspect('sample-service'), { active: 1, queued: 0 });
+	});
+
+	it('Should stop listening the signal once the slot is taken', async () => {
+
+		const release = await Bulkhead.acquire('sample-service', options);
+
+		const controller = new AbortController();
+
+		sinon.spy(controller.signal, 'removeEventListener');
+
+		const waiting = Bulkhead.acquire('sample-service', options, { signal: controller.signal });
+
+		release();
+
+		await waiting;
+
+		sinon.assert.calledOnceWithMatch(controller.signal.removeEventListener, 'abort');
+	});
+
+	it('Should not release the slots taken before a reset', async () => {
+
+		const oldRelease = await Bulkhead.acquire('sample-service', options);
+
+		Bulkhead.reset();
+
+		await Bulkhead.acquire('sample-service', options);
+
+		oldRelease();
+
+		assert.deepStrictEqual(Bulkhead.inspect('sample-service'), { active: 1, queued: 0 });
+	});
+});
@@ -0,0 +1,346 @@
+'use strict';
+
+const sinon = require('sinon');
+const assert = require('assert');
+
+const CircuitBreaker = require('../lib/circuit-breaker');
+const events = require('../lib/events');
+const MicroServiceCallError = require('../lib/microservice-call-error');
+
+describe('CircuitBreaker', () => {
+
+	const options = {
+		...CircuitBreaker.defaultOptions,
+		failureThreshold: 2,
+		resetTimeout: 1000
+	};
+
+	const circuitOpenError = {
+		name: 'MicroServiceCallError',
+		code: MicroServiceCallError.codes.CIRCUIT_OPEN,
+		message: 'Circuit open for sample-service'
+	};
+
+	const makeRequest = (failed, circuitOptions = options) => {
+		const probe = CircuitBreaker.acquire('sample-service', circuitOptions);
+		CircuitBreaker.record('sample-service', circuitOptions, failed, probe);
+	};
+
+	let stateChangeListener;
+
+	beforeEach(() => {
+
+		sinon.useFakeTimers({ now: 10000, toFake: ['Date'] });
+
+		stateChangeListener = sinon.spy();
+		events.on('circuitStateChange', stateChangeListener);
+	});
+
+	afterEach(() => {
+		events.removeListener('circuitStateChange', stateChangeListener);
+		sinon.restore();
+		CircuitBreaker.reset();
+	});
+
+	it('Should expose the states and scopes of the circuits', () => {
+		assert.deepStrictEqual(CircuitBreaker.states, { CLOSED: 'closed', OPEN: 'open', HALF_OPEN: 'halfOpen' });
+		assert.deepStrictEqual(CircuitBreaker.scopes, { SERVICE: 'service', NAMESPACE: 'namespace' });
+	});
+
+	describe('getKey()', () => {
+
+		it('Should use the service as key by default', () => {
+			assert.deepStrictEqual(CircuitBreaker.getKey('sample-service', 'sample-entity'), 'sample-service');
+			assert.deepStrictEqual(CircuitBreaker.getKey('sample-service', 'sample-entity', 'service'), 'sample-service');
+		});
+
+		it('Should use the service and namespace as key with namespace scope', () => {
+			assert.deepStrictEqual(CircuitBreaker.getKey('sample-service', 'sample-entity', 'namespace'), 'sample-service/sample-entity');
+		});
+	});
+
+	describe('Opening by failure count', () => {
+
+		it('Should open the circuit after the consecutive failures threshold', () => {
+
+			makeRequest(true);
+
+			assert.deepStrictEqual(CircuitBreaker.inspect('sample-service').state, 'closed');
+
+			makeRequest(true);
+
+			assert.deepStrictEqual(CircuitBreaker.inspect('sample-service'), {
+				state: 'open',
+				consecutiveFailures: 2,
+				requests: 2,
+				failures: 2,
+				openedAt: 10000
+			});
+
+			assert.throws(() => CircuitBreaker.acquire('sample-service', options), circuitOpenError);
+
+			sinon.assert.calledOnceWithExactly(stateChangeListener, { circuit: 'sample-service', state: 'open' });
+		});
+
+		it('Should restart the count of consecutive failures after a success', () => {
+
+			makeRequest(true);
+			makeRequest(false);
+			makeRequest(true);
+
+			assert.deepStrictEqual(CircuitBreaker.inspect('sample-service'), {
+				state: 'closed',
+				consecutiveFailures: 1,
+				requests: 3,
+				failures: 2,
+				openedAt: null
+			});
+		});
+
+		it('Should ignore the results that do not tell anything about the service health', () => {
+
+			makeRequest(true);
+			makeRequest(null);
+			makeRequest(true);
+
+			assert.deepStrictEqual(CircuitBreaker.inspect('sample-service').state, 'open');
+			assert.deepStrictEqual(CircuitBreaker.inspect('sample-service').requests, 2);
+		});
+	});
+
+	describe('Opening by failure rate', () => {
+
+		const rateOptions = {
+			...CircuitBreaker.defaultOptions,
+			failureThreshold: null,
+			failureRate: 0.5,
+			minimumRequests: 4,
+			windowSize: 4
+		};
+
+		it('Should not open the circuit before the minimum amount of requests', () => {
+
+			makeRequest(true, rateOptions);
+			makeRequest(true, rateOptions);
+			makeRequest(true, rateOptions);
+
+			assert.deepStrictEqual(CircuitBreaker.inspect('sample-service').state, 'closed');
+		});
+
+		it('Should open the circuit when the failure rate of the window is reached', () => {
+
+			makeRequest(false, rateOptions);
+			makeRequest(false, rateOptions);
+			makeRequest(true, rateOptions);
+			makeRequest(false, rateOptions);
+
+			assert.deepStrictEqual(CircuitBreaker.inspect('sample-service').state, 'closed');
+
+			// the window keeps the last 4 results: false, true, false, true
+			makeRequest(true, rateOptions);
+
+			assert.deepStrictEqual(CircuitBreaker.inspect('sample-service'), {
+				state: 'open',
+				consecutiveFailures: 1,
+				requests: 4,
+				failures: 2,
+				openedAt: 10000
+			});
+		});
+	});
+
+	describe('Half-open', () => {
+
+		const openCircuit = () => {
+			makeRequest(true);
+			makeRequest(true);
+		};
+
+		it('Should keep rejecting until the reset timeout passes', () => {
+
+			openCircuit();
+
+			sinon.clock.tick(999);
+
+			assert.throws(() => CircuitBreaker.acquire('sample-service', options), circuitOpenError);
+			assert.deepStrictEqual(CircuitBreaker.inspect('sample-service').state, 'open');
+		});
+
+		it('Should let only the probe requests pass once the reset timeout passes', () => {
+
+			openCircuit();
+
+			sinon.clock.tick(1000);
+
+			assert.deepStrictEqual(CircuitBreaker.acquire('sample-service', options), 1);
+
+			assert.deepStrictEqual(CircuitBreaker.inspect('sample-service').state, 'halfOpen');
+
+			assert.throws(() => CircuitBreaker.acquire('sample-service', options), circuitOpenError);
+		});
+
+		it('Should close the circuit when the probe succeeds', () => {
+
+			openCircuit();
+
+			sinon.clock.tick(1000);
+
+			makeRequest(false);
+
+			assert.deepStrictEqual(CircuitBreaker.inspect('sample-service'), {
+				state: 'closed',
+				consecutiveFailures: 0,
+				requests: 0,
+				failures: 0,
+				openedAt: null
+			});
+
+			assert.deepStrictEqual(stateChangeListener.args.map(([{ state }]) => state), ['open', 'halfOpen', 'closed']);
+		});
+
+		it('Should open the circuit again when the probe fails', () => {
+
+			openCircuit();
+
+			sinon.clock.tick(1000);
+
+			makeRequest(true);
+
+			assert.deepStrictEqual(CircuitBreaker.inspect('sample-service').state, 'open');
+			assert.deepStrictEqual(CircuitBreaker.inspect('sample-service').openedAt, 11000);
+		});
+
+		it('Should release the probe when its result does not tell anything about the service health', () => {
+
+			openCircuit();
+
+			sinon.clock.tick(1000);
+
+			makeRequest(null);
+
+			assert.deepStrictEqual(CircuitBreaker.inspect('sample-service').state, 'halfOpen');
+
+			CircuitBreaker.acquire('sample-service', options);
+		});
+
+		it('Should not take the requests of a closed circuit as probes', () => {
+			assert.deepStrictEqual(CircuitBreaker.acquire('sample-service', options), 0);
+		});
+
+		it('Should ignore the results of requests made while the circuit was closed once it is half-open', () => {
+
+			const lateRequestOptions = { ...options, failureThreshold: 3 };
+
+			// started while the circuit is closed, they finish after it is half-open
+			const lateRequests = [
+				CircuitBreaker.acquire('sample-service', lateRequestOptions),
+				CircuitBreaker.acquire('sample-service', lateRequestOptions)
+			];
+
+			makeRequest(true, lateRequestOptions);
+			makeRequest(true, lateRequestOptions);
+			makeRequest(true, lateRequestOptions);
+
+			sinon.clock.tick(1000);
+
+			const probe = CircuitBreaker.acquire('sample-service', lateRequestOptions);
+
+			lateRequests.forEach(lateRequest => CircuitBreaker.record('sample-service', lateRequestOptions, false, lateRequest));
+
+			// the late successes do not close the circuit nor release the probe
+			assert.deepStrictEqual(CircuitBreaker.inspect('sample-service').state, 'halfOpen');
+			assert.throws(() => CircuitBreaker.acquire('sample-service', lateRequestOptions), circuitOpenError);
+
+			CircuitBreaker.record('sample-service', lateRequestOptions, false, probe);
+
+			assert.deepStrictEqual(CircuitBreaker.inspect('sample-service').state, 'closed');
+		});
+
+		it('Should not let more probes than allowed when a probe of a previous half-open period finishes', () => {
+
+			const probesOptions = { ...options, halfOpenRequests: 2 };
+
+			makeRequest(true, probesOptions);
+			makeRequest(true, probesOptions);
+
+			sinon.clock.tick(1000);
+
+			const firstProbe = CircuitBreaker.acquire('sample-service', probesOptions);
+			const secondProbe = CircuitBreaker.acquire('sample-service', probesOptions);
+
+			// the first probe fails and opens the circuit again
+			CircuitBreaker.record('sample-service', probesOptions, true, firstProbe);
+
+			sinon.clock.tick(1000);
+
+			CircuitBreaker.acquire('sample-service', probesOptions);
+
+			// the second probe finishes with a result that does not tell anything about the service health
+			CircuitBreaker.record('sample-service', probesOptions, null, secondProbe);
+
+			CircuitBreaker.acquire('sample-service', probesOptions);
+
+			assert.throws(() => CircuitBreaker.acquire('sample-service', probesOptions), circuitOpenError);
+		});
+
+		it('Should ignore the results of requests made before the circuit was opened', () => {
+
+			CircuitBreaker.acquire('sample-service', options);
+
+			openCircuit();
+
+			CircuitBreaker.record('sample-service', options, false);
+
+			assert.deepStrictEqual(CircuitBreaker.inspect('sample-service').state, 'open');
+		});
+	});
+
+	describe('inspect() and reset()', () => {
+
+		it('Should return null for a circuit without requests', () => {
+			assert.deepStrictEqual(CircuitBreaker.inspect('sample-service'), null);
+		});
+
+		it('Should return the state of every circuit', () => {
+
+			makeRequest(true);
+			CircuitBreaker.acquire('other-service', options);
+			CircuitBreaker.record('other-service', options, false);
+
+			assert.deepStrictEqual(CircuitBreaker.inspect(), {
+				'sample-service': {
+					state: 'closed',
+					consecutiveFailures: 1,
+					requests: 1,
+					failures: 1,
+					openedAt: null
+				},
+				'other-service': {
+					state: 'closed',
+					consecutiveFailures: 0,
+					requests: 1,
+					failures: 0,
+					openedAt: null
+				}
+			});
+		});
+
+		it('Should reset a single circuit or every circuit', () => {
+
+			makeRequest(true);
+			makeRequest(true);
+			CircuitBreaker.acquire('other-service', options);
+
+			CircuitBreaker.reset('sample-service');
+
+			assert.deepStrictEqual(CircuitBreaker.inspect('sample-service'), null);
+			assert.deepStrictEqual(Object.keys(CircuitBreaker.inspect()), ['other-service']);
+
+			CircuitBreaker.acquire('sample-service', options);
+
+			CircuitBreaker.reset();
+
+			assert.deepStrictEqual(CircuitBreaker.inspect(), {});
+		});
+	});
+});
@@ -0,0 +1,377 @@
+'use strict';
+
+const nock = require('nock');
+const sinon = require('sinon');
+const assert = require('assert');
+
+const { Invoker, LambdaError } = require('@janiscommerce/lambda');
+
+const {
+	DiscoveryProvider,
+	InvokerDiscoveryProvider,
+	StaticDiscoveryProvider,
+	HttpDiscoveryProvider
+} = require('../lib/discovery-providers');
+
+const MicroServiceCallError = require('../lib/microservice-call-error');
+const backoff = require('../lib/helpers/backoff');
+
+describe('Discovery Providers', () => {
+
+	afterEach(() => {
+		sinon.restore();
+		nock.cleanAll();
+	});
+
+	const endpoint = {
+		endpoint: 'https://sample-service.janis-test.in/api/sample-entity',
+		httpMethod: 'get'
+	};
+
+	describe('DiscoveryProvider', () => {
+
+		it('Should reject when getEndpoint() is not implemented', async () => {
+
+			class CustomProvider extends DiscoveryProvider {}
+
+			await assert.rejects(() => new CustomProvider().getEndpoint('sample-service', 'sample-entity', 'list'), {
+				name: 'MicroServiceCallError',
+				code: MicroServiceCallError.codes.DISCOVERY_ERROR,
+				message: 'CustomProvider must implement getEndpoint() to resolve sample-service.sample-entity.list'
+			});
+		});
+	});
+
+	describe('InvokerDiscoveryProvider', () => {
+
+		it('Should resolve the endpoint invoking Discovery GetEndpoint lambda function', async () => {
+
+			sinon.stub(Invoker, 'serviceCall').resolves({
+				payload: {
+					baseUrl: 'https://sample-service.janis-test.in',
+					path: '/api/sample-entity',
+					method: 'get'
+				}
+			});
+
+			assert.deepStrictEqual(await new InvokerDiscoveryProvider().getEndpoint('sample-service', 'sample-entity', 'list'), endpoint);
+
+			sinon.assert.calledOnceWithExactly(Invoker.serviceCall, 'discovery', 'GetEndpoint', {
+				service: 'sample-service',
+				namespace: 'sample-entity',
+				method: 'list'
+			});
+		});
+	});
+
+	describe('InvokerDiscoveryProvider retries', () => {
+
+		const endpointPayload = {
+			baseUrl: 'https://sample-service.janis-test.in',
+			path: '/api/sample-entity',
+			method: 'get'
+		};
+
+		const awsError = (name, httpStatusCode) => {
+			const error = new Error(`AWS error ${name}`);
+			error.name = name;
+			error.$metadata = { httpStatusCode };
+			return error;
+		};
+
+		beforeEach(() => {
+			sinon.stub(backoff, 'wait').resolves();
+			sinon.stub(Math, 'random').returns(0.5);
+		});
+
+		const transientFailures = {
+			'the Invoker throws a throttling error': stub => stub.rejects(awsError('TooManyRequestsException', 429)),
+			'the Invoker throws an AWS error with 5xx status code': stub => stub.rejects(awsError('UnknownError', 503)),
+			'the Invoker throws an AWS error with 429 status code': stub => stub.rejects(awsError('UnknownError', 429)),
+			'the Invoker throws a network error': stub => stub.rejects(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })),
+			'the Invoker throws an invocation failed error': stub => {
+				stub.rejects(new LambdaError('Failed to invoke', LambdaError.codes.INVOCATION_FAILED));
+			},
+			'the function fails with an unhandled error': stub => {
+				stub.resolves({ functionError: 'Unhandled', payload: { errorMessage: 'Cannot read properties' } });
+			},
+			'the function times out': stub => stub.resolves({ functionError: 'Handled', payload: { errorMessage: 'Task timed out after 3.00 seconds' } }),
+			'the function is throttled': stub => stub.resolves({ functionError: 'Handled', payload: { errorType: 'TooManyRequestsException' } })
+		};
+
+		Object.entries(transientFailures).forEach(([failure, stubFailure]) => {
+
+			it(`Should retry with exponential backoff when ${failure}`, async () => {
+
+				const serviceCallStub = sinon.stub(Invoker, 'serviceCall');
+
+				stubFailure(serviceCallStub.onFirstCall());
+				stubFailure(serviceCallStub.onSecondCall());
+				serviceCallStub.onThirdCall().resolves({ payload: endpointPayload });
+
+				assert.deepStrictEqual(await new InvokerDiscoveryProvider().getEndpoint('sample-service', 'sample-entity', 'list'), endpoint);
+
+				sinon.assert.calledThrice(Invoker.serviceCall);
+				sinon.assert.calledTwice(backoff.wait);
+				sinon.assert.calledWithExactly(backoff.wait.firstCall, 50); // random 0.5 * 100
+				sinon.assert.calledWithExactly(backoff.wait.secondCall, 100); // random 0.5 * 200
+			});
+		});
+
+		it('Should reject with a DISCOVERY_ERROR when the transient failures exceed the retries', async () => {
+
+			const throttlingError = awsError('TooManyRequestsException', 429);
+
+			sinon.stub(Invoker, 'serviceCall').rejects(throttlingError);
+
+			await assert.rejects(() => new InvokerDiscoveryProvider().getEndpoint('sample-service', 'sample-entity', 'list'), {
+				name: 'MicroServiceCallError',
+				code: MicroServiceCallError.codes.DISCOVERY_ERROR,
+				message: 'Service Discovery fails getting endpoint. Error: AWS error TooManyRequestsException',
+				previousError: throttlingError
+			});
+
+			sinon.assert.calledThrice(Invoker.serviceCall);
+		});
+
+		it('Should use the received retries and delays', async () => {
+
+			sinon.stub(Invoker, 'serviceCall').resolves({ functionError: 'Unhandled', payload: { errorMessage: 'Task timed out' } });
+
+			const provider = new InvokerDiscoveryProvider({ retries: 4, baseDelay: 1000, maxDelay: 3000 });
+
+			await assert.rejects(() => provider.getEndpoint('sample-service', 'sample-entity', 'list'), {
+				name: 'MicroServiceCallError',
+				code: MicroServiceCallError.codes.DISCOVERY_ERROR,
+				message: 'Service Discovery fails getting endpoint. Error: Task timed out'
+			});
+
+			sinon.assert.callCount(Invoker.serviceCall, 5);
+			assert.deepStrictEqual(backoff.wait.args, [[500], [1000], [1500], [1500]]);
+		});
+
+		it('Should not retry when Discovery responds a permanent error', async () => {
+
+			sinon.stub(Invoker, 'serviceCall').resolves({ payload: { errorMessage: 'Endpoint not found' } });
+
+			await assert.rejects(() => new InvokerDiscoveryProvider().getEndpoint('sample-service', 'sample-entity', 'list'), {
+				name: 'MicroServiceCallError',
+				code: MicroServiceCallError.codes.DISCOVERY_ERROR,
+				message: 'Service Discovery fails getting endpoint. Error: Endpoint not found'
+			});
+
+			sinon.assert.calledOnce(Invoker.serviceCall);
+			sinon.assert.notCalled(backoff.wait);
+		});
+
+		it('Should not retry when the function fails with a handled error that is not transient', async () => {
+
+			sinon.stub(Invoker, 'serviceCall').resolves({ functionError: 'Handled', payload: { errorMessage: 'Invalid service' } });
+
+			await assert.rejects(() => new InvokerDiscoveryProvider().getEndpoint('sample-service', 'sample-entity', 'list'), {
+				message: 'Service Discovery fails getting endpoint. Error: Invalid service'
+			});
+
+			sinon.assert.calledOnce(Invoker.serviceCall);
+		});
+
+		it('Should not retry when the Invoker throws an error that is not transient', async () => {
+
+			sinon.stub(Invoker, 'serviceCall').rejects(awsError('AccessDeniedException', 403));
+
+			await assert.rejects(() => new InvokerDiscoveryProvider().getEndpoint('sample-service', 'sample-entity', 'list'), {
+				name: 'MicroServiceCallError',
+				code: MicroServiceCallError.codes.DISCOVERY_ERROR,
+				message: 'Service Discovery fails getting endpoint. Error: AWS error AccessDeniedException'
+			});
+
+			sinon.assert.calledOnce(Invoker.serviceCall);
+
+			Invoker.serviceCall.reset();
+			Invoker.serviceCall.rejects(new Error('Some error'));
+
+			await assert.rejects(() => new InvokerDiscoveryProvider().getEndpoint('sample-service', 'sample-entity', 'list'), {
+				message: 'Service Discovery fails getting endpoint. Error: Some error'
+			});
+
+			sinon.assert.calledOnce(Invoker.serviceCall);
+		});
+
+		it('Should wait between retries using the backoff delay', async () => {
+
+			backoff.wait.restore();
+			Math.random.restore();
+
+			const clock = sinon.useFakeTimers({ toFake: ['setTimeout'] });
+
+			const waiting = backoff.wait(100);
+
+			clock.tick(100);
+
+			await waiting;
+
+			assert(backoff.getDelay(0, 100, 1000) <= 100);
+			assert(backoff.getDelay(10, 100, 1000) <= 1000);
+		});
+	});
+
+	describe('StaticDiscoveryProvider', () => {
+
+		const provider = new StaticDiscoveryProvider({
+			'sample-service.sample-entity.list': {
+				baseUrl: 'https://sample-service.janis-test.in',
+				path: '/api/sample-entity',
+				method: 'get'
+			},
+			'sample-service.sample-entity.get': {
+				baseUrl: 'https://sample-service.janis-test.in'
+			}
+		});
+
+		it('Should resolve the endpoint from the static map', async () => {
+			assert.deepStrictEqual(await provider.getEndpoint('sample-service', 'sample-entity', 'list'), endpoint);
+		});
+
+		it('Should reject when the endpoint is not in the static map', async () => {
+
+			await assert.rejects(() => provider.getEndpoint('sample-service', 'sample-entity', 'update'), {
+				name: 'MicroServiceCallError',
+				code: MicroServiceCallError.codes.DISCOVERY_ERROR,
+				message: 'Endpoint sample-service.sample-entity.update not found in static endpoints'
+			});
+
+			await assert.rejects(() => new StaticDiscoveryProvider().getEndpoint('sample-service', 'sample-entity', 'list'), {
+				name: 'MicroServiceCallError',
+				code: MicroServiceCallError.codes.DISCOVERY_ERROR
+			});
+		});
+
+		it('Should reject when the endpoint in the static map is incomplete', async () => {
+			await assert.rejects(() => provider.getEndpoint('sample-service', 'sample-entity', 'get'), {
+				name: 'MicroServiceCallError',
+				code: MicroServiceCallError.codes.DISCOVERY_ERROR,
+				message: 'Could not get base url, path or method. Base url: https://sample-service.janis-test.in, path: undefined, method: undefined'
+			});
+		});
+	});
+
+	describe('HttpDiscoveryProvider', () => {
+
+		const provider = new HttpDiscoveryProvider({
+			url: 'https://discovery.janis-test.in/api/endpoint',
+			headers: { 'x-api-key': 'some-key' }
+		});
+
+		const mockDiscoveryRequest = () => nock('https://discovery.janis-test.in', { reqheaders: { 'x-api-key': 'some-key' } })
+			.get('/api/endpoint')
+			.query({ service: 'sample-service', namespace: 'sample-entity', method: 'list' });
+
+		it('Should resolve the endpoint requesting the discovery endpoint', async () => {
+
+			mockDiscoveryRequest()
+				.reply(200, {
+					baseUrl: 'https://sample-service.janis-test.in',
+					path: '/api/sample-entity',
+					method: 'get'
+				});
+
+			assert.deepStrictEqual(await provider.getEndpoint('sample-service', 'sample-entity', 'list'), endpoint);
+		});
+
+		it('Should send no headers when they are not received', async () => {
+
+			nock('https://discovery.janis-test.in', { badheaders: ['x-api-key'] })
+				.get('/api/endpoint')
+				.query(true)
+				.reply(200, {
+					baseUrl: 'https://sample-service.janis-test.in',
+					path: '/api/sample-entity',
+					method: 'get'
+				});
+
+			const providerWithoutHeaders = new HttpDiscoveryProvider({ url: 'https://discovery.janis-test.in/api/endpoint' });
+
+			assert.deepStrictEqual(await providerWithoutHeaders.getEndpoint('sample-service', 'sample-entity', 'list'), endpoint);
+		});
+
+		it('Should reject when the discovery endpoint responds with an error using the message', async () => {
+
+			mockDiscoveryRequest()
+				.reply(404, { message: 'Endpoint not found' });
+
+			await assert.rejects(() => provider.getEndpoint('sample-service', 'sample-entity', 'list'), {
+				name: 'MicroServiceCallError',
+				code: MicroServiceCallError.codes.DISCOVERY_ERROR,
+				message: 'Service Discovery fails getting endpoint. Error: (404) Endpoint not found'
+			});
+		});
+
+		it('Should reject when the discovery endpoint responds with an error using the body or a generic message', async () => {
+
+			mockDiscoveryRequest()
+				.reply(500, { foo: 'bar' });
+
+			await assert.rejects(() => provider.getEndpoint('sample-service', 'sample-entity', 'list'), {
+				message: 'Service Discovery fails getting endpoint. Error: (500) {"foo":"bar"}'
+			});
+
+			mockDiscoveryRequest()
+				.reply(502);
+
+			await assert.rejects(() => provider.getEndpoint('sample-service', 'sample-entity', 'list'), {
+				message: 'Service Discovery fails getting endpoint. Error: (502) No response body'
+			});
+		});
+
+		it('Should reject when the discovery endpoint responds an incomplete endpoint', async () => {
+
+			mockDiscoveryRequest()
+				.reply(200);
+
+			await assert.rejects(() => provider.getEndpoint('sample-service', 'sample-entity', 'list'), {
+				name: 'MicroServiceCallError',
+				code: MicroServiceCallError.codes.DISCOVERY_ERROR,
+				message: 'Could not get base url, path or method. Base url: undefined, path: undefined, method: undefined'
+			});
+		});
+
+		it('Should reject when the request to the discovery endpoint cannot be made', async () => {
+
+			mockDiscoveryRequest()
+				.replyWithError('Connection refused');
+
+			await assert.rejects(() => provider.getEndpoint('sample-service', 'sample-entity', 'list'), {
+				name: 'MicroServiceCallError',
+				code: MicroServiceCallError.codes.DISCOVERY_ERROR,
+				message: 'Service Discovery fails getting endpoint. Error: Connection refused'
+			});
+		});
+
+		it('Should reject when the discovery endpoint does not respond in time', async () => {
+
+			mockDiscoveryRequest()
+				.delay(200)
+				.reply(200, {
+					baseUrl: 'https://sample-service.janis-test.in',
+					path: '/api/sample-entity',
+					method: 'get'
+				});
+
+			const providerWithTimeout = new HttpDiscoveryProvider({
+				url: 'https://discovery.janis-test.in/api/endpoint',
+				headers: { 'x-api-key': 'some-key' },
+				timeout: 20
+			});
+
+			await assert.rejects(() => providerWithTimeout.getEndpoint('sample-service', 'sample-entity', 'list'), {
+				name: 'MicroServiceCallError',
+				code: MicroServiceCallError.codes.DISCOVERY_ERROR,
+				message: 'Service Discovery fails getting endpoint. Error: timeout of 20ms exceeded'
+			});
+		});
+
+		it('Should wait 5 seconds for the discovery endpoint by default', () => {
+			assert.deepStrictEqual(provider.timeout, 5000);
+		});
+	});
+});
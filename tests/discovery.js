@@ -0,0 +1,575 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const sinon = require('sinon');
+const assert = require('assert');
+
+const { Invoker } = require('@janiscommerce/lambda');
+
+const Discovery = require('../lib/discovery');
+const { InvokerDiscoveryProvider, StaticDiscoveryProvider } = require('../lib/discovery-providers');
+const MicroServiceCallError = require('../lib/microservice-call-error');
+
+describe('Discovery', () => {
+
+	const oldEnv = { ...process.env };
+
+	const endpointPayload = {
+		baseUrl: 'https://sample-service.janis-test.in',
+		path: '/api/sample-entity',
+		method: 'get'
+	};
+
+	const movedEndpointPayload = {
+		baseUrl: 'https://sample-service-v2.janis-test.in',
+		path: '/api/sample-entity',
+		method: 'get'
+	};
+
+	const endpoint = {
+		endpoint: 'https://sample-service.janis-test.in/api/sample-entity',
+		httpMethod: 'get'
+	};
+
+	const movedEndpoint = {
+		endpoint: 'https://sample-service-v2.janis-test.in/api/sample-entity',
+		httpMethod: 'get'
+	};
+
+	const flushBackgroundTasks = () => new Promise(resolve => setImmediate(resolve));
+
+	let clock;
+
+	beforeEach(() => {
+		clock = sinon.useFakeTimers({ now: new Date('2024-01-01T00:00:00.000Z'), toFake: ['Date'] });
+	});
+
+	afterEach(() => {
+		process.env = { ...oldEnv };
+		sinon.restore();
+		Discovery.cleanCache();
+		Discovery.setProvider(null);
+	});
+
+	describe('cacheTtl', () => {
+
+		it('Should use 300 seconds as default', () => {
+			delete process.env.JANIS_DISCOVERY_CACHE_TTL;
+			assert.strictEqual(Discovery.cacheTtl, 300);
+		});
+
+		it('Should use the JANIS_DISCOVERY_CACHE_TTL env var when it is set', () => {
+			process.env.JANIS_DISCOVERY_CACHE_TTL = '60';
+			assert.strictEqual(Discovery.cacheTtl, 60);
+		});
+
+		it('Should use the default value when JANIS_DISCOVERY_CACHE_TTL env var is invalid', () => {
+
+			process.env.JANIS_DISCOVERY_CACHE_TTL = 'invalid';
+			assert.strictEqual(Discovery.cacheTtl, 300);
+
+			process.env.JANIS_DISCOVERY_CACHE_TTL = '-10';
+			assert.strictEqual(Discovery.cacheTtl, 300);
+		});
+	});
+
+	describe('getEndpoint()', () => {
+
+		beforeEach(() => {
+			process.env.JANIS_DISCOVERY_CACHE_TTL = '60';
+		});
+
+		it('Should return the cached endpoint while it is fresh', async () => {
+
+			sinon.stub(Invoker, 'serviceCall').resolves({ payload: endpointPayload });
+
+			assert.deepStrictEqual(await Discovery.getEndpoint('sample-service', 'sample-entity', 'list'), endpoint);
+
+			clock.tick(59 * 1000);
+
+			assert.deepStrictEqual(await Discovery.getEndpoint('sample-service', 'sample-entity', 'list'), endpoint);
+
+			sinon.assert.calledOnceWithExactly(Invoker.serviceCall, 'discovery', 'GetEndpoint', {
+				service: 'sample-service',
+				namespace: 'sample-entity',
+				method: 'list'
+			});
+		});
+
+		it('Should return the stale endpoint and refresh it in background when the ttl has expired', async () => {
+
+			sinon.stub(Invoker, 'serviceCall')
+				.onFirstCall()
+				.resolves({ payload: endpointPayload })
+				.onSecondCall()
+				.resolves({ payload: movedEndpointPayload });
+
+			await Discovery.getEndpoint('sample-service', 'sample-entity', 'list');
+
+			clock.tick(60 * 1000);
+
+			assert.deepStrictEqual(await Discovery.getEndpoint('sample-service', 'sample-entity', 'list'), endpoint);
+
+			await flushBackgroundTasks();
+
+			assert.deepStrictEqual(await Discovery.getEndpoint('sample-service', 'sample-entity', 'list'), movedEndpoint);
+
+			sinon.assert.calledTwice(Invoker.serviceCall);
+		});
+
+		it('Should refresh a stale endpoint only once when it is requested several times', async () => {
+
+			sinon.stub(Invoker, 'serviceCall')
+				.onFirstCall()
+				.resolves({ payload: endpointPayload })
+				.onSecondCall()
+				.resolves({ payload: movedEndpointPayload });
+
+			await Discovery.getEndpoint('sample-service', 'sample-entity', 'list');
+
+			clock.tick(61 * 1000);
+
+			await Promise.all([
+				Discovery.getEndpoint('sample-service', 'sample-entity', 'list'),
+				Discovery.getEndpoint('sample-service', 'sample-entity', 'list'),
+				Discovery.getEndpoint('sample-service', 'sample-entity', 'list')
+			]);
+
+			await flushBackgroundTasks();
+
+			sinon.assert.calledTwice(Invoker.serviceCall);
+		});
+
+		it('Should keep the stale endpoint when the background refresh fails', async () => {
+
+			sinon.stub(Invoker, 'serviceCall')
+				.onFirstCall()
+				.resolves({ payload: endpointPayload })
+				.onSecondCall()
+				.resolves({ payload: { errorMessage: 'An error occurred' } })
+				.onThirdCall()
+				.resolves({ payload: movedEndpointPayload });
+
+			await Discovery.getEndpoint('sample-service', 'sample-entity', 'list');
+
+			clock.tick(60 * 1000);
+
+			assert.deepStrictEqual(await Discovery.getEndpoint('sample-service', 'sample-entity', 'list'), endpoint);
+
+			await flushBackgroundTasks();
+
+			// refresh failed, so the stale one is used and a new refresh is triggered
+			assert.deepStrictEqual(await Discovery.getEndpoint('sample-service', 'sample-entity', 'list'), endpoint);
+
+			await flushBackgroundTasks();
+
+			assert.deepStrictEqual(await Discovery.getEndpoint('sample-service', 'sample-entity', 'list'), movedEndpoint);
+
+			sinon.assert.calledThrice(Invoker.serviceCall);
+		});
+
+		it('Should share a single Discovery request between concurrent lookups of the same endpoint', async () => {
+
+			sinon.stub(Invoker, 'serviceCall').resolves({ payload: endpointPayload });
+
+			const endpoints = await Promise.all([
+				Discovery.getEndpoint('sample-service', 'sample-entity', 'list'),
+				Discovery.getEndpoint('sample-service', 'sample-entity', 'list'),
+				Discovery.getEndpoint('sample-service', 'sample-entity', 'list'),
+				Discovery.getEndpoint('sample-service', 'sample-entity', 'get')
+			]);
+
+			assert.deepStrictEqual(endpoints, [endpoint, endpoint, endpoint, endpoint]);
+
+			sinon.assert.calledTwice(Invoker.serviceCall);
+			sinon.assert.calledWithExactly(Invoker.serviceCall.firstCall, 'discovery', 'GetEndpoint', {
+				service: 'sample-service',
+				namespace: 'sample-entity',
+				method: 'list'
+			});
+			sinon.assert.calledWithExactly(Invoker.serviceCall.secondCall, 'discovery', 'GetEndpoint', {
+				service: 'sample-service',
+				namespace: 'sample-entity',
+				method: 'get'
+			});
+		});
+
+		it('Should reject every concurrent lookup with the same error when the shared Discovery request fails', async () => {
+
+			sinon.stub(Invoker, 'serviceCall')
+				.onFirstCall()
+				.resolves({ payload: { errorMessage: 'An error occurred' } })
+				.onSecondCall()
+				.resolves({ payload: endpointPayload });
+
+			const results = await Promise.allSettled([
+				Discovery.getEndpoint('sample-service', 'sample-entity', 'list'),
+				Discovery.getEndpoint('sample-service', 'sample-entity', 'list')
+			]);
+
+			results.forEach(({ status, reason }) => {
+				assert.strictEqual(status, 'rejected');
+				assert.strictEqual(reason.name, 'MicroServiceCallError');
+				assert.strictEqual(reason.code, MicroServiceCallError.codes.DISCOVERY_ERROR);
+			});
+
+			assert.strictEqual(results[0].reason, results[1].reason);
+
+			// the failed lookup is not kept, so the next one requests the endpoint again
+			assert.deepStrictEqual(await Discovery.getEndpoint('sample-service', 'sample-entity', 'list'), endpoint);
+
+			sinon.assert.calledTwice(Invoker.serviceCall);
+		});
+
+		it('Should never expire the cached endpoints when the ttl is 0', async () => {
+
+			process.env.JANIS_DISCOVERY_CACHE_TTL = '0';
+
+			sinon.stub(Invoker, 'serviceCall').resolves({ payload: endpointPayload });
+
+			await Discovery.getEndpoint('sample-service', 'sample-entity', 'list');
+
+			clock.tick(365 * 24 * 60 * 60 * 1000);
+
+			assert.deepStrictEqual(await Discovery.getEndpoint('sample-service', 'sample-entity', 'list'), endpoint);
+
+			await flushBackgroundTasks();
+
+			sinon.assert.calledOnce(Invoker.serviceCall);
+		});
+	});
+
+	describe('Providers', () => {
+
+		const staticProvider = new StaticDiscoveryProvider({
+			'sample-service.sample-entity.list': movedEndpointPayload
+		});
+
+		it('Should use the InvokerDiscoveryProvider by default', () => {
+			assert(Discovery.provider instanceof InvokerDiscoveryProvider);
+		});
+
+		it('Should use the received provider instead of the global one', async () => {
+
+			sinon.stub(Invoker, 'serviceCall').resolves({ payload: endpointPayload });
+
+			assert.deepStrictEqual(await Discovery.getEndpoint('sample-service', 'sample-entity', 'list', staticProvider), movedEndpoint);
+
+			sinon.assert.notCalled(Invoker.serviceCall);
+		});
+
+		it('Should use the global provider when it is set and restore the default one with null', async () => {
+
+			sinon.stub(Invoker, 'serviceCall').resolves({ payload: endpointPayload });
+
+			Discovery.setProvider(staticProvider);
+
+			assert.strictEqual(Discovery.provider, staticProvider);
+			assert.deepStrictEqual(await Discovery.getEndpoint('sample-service', 'sample-entity', 'list'), movedEndpoint);
+
+			Discovery.setProvider(null);
+
+			assert.deepStrictEqual(await Discovery.getEndpoint('sample-service', 'sample-entity', 'list'), endpoint);
+
+			sinon.assert.calledOnce(Invoker.serviceCall);
+		});
+
+		it('Should keep a separated cache for every provider', async () => {
+
+			const provider = { getEndpoint: sinon.stub().resolves(movedEndpoint) };
+
+			sinon.stub(Invoker, 'serviceCall').resolves({ payload: endpointPayload });
+
+			assert.deepStrictEqual(await Discovery.getEndpoint('sample-service', 'sample-entity', 'list'), endpoint);
+			assert.deepStrictEqual(await Discovery.getEndpoint('sample-service', 'sample-entity', 'list', provider), movedEndpoint);
+			assert.deepStrictEqual(await Discovery.getEndpoint('sample-service', 'sample-entity', 'list'), endpoint);
+			assert.deepStrictEqual(await Discovery.getEndpoint('sample-service', 'sample-entity', 'list', provider), movedEndpoint);
+
+			sinon.assert.calledOnce(Invoker.serviceCall);
+			sinon.assert.calledOnceWithExactly(provider.getEndpoint, 'sample-service', 'sample-entity', 'list');
+		});
+
+		it('Should prefetch the endpoints using the received provider', async () => {
+
+			const { endpoints, failed } = await Discovery.prefetch([
+				{ service: 'sample-service', namespace: 'sample-entity', method: 'list' },
+				{ service: 'sample-service', namespace: 'sample-entity', method: 'get' }
+			], { provider: staticProvider });
+
+			assert.deepStrictEqual(endpoints.map(({ endpoint: url }) => url), [movedEndpoint.endpoint]);
+			assert.deepStrictEqual(failed.map(({ method }) => method), ['get']);
+		});
+	});
+
+	describe('prefetch()', () => {
+
+		const stubServiceCallByMethod = () => {
+			sinon.stub(Invoker, 'serviceCall').callsFake(async (service, lambdaFunction, { method }) => {
+				return method === 'missing'
+					? { payload: { errorMessage: 'Endpoint not found' } }
+					: { payload: { ...endpointPayload, path: `/api/sample-entity/${method}` } };
+			});
+		};
+
+		it('Should resolve every endpoint and save them in cache', async () => {
+
+			stubServiceCallByMethod();
+
+			const result = await Discovery.prefetch([
+				{ service: 'sample-service', namespace: 'sample-entity', method: 'list' },
+				{ service: 'sample-service', namespace: 'sample-entity', method: 'get' }
+			]);
+
+			assert.deepStrictEqual(result, {
+				endpoints: [
+					{
+						service: 'sample-service',
+						namespace: 'sample-entity',
+						method: 'list',
+						endpoint: 'https://sample-service.janis-test.in/api/sample-entity/list',
+						httpMethod: 'get'
+					},
+					{
+						service: 'sample-service',
+						namespace: 'sample-entity',
+						method: 'get',
+						endpoint: 'https://sample-service.janis-test.in/api/sample-entity/get',
+						httpMethod: 'get'
+					}
+				],
+				failed: []
+			});
+
+			await Discovery.getEndpoint('sample-service', 'sample-entity', 'list');
+			await Discovery.getEndpoint('sample-service', 'sample-entity', 'get');
+
+			sinon.assert.calledTwice(Invoker.serviceCall);
+		});
+
+		it('Should report the endpoints that could not be resolved', async () => {
+
+			stubServiceCallByMethod();
+
+			const { endpoints, failed } = await Discovery.prefetch([
+				{ service: 'sample-service', namespace: 'sample-entity', method: 'missing' },
+				{ service: 'sample-service', namespace: 'sample-entity', method: 'list' }
+			]);
+
+			assert.deepStrictEqual(endpoints.map(({ method }) => method), ['list']);
+
+			assert.strictEqual(failed.length, 1);
+			assert.strictEqual(failed[0].service, 'sample-service');
+			assert.strictEqual(failed[0].namespace, 'sample-entity');
+			assert.strictEqual(failed[0].method, 'missing');
+			assert.strictEqual(failed[0].error.code, MicroServiceCallError.codes.DISCOVERY_ERROR);
+			assert.strictEqual(failed[0].error.message, 'Service Discovery fails getting endpoint. Error: Endpoint not found');
+		});
+
+		it('Should not make more Discovery requests at the same time than the received concurrency', async () => {
+
+			let running = 0;
+			let maxRunning = 0;
+
+			sinon.stub(Invoker, 'serviceCall').callsFake(async () => {
+
+				running++;
+				maxRunning = Math.max(maxRunning, running);
+
+				await flushBackgroundTasks();
+
+				running--;
+
+				return { payload: endpointPayload };
+			});
+
+			const endpointDefinitions = ['list', 'get', 'post', 'put', 'patch', 'delete']
+				.map(method => ({ service: 'sample-service', namespace: 'sample-entity', method }));
+
+			const { endpoints } = await Discovery.prefetch(endpointDefinitions, { concurrency: 2 });
+
+			assert.strictEqual(endpoints.length, 6);
+			assert.strictEqual(maxRunning, 2);
+
+			sinon.assert.callCount(Invoker.serviceCall, 6);
+		});
+
+		it('Should resolve an empty result when no endpoints are received', async () => {
+
+			sinon.stub(Invoker, 'serviceCall');
+
+			assert.deepStrictEqual(await Discovery.prefetch([]), { endpoints: [], failed: [] });
+
+			sinon.assert.notCalled(Invoker.serviceCall);
+		});
+	});
+
+	describe('Endpoint overrides', () => {
+
+		const overridesFile = path.join(os.tmpdir(), 'microservice-call-endpoint-overrides.json');
+
+		beforeEach(() => {
+			sinon.spy(Invoker, 'serviceCall');
+		});
+
+		afterEach(() => {
+			if(fs.existsSync(overridesFile))
+				fs.unlinkSync(overridesFile);
+		});
+
+		it('Should use the full override from JANIS_ENDPOINT_OVERRIDES env var without calling Discovery', async () => {
+
+			process.env.JANIS_ENDPOINT_OVERRIDES = JSON.stringify({
+				'catalog.product.get': { baseUrl: 'http://localhost:3001', path: '/api/product/{id}', method: 'GET' }
+			});
+
+			assert.deepStrictEqual(await Discovery.getEndpoint('catalog', 'product', 'get'), {
+				endpoint: 'http://localhost:3001/api/product/{id}',
+				httpMethod: 'GET'
+			});
+
+			sinon.assert.notCalled(Invoker.serviceCall);
+		});
+
+		it('Should merge the overrides by service, service and namespace, and service, namespace and method', async () => {
+
+			process.env.JANIS_ENDPOINT_OVERRIDES = JSON.stringify({
+				catalog: 'http://localhost:3001',
+				'catalog.product': { path: '/api/product', method: 'GET' },
+				'catalog.product.get': { path: '/api/product/{id}' },
+				'catalog.product.update': { path: '/api/product/{id}', method: 'PUT' }
+			});
+
+			assert.deepStrictEqual(await Discovery.getEndpoint('catalog', 'product', 'list'), {
+				endpoint: 'http://localhost:3001/api/product',
+				httpMethod: 'GET'
+			});
+
+			assert.deepStrictEqual(await Discovery.getEndpoint('catalog', 'product', 'get'), {
+				endpoint: 'http://localhost:3001/api/product/{id}',
+				httpMethod: 'GET'
+			});
+
+			assert.deepStrictEqual(await Discovery.getEndpoint('catalog', 'product', 'update'), {
+				endpoint: 'http://localhost:3001/api/product/{id}',
+				httpMethod: 'PUT'
+			});
+
+			sinon.assert.notCalled(Invoker.serviceCall);
+		});
+
+		it('Should use the overrides from the JANIS_ENDPOINT_OVERRIDES_FILE, giving precedence to the env var ones', async () => {
+
+			fs.writeFileSync(overridesFile, JSON.stringify({
+				catalog: { baseUrl: 'http://localhost:3001', path: '/api/product', method: 'GET' },
+				wms: { baseUrl: 'http://localhost:3002', path: '/api/stock', method: 'GET' }
+			}));
+
+			process.env.JANIS_ENDPOINT_OVERRIDES_FILE = overridesFile;
+			process.env.JANIS_ENDPOINT_OVERRIDES = JSON.stringify({
+				wms: { baseUrl: 'http://localhost:3003', path: '/api/stock', method: 'GET' }
+			});
+
+			assert.deepStrictEqual(await Discovery.getEndpoint('catalog', 'product', 'list'), {
+				endpoint: 'http://localhost:3001/api/product',
+				httpMethod: 'GET'
+			});
+
+			assert.deepStrictEqual(await Discovery.getEndpoint('wms', 'stock', 'list'), {
+				endpoint: 'http://localhost:3003/api/stock',
+				httpMethod: 'GET'
+			});
+
+			sinon.assert.notCalled(Invoker.serviceCall);
+		});
+
+		it('Should read the overrides file only once', async () => {
+
+			fs.writeFileSync(overridesFile, JSON.stringify({
+				catalog: { baseUrl: 'http://localhost:3001', path: '/api/product', method: 'GET' }
+			}));
+
+			process.env.JANIS_ENDPOINT_OVERRIDES_FILE = overridesFile;
+
+			sinon.spy(fs, 'readFileSync');
+
+			await Discovery.getEndpoint('catalog', 'product', 'list');
+			await Discovery.getEndpoint('catalog', 'product', 'list');
+
+			sinon.assert.calledOnce(fs.readFileSync);
+		});
+
+		it('Should use Discovery for the services that are not overridden', async () => {
+
+			process.env.JANIS_ENDPOINT_OVERRIDES = JSON.stringify({
+				catalog: { baseUrl: 'http://localhost:3001', path: '/api/product', method: 'GET' }
+			});
+
+			Invoker.serviceCall.restore();
+			sinon.stub(Invoker, 'serviceCall').resolves({ payload: endpointPayload });
+
+			assert.deepStrictEqual(await Discovery.getEndpoint('sample-service', 'sample-entity', 'list'), endpoint);
+
+			sinon.assert.calledOnce(Invoker.serviceCall);
+		});
+
+		it('Should reject when the merged override does not have base url, path or method', async () => {
+
+			process.env.JANIS_ENDPOINT_OVERRIDES = JSON.stringify({
+				catalog: 'http://localhost:3001'
+			});
+
+			await assert.rejects(() => Discovery.getEndpoint('catalog', 'product', 'get'), {
+				name: 'MicroServiceCallError',
+				code: MicroServiceCallError.codes.DISCOVERY_ERROR,
+				message: 'Incomplete endpoint override for catalog.product.get. Base url: http://localhost:3001, path: undefined, method: undefined'
+			});
+
+			sinon.assert.notCalled(Invoker.serviceCall);
+		});
+
+		it('Should reject when the JANIS_ENDPOINT_OVERRIDES env var is not a valid JSON', async () => {
+
+			process.env.JANIS_ENDPOINT_OVERRIDES = '{ invalid';
+
+			await assert.rejects(() => Discovery.getEndpoint('catalog', 'product', 'get'), {
+				name: 'MicroServiceCallError',
+				code: MicroServiceCallError.codes.DISCOVERY_ERROR,
+				message: /^Invalid endpoint overrides in JANIS_ENDPOINT_OVERRIDES\. Error: /
+			});
+
+			sinon.assert.notCalled(Invoker.serviceCall);
+		});
+
+		it('Should reject when the JANIS_ENDPOINT_OVERRIDES_FILE cannot be read', async () => {
+
+			process.env.JANIS_ENDPOINT_OVERRIDES_FILE = overridesFile;
+
+			await assert.rejects(() => Discovery.getEndpoint('catalog', 'product', 'get'), {
+				name: 'MicroServiceCallError',
+				code: MicroServiceCallError.codes.DISCOVERY_ERROR,
+				message: /^Invalid endpoint overrides in .+microservice-call-endpoint-overrides\.json\. Error: ENOENT/
+			});
+
+			sinon.assert.notCalled(Invoker.serviceCall);
+		});
+	});
+
+	describe('cleanCache()', () => {
+
+		it('Should request the endpoint again after cleaning the cache', async () => {
+
+			sinon.stub(Invoker, 'serviceCall').resolves({ payload: endpointPayload });
+
+			await Discovery.getEndpoint('sample-service', 'sample-entity', 'list');
+
+			Discovery.cleanCache();
+
+			await Discovery.getEndpoint('sample-service', 'sample-entity', 'list');
+
+			sinon.assert.calledTwice(Invoker.serviceCall);
+		});
+	});
+});
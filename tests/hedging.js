@@ -0,0 +1,58 @@
+'use strict';
+
+const assert = require('assert');
+
+const Hedging = require('../lib/hedging');
+
+describe('Hedging', () => {
+
+	const options = { ...Hedging.defaultOptions, budgetPercent: 50 };
+
+	afterEach(() => {
+		Hedging.reset();
+	});
+
+	it('Should allow the hedged requests while they are under the budget percentage of the requests', () => {
+
+		Hedging.recordRequest('sample-service');
+
+		assert.deepStrictEqual(Hedging.acquire('sample-service', options), true);
+
+		Hedging.recordRequest('sample-service');
+
+		assert.deepStrictEqual(Hedging.acquire('sample-service', options), false);
+
+		Hedging.recordRequest('sample-service');
+		Hedging.recordRequest('sample-service');
+
+		assert.deepStrictEqual(Hedging.acquire('sample-service', options), true);
+		assert.deepStrictEqual(Hedging.inspect('sample-service'), { requests: 4, hedges: 2 });
+	});
+
+	it('Should not allow hedged requests without requests', () => {
+		assert.deepStrictEqual(Hedging.acquire('sample-service', options), false);
+	});
+
+	it('Should keep a budget for each service', () => {
+
+		Hedging.recordRequest('sample-service');
+		Hedging.acquire('sample-service', options);
+
+		Hedging.recordRequest('other-service');
+
+		assert.deepStrictEqual(Hedging.inspect(), {
+			'sample-service': { requests: 1, hedges: 1 },
+			'other-service': { requests: 1, hedges: 0 }
+		});
+	});
+
+	it('Should forget every budget when reset', () => {
+
+		Hedging.recordRequest('sample-service');
+
+		Hedging.reset();
+
+		assert.deepStrictEqual(Hedging.inspect('sample-service'), null);
+		assert.deepStrictEqual(Hedging.inspect(), {});
+	});
+});
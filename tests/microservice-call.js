@@ -20,6 +20,10 @@ const {
 } = require('./helpers/secret-fetcher.js');
 
 const Discovery = require('../lib/discovery');
+const backoff = require('../lib/helpers/backoff');
+const CircuitBreaker = require('../lib/circuit-breaker');
+const Bulkhead = require('../lib/bulkhead');
+const Hedging = require('../lib/hedging');
 
 const originalRequest = axios.request;
 
@@ -45,6 +49,12 @@ describe('MicroService call', () => {
 		sinon.restore();
 
 		Discovery.cleanCache();
+
+		CircuitBreaker.reset();
+
+		Bulkhead.reset();
+
+		Hedging.reset();
 	});
 
 	const getEndpointStub = (result, functionError = false) => {
@@ -56,6 +66,47 @@ describe('MicroService call', () => {
 			});
 	};
 
+	const stubEndpoint = (method = 'get', path = '/api/sample-entity') => getEndpointStub({
+		baseUrl: 'https://sample-service.janis-test.in',
+		path,
+		method
+	});
+
+	const pageError = new MicroServiceCallError('Request timed out after 1000ms', MicroServiceCallError.codes.TIMEOUT);
+
+	// responds the items of the page using its offset, with the totals when they are requested,
+	// rejecting the failed pages and responding the ones with error status code
+	const stubList = (itemsCount, { failedPages = [], errorPages = [], method = 'call' } = {}) => {
+
+		const allItems = Array.from({ length: itemsCount }, (_, index) => ({ id: index }));
+
+		sinon.stub(MicroServiceCall.prototype, method).callsFake(async (service, namespace, listMethod, requestData, headers) => {
+
+			const page = headers['x-janis-page'];
+
+			if(failedPages.includes(page))
+				throw pageError;
+
+			if(errorPages.includes(page))
+				return { statusCode: 500, headers: {}, body: { message: 'Database fails' } };
+
+			const offset = (page - 1) * headers['x-janis-page-size'];
+
+			return {
+				statusCode: 200,
+				headers: headers['x-janis-totals'] ? { 'x-janis-total': String(itemsCount) } : {},
+				body: allItems.slice(offset, offset + headers['x-janis-page-size'])
+			};
+		});
+
+		return allItems;
+	};
+
+	const getRequestedPageHeaders = (method = 'call') => MicroServiceCall.prototype[method].args.map(([, , , , headers]) => headers);
+
+	const getRequestedPages = (method = 'call') => getRequestedPageHeaders(method)
+		.map(headers => [headers['x-janis-page'], headers['x-janis-page-size']]);
+
 	const assertGetEndpoint = (service, namespace, method) => {
 		sinon.assert.calledOnceWithExactly(Invoker.serviceCall, 'discovery', 'GetEndpoint', { service, namespace, method });
 	};
@@ -579,12 +630,15 @@ describe('MicroService call', () => {
 		});
 
 		const assertCall = (...calls) => {
-			calls.forEach(call => {
+			calls.forEach(([requestData, headers, endpointParameters, options = {}]) => {
 				sinon.assert.calledWithExactly(MicroServiceCall.prototype.call, ...[
 					'sample-service',
 					'sample-entity',
 					'list',
-					...call
+					requestData,
+					headers,
+					endpointParameters,
+					{ ...options, fallback: false }
 				]);
 			});
 		};
@@ -784,6 +838,16 @@ describe('MicroService call', () => {
 				null
 			]);
 		});
+
+		it('Should list from the page received by listIterate() without options', async () => {
+
+			const allItems = stubList(5);
+
+			const { body } = await ms.listIterate('sample-service', 'sample-entity', null, null, 2, 2);
+
+			assert.deepStrictEqual(body, allItems.slice(2));
+			assert.deepStrictEqual(getRequestedPages(), [[2, 2], [3, 2]]);
+		});
 	});
 
 	describe('safeList()', () => {
@@ -793,12 +857,15 @@ describe('MicroService call', () => {
 		});
 
 		const assertSafeCall = (...calls) => {
-			calls.forEach(call => {
+			calls.forEach(([requestData, headers, endpointParameters, options = {}]) => {
 				sinon.assert.calledWithExactly(MicroServiceCall.prototype.safeCall, ...[
 					'sample-service',
 					'sample-entity',
 					'list',
-					...call
+					requestData,
+					headers,
+					endpointParameters,
+					options
 				]);
 			});
 		};
@@ -986,370 +1053,3931 @@ describe('MicroService call', () => {
 		});
 	});
 
-	describe('Should Retry', () => {
+	describe('Concurrent list pages', () => {
+
+		let clock;
 
 		beforeEach(() => {
 			process.env.JANIS_SERVICE_SECRET = 'insecure-secret';
+			clock = sinon.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
 		});
 
-		it('Should return true if no status code is found', () => {
-
-			assert(ms.shouldRetry());
-			assert(ms.shouldRetry({ body: [] }));
-			assert(ms.shouldRetry(new Error('TypeError')));
-			assert(ms.shouldRetry(new MicroServiceCallError('Request Lib Fails', MicroServiceCallError.codes.REQUEST_LIB_ERROR)));
-		});
+		const makeItems = (page, count = 2) => Array.from({ length: count }, (_, index) => ({ id: `${page}-${index}` }));
 
-		it('Should return true if status code is 500 and not an exceptional one', () => {
+		const makePage = (page, count = 2, headers = {}) => ({ statusCode: 200, headers, body: makeItems(page, count) });
 
-			assert(ms.shouldRetry(new MicroServiceCallError(
-				'Microservice failed (504): Timeout',
-				MicroServiceCallError.codes.MICROSERVICE_FAILED,
-				504
-			)));
-			assert(ms.shouldRetry({
-				statusCode: 504,
-				body: { message: 'Timeout' }
-			}));
-			assert(ms.shouldRetry({
-				statusCode: 500
-			}));
-		});
+		// resolves the response of each page after its delay, by default the later pages before the earlier ones
+		const stubPages = (responses, method = 'call', delays = {}) => {
 
-		it('Should return false if status code is 40X', () => {
+			const state = { active: 0, maxActive: 0 };
 
-			assert(!ms.shouldRetry(new MicroServiceCallError(
-				'Microservice failed (404): Not Found',
-				MicroServiceCallError.codes.MICROSERVICE_FAILED,
-				404
-			)));
-			assert(!ms.shouldRetry({
-				statusCode: 404,
-				body: { message: 'Not Found' }
-			}));
-			assert(!ms.shouldRetry({
-				statusCode: 404
-			}));
-		});
+			sinon.stub(MicroServiceCall.prototype, method).callsFake(async (service, namespace, listMethod, requestData, headers) => {
 
-		it('Should return false if status code is 500 and is an exceptional one', () => {
+				const page = headers['x-janis-page'];
 
-			assert(!ms.shouldRetry(new MicroServiceCallError(
-				'Microservice failed (500): Argument passed in must be a single String of 12 bytes or a string of 24 hex characters',
-				MicroServiceCallError.codes.MICROSERVICE_FAILED,
-				500
-			)));
-			assert(!ms.shouldRetry({
-				statusCode: 500,
-				body: { message: 'Argument passed in must be a single String of 12 bytes or a string of 24 hex characters' }
-			}));
+				state.active++;
+				state.maxActive = Math.max(state.maxActive, state.active);
 
-			assert(!ms.shouldRetry(new MicroServiceCallError(
-				'Microservice failed (500): Invalid client',
-				MicroServiceCallError.codes.MICROSERVICE_FAILED,
-				500
-			)));
-			assert(!ms.shouldRetry({
-				statusCode: 500,
-				body: { message: 'Invalid client' }
-			}));
-		});
-	});
+				await new Promise(resolve => setTimeout(resolve, delays[page] ?? 10 - page));
 
-	describe('Cache endpoints', () => {
+				state.active--;
 
-		beforeEach(() => {
-			process.env.JANIS_SERVICE_SECRET = 'insecure-secret';
-		});
+				const response = responses[page];
 
-		it('Should cache the getEndpoint response after 2 times calling with same parameters', async () => {
+				if(response instanceof Error)
+					throw response;
 
-			getEndpointStub({
-				baseUrl: 'https://sample-service.janis-test.in',
-				path: '/api/sample-entity',
-				method: 'POST'
+				return response;
 			});
 
-			const mockMsResponse = { id: 'foo-id' };
+			return state;
+		};
 
-			const headersResponse = {
-				'content-type': 'application/json'
-			};
+		// runs the delays of the pages until there are no more timers, then settles with the list
+		const runList = async listing => {
 
-			nock('https://sample-service.janis-test.in')
-				.post('/api/sample-entity', { foo: 'bar' })
-				.reply(200, mockMsResponse, headersResponse);
+			listing.catch(() => {});
 
-			const data = await ms.call('sample-service', 'sample-entity', 'create', { foo: 'bar' });
+			await clock.runAllAsync();
 
-			assert.deepStrictEqual(data, {
-				statusCode: 200,
-				statusMessage: null,
-				body: mockMsResponse,
-				headers: headersResponse
+			return listing;
+		};
+
+		it('Should request the remaining pages with bounded concurrency using the totals of the first page', async () => {
+
+			const state = stubPages({
+				1: makePage(1, 2, { 'x-janis-total': '9' }),
+				2: makePage(2),
+				3: makePage(3),
+				4: makePage(4),
+				5: makePage(5, 1)
 			});
 
-			nock('https://sample-service.janis-test.in')
-				.post('/api/sample-entity', { foo: 'bar' })
-				.reply(200, mockMsResponse, headersResponse);
+			const { statusCode, body } = await runList(ms.list('sample-service', 'sample-entity', null, null, 2, { concurrency: 2, timeout: 1000 }));
 
-			const data2 = await ms.call('sample-service', 'sample-entity', 'create', { foo: 'bar' });
+			assert.deepStrictEqual(statusCode, 200);
+			assert.deepStrictEqual(body, [...makeItems(1), ...makeItems(2), ...makeItems(3), ...makeItems(4), ...makeItems(5, 1)]);
+			assert.deepStrictEqual(state.maxActive, 2);
 
-			assert.deepStrictEqual(data, data2);
+			assert.deepStrictEqual(getRequestedPageHeaders(), [
+				{ 'x-janis-page': 1, 'x-janis-page-size': 2, 'x-janis-totals': true },
+				{ 'x-janis-page': 2, 'x-janis-page-size': 2, 'x-janis-totals': false },
+				{ 'x-janis-page': 3, 'x-janis-page-size': 2, 'x-janis-totals': false },
+				{ 'x-janis-page': 4, 'x-janis-page-size': 2, 'x-janis-totals': false },
+				{ 'x-janis-page': 5, 'x-janis-page-size': 2, 'x-janis-totals': false }
+			]);
 
-			sinon.assert.calledOnce(Invoker.serviceCall);
+			sinon.assert.alwaysCalledWithMatch(MicroServiceCall.prototype.call, 'sample-service', 'sample-entity', 'list', null,
+				sinon.match.object, null, { timeout: 1000 });
 		});
 
-		it('Shouldn\'t cache the getEndpoint response after 2 times calling with different parameters', async () => {
+		it('Should make a single request when the first page is not complete', async () => {
 
+			stubPages({ 1: makePage(1, 1, { 'x-janis-total': '1' }) });
 
-			sinon.stub(Invoker, 'serviceCall')
-				.onFirstCall()
-				.resolves({
-					payload: {
-						baseUrl: 'https://sample-service.janis-test.in',
-						path: '/api/sample-entity',
-						method: 'POST'
-					}
-				})
-				.onSecondCall()
-				.resolves({
-					payload: {
-						baseUrl: 'https://sample-service.janis-test.in',
-						path: '/api/sample-entity',
-						method: 'PUT'
-					}
-				});
+			const { body } = await runList(ms.list('sample-service', 'sample-entity', null, null, 2, { concurrency: 5 }));
 
-			const mockMsResponse = { id: 'foo-id' };
+			assert.deepStrictEqual(body, makeItems(1, 1));
 
-			const headersResponse = {
-				'content-type': 'application/json'
-			};
+			sinon.assert.calledOnce(MicroServiceCall.prototype.call);
+		});
 
-			nock('https://sample-service.janis-test.in')
-				.post('/api/sample-entity', { foo: 'bar' })
-				.reply(200, mockMsResponse, headersResponse);
+		it('Should request the pages one by one when the first page has no totals', async () => {
 
-			const data = await ms.call('sample-service', 'sample-entity', 'create', { foo: 'bar' });
+			stubPages({ 1: { statusCode: 200, body: makeItems(1) }, 2: makePage(2), 3: makePage(3, 0) });
 
-			assert.deepStrictEqual(data, {
-				statusCode: 200,
-				statusMessage: null,
-				body: mockMsResponse,
-				headers: headersResponse
-			});
+			const { body } = await runList(ms.list('sample-service', 'sample-entity', null, null, 2, { concurrency: 5 }));
 
-			nock('https://sample-service.janis-test.in')
-				.put('/api/sample-entity', { foo: 'bar' })
-				.reply(200, mockMsResponse, headersResponse);
+			assert.deepStrictEqual(body, [...makeItems(1), ...makeItems(2)]);
 
-			const data2 = await ms.call('sample-service', 'sample-entity', 'update', { foo: 'bar' });
+			assert.deepStrictEqual(getRequestedPages().map(([page]) => page), [1, 2, 3]);
+		});
 
-			assert.deepStrictEqual(data, data2);
+		it('Should keep requesting the pages one by one when the last page is complete because the list grew', async () => {
 
-			sinon.assert.calledTwice(Invoker.serviceCall);
-		});
+			stubPages({
+				1: makePage(1, 2, { 'x-janis-total': '4' }),
+				2: makePage(2),
+				3: makePage(3, 1)
+			});
 
-	});
+			const { body } = await runList(ms.list('sample-service', 'sample-entity', null, null, 2, { concurrency: 5 }));
 
-	describe('Fetching secret when JANIS_SERVICE_SECRET is not set', () => {
+			assert.deepStrictEqual(body, [...makeItems(1), ...makeItems(2), ...makeItems(3, 1)]);
 
-		const headersResponse = {
-			'content-type': 'application/json'
-		};
+			assert.deepStrictEqual(getRequestedPages().map(([page]) => page), [1, 2, 3]);
+		});
 
-		const apiSecret = 'ultra-secure-secret';
+		it('Should end in the first incomplete page when the list shrank', async () => {
 
-		const mockMsResponse = [{ name: 'foo' }];
+			stubPages({
+				1: makePage(1, 2, { 'x-janis-total': '8' }),
+				2: makePage(2, 1),
+				3: makePage(3),
+				4: makePage(4)
+			});
 
-		context('When secret was found', () => {
+			const { body } = await runList(ms.list('sample-service', 'sample-entity', null, null, 2, { concurrency: 5 }));
 
-			it('Should return the correct response object on successful calls adding the secret', async () => {
+			assert.deepStrictEqual(body, [...makeItems(1), ...makeItems(2, 1)]);
 
-				secretGetValueResolves({ apiSecret });
+			sinon.assert.callCount(MicroServiceCall.prototype.call, 4);
+		});
 
-				getEndpointStub({
-					baseUrl: 'https://sample-service.janis-test.in',
-					path: '/api/sample-entity',
-					method: 'get'
-				});
+		it('Should end in a page without body', async () => {
 
-				const reqheaders = {
-					'content-type': 'application/json',
-					'janis-api-key': 'service-dummy-service',
-					'janis-api-secret': apiSecret
-				};
+			stubPages({
+				1: makePage(1, 2, { 'x-janis-total': '6' }),
+				2: { statusCode: 200, body: null },
+				3: makePage(3)
+			});
 
-				nock('https://sample-service.janis-test.in', { reqheaders })
-					.get('/api/sample-entity')
-					.reply(200, mockMsResponse, headersResponse);
+			const { body } = await runList(ms.list('sample-service', 'sample-entity', null, null, 2, { concurrency: 5 }));
 
-				const data = await ms.call('sample-service', 'sample-entity', 'list');
+			assert.deepStrictEqual(body, makeItems(1));
+		});
 
-				assert.deepStrictEqual(data, {
-					statusCode: 200,
-					statusMessage: null,
-					body: mockMsResponse,
-					headers: headersResponse
-				});
+		it('Should resolve an empty list when the first page has no body', async () => {
 
-				assertGetEndpoint('sample-service', 'sample-entity', 'list');
+			stubPages({ 1: { statusCode: 200, headers: { 'x-janis-total': '0' }, body: null } });
 
-				assertSecretsGet(sinon, 'dummy-service');
-			});
+			const { body } = await runList(ms.list('sample-service', 'sample-entity', null, null, 2, { concurrency: 5 }));
 
-			it('Should cache the secret after the first call', async () => {
+			assert.deepStrictEqual(body, []);
+		});
 
-				secretGetValueResolves({ apiSecret });
+		it('Should reject without requesting more pages when a page fails', async () => {
 
-				getEndpointStub({
-					baseUrl: 'https://sample-service.janis-test.in',
-					path: '/api/sample-entity',
-					method: 'get'
-				});
+			stubPages({
+				1: makePage(1, 2, { 'x-janis-total': '10' }),
+				2: new MicroServiceCallError('Microservice failed (500): Service Fails', MicroServiceCallError.codes.MICROSERVICE_FAILED, 500),
+				3: makePage(3),
+				4: makePage(4),
+				5: makePage(5)
+			}, 'call', { 2: 30, 3: 1, 4: 60 });
 
-				const reqheaders = {
-					'content-type': 'application/json',
-					'janis-api-key': 'service-dummy-service',
-					'janis-api-secret': apiSecret
-				};
+			await assert.rejects(() => runList(ms.list('sample-service', 'sample-entity', null, null, 2, { concurrency: 2 })), {
+				code: MicroServiceCallError.codes.MICROSERVICE_FAILED
+			});
 
-				const testRequest = async () => {
-					nock('https://sample-service.janis-test.in', { reqheaders })
-						.get('/api/sample-entity')
-						.reply(200, mockMsResponse, headersResponse);
+			// page 4 was started when page 3 finished, before page 2 failed
+			assert.deepStrictEqual(getRequestedPages().map(([page]) => page), [1, 2, 3, 4]);
+		});
 
-					const data = await ms.call('sample-service', 'sample-entity', 'list');
+		it('Should resolve the first failed page without requesting more pages in safe mode', async () => {
 
-					assert.deepStrictEqual(data, {
-						statusCode: 200,
-						statusMessage: null,
-						body: mockMsResponse,
-						headers: headersResponse
-					});
-				};
+			const failedPage = { statusCode: 500, body: { message: 'Service Fails' } };
 
-				await testRequest();
-				await testRequest();
-				await testRequest();
-				await testRequest();
-				await testRequest();
+			stubPages({
+				1: makePage(1, 2, { 'x-janis-total': '10' }),
+				2: failedPage,
+				3: makePage(3),
+				4: makePage(4),
+				5: makePage(5)
+			}, 'safeCall', { 2: 30, 3: 1, 4: 60 });
 
-				assertGetEndpoint('sample-service', 'sample-entity', 'list');
+			const response = await runList(ms.safeList('sample-service', 'sample-entity', null, null, 2, { concurrency: 2 }));
 
-				assertSecretsGet(sinon, 'dummy-service');
-			});
+			assert.deepStrictEqual(response, failedPage);
+			assert.deepStrictEqual(getRequestedPages('safeCall').map(([page]) => page), [1, 2, 3, 4]);
 		});
 
-		context('When secret was found with bad format', () => {
+		it('Should resolve the first page when it fails in safe mode', async () => {
 
-			it('should reject after making the call', async () => {
+			const failedPage = { statusCode: 500, body: { message: 'Service Fails' } };
 
-				secretGetValueResolves(apiSecret);
+			stubPages({ 1: failedPage }, 'safeCall');
 
-				getEndpointStub({
-					baseUrl: 'https://sample-service.janis-test.in',
-					path: '/api/sample-entity',
-					method: 'get'
-				});
+			assert.deepStrictEqual(await runList(ms.safeList('sample-service', 'sample-entity', null, null, 2, { concurrency: 2 })), failedPage);
 
-				await assert.rejects(() => ms.call('sample-service', 'sample-entity', 'list'), {
-					name: 'MicroServiceCallError',
-					code: MicroServiceCallError.codes.JANIS_SECRET_MISSING,
-					message: 'Microservice failed: Secret is missing'
-				});
+			sinon.assert.calledOnce(MicroServiceCall.prototype.safeCall);
+		});
 
-				assertGetEndpoint('sample-service', 'sample-entity', 'list');
+		it('Should not request any page when the signal is already aborted', async () => {
 
-				assertSecretsGet(sinon, 'dummy-service');
+			stubPages({});
+
+			const controller = new AbortController();
+			controller.abort();
+
+			await assert.rejects(() => ms.list('sample-service', 'sample-entity', null, null, 2, { concurrency: 2, signal: controller.signal }), {
+				code: MicroServiceCallError.codes.ABORTED
 			});
-		});
 
-		context('When secrets manager package rejects or throws', () => {
+			sinon.assert.notCalled(MicroServiceCall.prototype.call);
+		});
+	});
 
-			it('should reject when secrets manager throws', async () => {
+	describe('Bounded lists', () => {
+
+		beforeEach(() => {
+			process.env.JANIS_SERVICE_SECRET = 'insecure-secret';
+		});
+
+		it('Should not inform if the list was truncated without max items nor stop predicate', async () => {
+
+			stubList(1);
+
+			const response = await ms.list('sample-service', 'sample-entity');
+
+			assert.deepStrictEqual(response.truncated, undefined);
+		});
+
+		it('Should end the list when the max items are reached reducing the last page size', async () => {
+
+			const allItems = stubList(10);
+
+			const { body, truncated } = await ms.list('sample-service', 'sample-entity', null, null, 4, { maxItems: 6 });
+
+			assert.deepStrictEqual(body, allItems.slice(0, 6));
+			assert.deepStrictEqual(truncated, true);
+
+			// the items 4 and 5 are the third page of size 2
+			assert.deepStrictEqual(getRequestedPages(), [[1, 4], [3, 2]]);
+
+			sinon.assert.alwaysCalledWithMatch(MicroServiceCall.prototype.call, 'sample-service', 'sample-entity', 'list', null,
+				sinon.match.object, null, {});
+		});
+
+		it('Should keep the page size when no smaller size keeps the offset of the last page', async () => {
+
+			const allItems = stubList(10);
+
+			const { body } = await ms.list('sample-service', 'sample-entity', null, null, 4, { maxItems: 7 });
+
+			assert.deepStrictEqual(body, allItems.slice(0, 7));
+			assert.deepStrictEqual(getRequestedPages(), [[1, 4], [2, 4]]);
+		});
+
+		it('Should request only the max items when they are less than the page size', async () => {
+
+			const allItems = stubList(100);
+
+			const { body, truncated } = await ms.list('sample-service', 'sample-entity', null, null, null, { maxItems: 3 });
+
+			assert.deepStrictEqual(body, allItems.slice(0, 3));
+			assert.deepStrictEqual(truncated, true);
+			assert.deepStrictEqual(getRequestedPages(), [[1, 3]]);
+		});
+
+		it('Should not truncate the list when it ends before the max items', async () => {
+
+			const allItems = stubList(5);
+
+			const { body, truncated } = await ms.list('sample-service', 'sample-entity', null, null, 2, { maxItems: 10 });
+
+			assert.deepStrictEqual(body, allItems);
+			assert.deepStrictEqual(truncated, false);
+			assert.deepStrictEqual(getRequestedPages(), [[1, 2], [2, 2], [3, 2]]);
+		});
+
+		it('Should end the list after the first item that matches the stop predicate', async () => {
+
+			const allItems = stubList(10);
+
+			const stopWhen = sinon.spy(({ id }) => id === 4);
+
+			const { body, truncated } = await ms.list('sample-service', 'sample-entity', null, null, 3, { stopWhen });
+
+			assert.deepStrictEqual(body, allItems.slice(0, 5));
+			assert.deepStrictEqual(truncated, true);
+			assert.deepStrictEqual(getRequestedPages(), [[1, 3], [2, 3]]);
+
+			assert.deepStrictEqual(stopWhen.args.map(([, index]) => index), [0, 1, 2, 3, 4]);
+		});
+
+		it('Should not truncate the list when the last item matches the stop predicate', async () => {
+
+			const allItems = stubList(5);
+
+			const { body, truncated } = await ms.list('sample-service', 'sample-entity', null, null, 3, { stopWhen: ({ id }) => id === 4 });
+
+			assert.deepStrictEqual(body, allItems);
+			assert.deepStrictEqual(truncated, false);
+		});
+
+		it('Should apply the max items and the stop predicate to a safe list', async () => {
+
+			const allItems = stubList(10, { method: 'safeCall' });
+
+			const { body, truncated } = await ms.safeList('sample-service', 'sample-entity', null, null, 2, {
+				maxItems: 5,
+				stopWhen: ({ id }) => id === 2
+			});
+
+			assert.deepStrictEqual(body, allItems.slice(0, 3));
+			assert.deepStrictEqual(truncated, true);
+
+			sinon.assert.alwaysCalledWithMatch(MicroServiceCall.prototype.safeCall, 'sample-service', 'sample-entity', 'list', null,
+				sinon.match.object, null, {});
+		});
+
+		it('Should request only the pages needed for the max items with concurrency', async () => {
+
+			const allItems = stubList(10);
+
+			const { body, truncated } = await ms.list('sample-service', 'sample-entity', null, null, 2, { maxItems: 5, concurrency: 3 });
+
+			assert.deepStrictEqual(body, allItems.slice(0, 5));
+			assert.deepStrictEqual(truncated, true);
+			assert.deepStrictEqual(getRequestedPages(), [[1, 2], [2, 2], [5, 1]]);
+		});
+
+		it('Should end the list with concurrency when the first page reaches the max items', async () => {
+
+			const allItems = stubList(10);
+
+			const { body, truncated } = await ms.list('sample-service', 'sample-entity', null, null, 4, { maxItems: 2, concurrency: 3 });
+
+			assert.deepStrictEqual(body, allItems.slice(0, 2));
+			assert.deepStrictEqual(truncated, true);
+			assert.deepStrictEqual(getRequestedPages(), [[1, 2]]);
+		});
+
+		it('Should end the list with concurrency after the first item that matches the stop predicate', async () => {
+
+			const allItems = stubList(10);
+
+			const { body, truncated } = await ms.list('sample-service', 'sample-entity', null, null, 2, {
+				stopWhen: ({ id }) => id === 3,
+				concurrency: 2
+			});
+
+			assert.deepStrictEqual(body, allItems.slice(0, 4));
+			assert.deepStrictEqual(truncated, true);
+		});
+	});
+
+	describe('Partial lists', () => {
+
+		beforeEach(() => {
+			process.env.JANIS_SERVICE_SECRET = 'insecure-secret';
+		});
+
+		it('Should resolve the items of the previous pages with the failed page and its error', async () => {
+
+			const allItems = stubList(10, { failedPages: [3] });
+
+			const response = await ms.list('sample-service', 'sample-entity', null, null, 2, { partialResults: true });
+
+			assert.deepStrictEqual(response, {
+				statusCode: 200,
+				headers: {},
+				body: allItems.slice(0, 4),
+				partial: true,
+				failedPage: 3,
+				error: pageError
+			});
+
+			assert.deepStrictEqual(getRequestedPages(), [[1, 2], [2, 2], [3, 2]]);
+
+			sinon.assert.alwaysCalledWithMatch(MicroServiceCall.prototype.call, 'sample-service', 'sample-entity', 'list', null,
+				sinon.match.object, null, {});
+		});
+
+		it('Should reject when a page fails without partial results', async () => {
+
+			stubList(10, { failedPages: [3] });
+
+			await assert.rejects(() => ms.list('sample-service', 'sample-entity', null, null, 2), pageError);
+		});
+
+		it('Should resolve no items when the first page fails', async () => {
+
+			stubList(10, { failedPages: [1] });
+
+			assert.deepStrictEqual(await ms.list('sample-service', 'sample-entity', null, null, 2, { partialResults: true }), {
+				body: [],
+				partial: true,
+				failedPage: 1,
+				error: pageError
+			});
+		});
+
+		describe('Stopped between pages', () => {
+
+			const firstPage = {
+				statusCode: 200,
+				headers: { 'ratelimit-remaining': '0', 'ratelimit-reset': '5' },
+				body: [{ id: 0 }, { id: 1 }]
+			};
+
+			const assertStoppedList = (response, code) => {
+
+				const { error, ...partialResponse } = response;
+
+				assert.deepStrictEqual(partialResponse, { ...firstPage, partial: true, failedPage: 2 });
+				assert.deepStrictEqual(error.code, code);
+
+				sinon.assert.calledOnce(MicroServiceCall.prototype.call);
+			};
+
+			it('Should resolve the items of the previous pages when the signal is aborted while waiting for the next page', async () => {
+
+				sinon.stub(MicroServiceCall.prototype, 'call').resolves(firstPage);
+
+				const controller = new AbortController();
+
+				sinon.stub(backoff, 'wait').callsFake((delay, signal) => {
+					const waiting = backoff.wait.wrappedMethod(delay, signal);
+					controller.abort();
+					return waiting;
+				});
+
+				const response = await ms.list('sample-service', 'sample-entity', null, null, 2, { partialResults: true, signal: controller.signal });
+
+				assertStoppedList(response, MicroServiceCallError.codes.ABORTED);
+			});
+
+			it('Should resolve the items of the previous pages when waiting for the next page would exceed the deadline', async () => {
+
+				sinon.stub(MicroServiceCall.prototype, 'call').resolves(firstPage);
+
+				const response = await ms.setDeadline(Date.now() + 1000).list('sample-service', 'sample-entity', null, null, 2, { partialResults: true });
+
+				assertStoppedList(response, MicroServiceCallError.codes.DEADLINE_EXCEEDED);
+			});
+
+			it('Should resolve the items of the previous pages when the deadline is exceeded before the next page', async () => {
+
+				const clock = sinon.useFakeTimers({ now: 10000, toFake: ['Date'] });
+
+				sinon.stub(MicroServiceCall.prototype, 'call').callsFake(async () => {
+					clock.tick(1000);
+					return { ...firstPage, headers: {} };
+				});
+
+				const msWithDeadline = ms.setDeadline(11000);
+
+				const { error, ...response } = await msWithDeadline.list('sample-service', 'sample-entity', null, null, 2, { partialResults: true });
+
+				assert.deepStrictEqual(response, {
+					statusCode: 200,
+					headers: {},
+					body: firstPage.body,
+					partial: true,
+					failedPage: 2
+				});
+				assert.deepStrictEqual(error.code, MicroServiceCallError.codes.DEADLINE_EXCEEDED);
+			});
+
+			it('Should resolve the items of the first page when waiting for the concurrent pages would exceed the deadline', async () => {
+
+				const firstPageWithTotal = { ...firstPage, headers: { ...firstPage.headers, 'x-janis-total': '6' } };
+
+				sinon.stub(MicroServiceCall.prototype, 'call').resolves(firstPageWithTotal);
+
+				const { error, ...response } = await ms.setDeadline(Date.now() + 1000)
+					.list('sample-service', 'sample-entity', null, null, 2, { partialResults: true, concurrency: 2 });
+
+				assert.deepStrictEqual(response, { ...firstPageWithTotal, partial: true, failedPage: 2 });
+				assert.deepStrictEqual(error.code, MicroServiceCallError.codes.DEADLINE_EXCEEDED);
+
+				sinon.assert.calledOnce(MicroServiceCall.prototype.call);
+			});
+
+			it('Should resolve the items of the first page when waiting for the next page would exceed the deadline without totals', async () => {
+
+				sinon.stub(MicroServiceCall.prototype, 'call').resolves(firstPage);
+
+				const response = await ms.setDeadline(Date.now() + 1000)
+					.list('sample-service', 'sample-entity', null, null, 2, { partialResults: true, concurrency: 2 });
+
+				assertStoppedList(response, MicroServiceCallError.codes.DEADLINE_EXCEEDED);
+			});
+
+			it('Should resolve the items of the concurrent pages when waiting for the pages after the totals would exceed the deadline', async () => {
+
+				const secondPage = { ...firstPage, body: [{ id: 2 }, { id: 3 }] };
+
+				sinon.stub(MicroServiceCall.prototype, 'call')
+					.onFirstCall()
+					.resolves({ ...firstPage, headers: { 'x-janis-total': '4' } })
+					.onSecondCall()
+					.resolves(secondPage);
+
+				const { error, ...response } = await ms.setDeadline(Date.now() + 1000)
+					.list('sample-service', 'sample-entity', null, null, 2, { partialResults: true, concurrency: 2 });
+
+				assert.deepStrictEqual(response, {
+					...secondPage,
+					body: [...firstPage.body, ...secondPage.body],
+					partial: true,
+					failedPage: 3
+				});
+				assert.deepStrictEqual(error.code, MicroServiceCallError.codes.DEADLINE_EXCEEDED);
+
+				sinon.assert.calledTwice(MicroServiceCall.prototype.call);
+			});
+		});
+
+		it('Should not inform partial results when every page succeeds', async () => {
+
+			const allItems = stubList(3);
+
+			assert.deepStrictEqual(await ms.list('sample-service', 'sample-entity', null, null, 2, { partialResults: true }), {
+				statusCode: 200,
+				headers: {},
+				body: allItems
+			});
+		});
+
+		it('Should resolve the items of the previous pages with the error of the failed response in safe mode', async () => {
+
+			const allItems = stubList(10, { errorPages: [2], method: 'safeCall' });
+
+			const response = await ms.safeList('sample-service', 'sample-entity', null, null, 2, { partialResults: true });
+
+			assert.deepStrictEqual(response.body, allItems.slice(0, 2));
+			assert.deepStrictEqual(response.partial, true);
+			assert.deepStrictEqual(response.failedPage, 2);
+
+			assert.deepStrictEqual(response.error, new MicroServiceCallError('Microservice failed (500): Database fails',
+				MicroServiceCallError.codes.MICROSERVICE_FAILED, 500));
+		});
+
+		it('Should resolve the items of the pages before the failed one with concurrency', async () => {
+
+			const allItems = stubList(10, { failedPages: [3] });
+
+			const response = await ms.list('sample-service', 'sample-entity', null, null, 2, { partialResults: true, concurrency: 2 });
+
+			assert.deepStrictEqual(response.body, allItems.slice(0, 4));
+			assert.deepStrictEqual(response.failedPage, 3);
+			assert.deepStrictEqual(response.error, pageError);
+		});
+
+		it('Should resolve no items when the first page fails with concurrency', async () => {
+
+			stubList(10, { failedPages: [2] });
+
+			const response = await ms.list('sample-service', 'sample-entity', null, null, 2, { partialResults: true, concurrency: 2, startPage: 2 });
+
+			assert.deepStrictEqual(response, {
+				body: [],
+				partial: true,
+				failedPage: 2,
+				error: pageError
+			});
+		});
+
+		it('Should start the list from the received page', async () => {
+
+			const allItems = stubList(10);
+
+			const { body } = await ms.list('sample-service', 'sample-entity', null, null, 3, { startPage: 3 });
+
+			assert.deepStrictEqual(body, allItems.slice(6));
+			assert.deepStrictEqual(getRequestedPages(), [[3, 3], [4, 3]]);
+		});
+
+		it('Should start the list from the received page with concurrency and max items', async () => {
+
+			const allItems = stubList(10);
+
+			const { body, truncated } = await ms.list('sample-service', 'sample-entity', null, null, 2, {
+				startPage: 2,
+				maxItems: 3,
+				concurrency: 2
+			});
+
+			assert.deepStrictEqual(body, allItems.slice(2, 5));
+			assert.deepStrictEqual(truncated, true);
+
+			// the item 4 is the fifth page of size 1
+			assert.deepStrictEqual(getRequestedPages(), [[2, 2], [5, 1]]);
+		});
+
+		it('Should resume a partial list from the failed page', async () => {
+
+			const allItems = stubList(10, { failedPages: [4] });
+
+			const partialResponse = await ms.list('sample-service', 'sample-entity', null, null, 2, { partialResults: true });
+
+			MicroServiceCall.prototype.call.restore();
+			stubList(10);
+
+			const { body } = await ms.list('sample-service', 'sample-entity', null, null, 2, { startPage: partialResponse.failedPage });
+
+			assert.deepStrictEqual([...partialResponse.body, ...body], allItems);
+		});
+	});
+
+	describe('iterateList() and safeIterateList()', () => {
+
+		beforeEach(() => {
+			process.env.JANIS_SERVICE_SECRET = 'insecure-secret';
+		});
+
+		const collect = async iterator => {
+
+			const values = [];
+
+			for await (const value of iterator)
+				values.push(value);
+
+			return values;
+		};
+
+		const pageHeaders = (page, pageSize = 2) => ({ 'x-janis-page': page, 'x-janis-page-size': pageSize, 'x-janis-totals': false });
+
+		it('Should iterate the items of every page', async () => {
+
+			sinon.stub(MicroServiceCall.prototype, 'call')
+				.onCall(0)
+				.resolves({ statusCode: 200, body: [{ name: 'item-1' }, { name: 'item-2' }] })
+				.onCall(1)
+				.resolves({ statusCode: 200, body: [{ name: 'item-3' }] });
+
+			const items = await collect(ms.iterateList('sample-service', 'sample-entity', { filters: { status: 'active' } }, null, 2));
+
+			assert.deepStrictEqual(items, [{ name: 'item-1' }, { name: 'item-2' }, { name: 'item-3' }]);
+
+			sinon.assert.calledTwice(MicroServiceCall.prototype.call);
+			sinon.assert.calledWithExactly(MicroServiceCall.prototype.call.firstCall, 'sample-service', 'sample-entity', 'list',
+				{ filters: { status: 'active' } }, pageHeaders(1), null, { fallback: false });
+			sinon.assert.calledWithExactly(MicroServiceCall.prototype.call.secondCall, 'sample-service', 'sample-entity', 'list',
+				{ filters: { status: 'active' } }, pageHeaders(2), null, { fallback: false });
+		});
+
+		it('Should iterate the responses of every page with the pages option', async () => {
+
+			const firstPage = { statusCode: 200, headers: { 'x-janis-total': 60 }, body: Array(60).fill({ name: 'item' }) };
+			const secondPage = { statusCode: 200, headers: {}, body: [] };
+
+			sinon.stub(MicroServiceCall.prototype, 'call')
+				.onCall(0)
+				.resolves(firstPage)
+				.onCall(1)
+				.resolves(secondPage);
+
+			const controller = new AbortController();
+
+			const pages = await collect(ms.iterateList('sample-service', 'sample-entity', undefined, undefined, undefined, {
+				pages: true,
+				signal: controller.signal
+			}));
+
+			assert.deepStrictEqual(pages, [firstPage, secondPage]);
+
+			sinon.assert.calledWithExactly(MicroServiceCall.prototype.call.secondCall, 'sample-service', 'sample-entity', 'list',
+				null, pageHeaders(2, 60), undefined, { signal: controller.signal, fallback: false });
+		});
+
+		it('Should request the next page only when the consumer asks for it and stop when it breaks out of the loop', async () => {
+
+			sinon.stub(MicroServiceCall.prototype, 'call')
+				.resolves({ statusCode: 200, body: [{ name: 'item-1' }, { name: 'item-2' }] });
+
+			const iterator = ms.iterateList('sample-service', 'sample-entity', null, null, 2);
+
+			sinon.assert.notCalled(MicroServiceCall.prototype.call);
+
+			const items = [];
+
+			for await (const item of iterator) {
+
+				items.push(item);
+
+				if(items.length === 3)
+					break;
+			}
+
+			assert.deepStrictEqual(items, [{ name: 'item-1' }, { name: 'item-2' }, { name: 'item-1' }]);
+
+			sinon.assert.calledTwice(MicroServiceCall.prototype.call);
+
+			assert.deepStrictEqual(await iterator.next(), { done: true, value: undefined });
+		});
+
+		it('Should reject when a page fails', async () => {
+
+			sinon.stub(MicroServiceCall.prototype, 'call')
+				.onCall(0)
+				.resolves({ statusCode: 200, body: [{ name: 'item-1' }, { name: 'item-2' }] })
+				.onCall(1)
+				.rejects(new MicroServiceCallError('Microservice failed (500): Service Fails', MicroServiceCallError.codes.MICROSERVICE_FAILED, 500));
+
+			const items = [];
+
+			await assert.rejects(async () => {
+				for await (const item of ms.iterateList('sample-service', 'sample-entity', null, null, 2))
+					items.push(item);
+			}, { code: MicroServiceCallError.codes.MICROSERVICE_FAILED });
+
+			assert.deepStrictEqual(items, [{ name: 'item-1' }, { name: 'item-2' }]);
+		});
+
+		it('Should end the safe iteration when a page fails', async () => {
+
+			const failedPage = { statusCode: 500, body: { message: 'Service Fails' } };
+
+			sinon.stub(MicroServiceCall.prototype, 'safeCall')
+				.onCall(0)
+				.resolves({ statusCode: 200, body: [{ name: 'item-1' }, { name: 'item-2' }] })
+				.onCall(1)
+				.resolves(failedPage)
+				.onCall(2)
+				.resolves({ statusCode: 200, body: [{ name: 'item-1' }, { name: 'item-2' }] })
+				.onCall(3)
+				.resolves(failedPage);
+
+			const iterator = ms.safeIterateList('sample-service', 'sample-entity', null, null, 2);
+
+			assert.deepStrictEqual(await iterator.next(), { done: false, value: { name: 'item-1' } });
+			assert.deepStrictEqual(await iterator.next(), { done: false, value: { name: 'item-2' } });
+			assert.deepStrictEqual(await iterator.next(), { done: true, value: failedPage });
+
+			const pages = await collect(ms.safeIterateList('sample-service', 'sample-entity', null, null, 2, { pages: true }));
+
+			assert.deepStrictEqual(pages.map(({ statusCode }) => statusCode), [200, 500]);
+		});
+
+		it('Should iterate the pages without body as empty pages', async () => {
+
+			sinon.stub(MicroServiceCall.prototype, 'safeCall')
+				.resolves({ statusCode: 200, body: null });
+
+			assert.deepStrictEqual(await collect(ms.safeIterateList('sample-service', 'sample-entity')), []);
+		});
+
+		it('Should stop before requesting the next page when the signal is aborted', async () => {
+
+			sinon.stub(MicroServiceCall.prototype, 'call')
+				.resolves({ statusCode: 200, body: [{ name: 'item-1' }] });
+
+			const controller = new AbortController();
+
+			const iterator = ms.iterateList('sample-service', 'sample-entity', null, null, 1, { signal: controller.signal });
+
+			await iterator.next();
+
+			controller.abort();
+
+			await assert.rejects(() => iterator.next(), { code: MicroServiceCallError.codes.ABORTED });
+
+			sinon.assert.calledOnce(MicroServiceCall.prototype.call);
+		});
+
+		it('Should wait between pages when the rate limit is reached', async () => {
+
+			sinon.stub(backoff, 'wait').resolves();
+
+			sinon.stub(MicroServiceCall.prototype, 'call')
+				.onCall(0)
+				.resolves({ statusCode: 200, headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '2' }, body: [{ name: 'item-1' }] })
+				.onCall(1)
+				.resolves({ statusCode: 200, headers: {}, body: [] });
+
+			await collect(ms.iterateList('sample-service', 'sample-entity', null, null, 1));
+
+			sinon.assert.calledOnceWithExactly(backoff.wait, 2000, undefined);
+		});
+	});
+
+	describe('count() and safeCount()', () => {
+
+		beforeEach(() => {
+			process.env.JANIS_SERVICE_SECRET = 'insecure-secret';
+		});
+
+		const countHeaders = { 'x-janis-page': 1, 'x-janis-page-size': 1, 'x-janis-totals': true };
+
+		const totalsNotSupported = {
+			name: 'MicroServiceCallError',
+			code: MicroServiceCallError.codes.TOTALS_NOT_SUPPORTED,
+			message: 'Service sample-service does not support totals: missing or invalid x-janis-total header',
+			statusCode: 200
+		};
+
+		it('Should request a single object page with totals and resolve the total', async () => {
+
+			sinon.stub(MicroServiceCall.prototype, 'call').resolves({
+				statusCode: 200,
+				headers: { 'x-janis-total': '150' },
+				body: [{ id: 1 }]
+			});
+
+			const total = await ms.count('sample-service', 'sample-entity', { status: 'active' }, { id: 'some-id' }, { timeout: 1000 });
+
+			assert.deepStrictEqual(total, 150);
+
+			sinon.assert.calledOnceWithExactly(MicroServiceCall.prototype.call, 'sample-service', 'sample-entity', 'list',
+				{ filters: { status: 'active' } }, countHeaders, { id: 'some-id' }, { timeout: 1000, fallback: false });
+		});
+
+		it('Should count without filters', async () => {
+
+			sinon.stub(MicroServiceCall.prototype, 'call').resolves({
+				statusCode: 200,
+				headers: { 'x-janis-total': '0' },
+				body: []
+			});
+
+			assert.deepStrictEqual(await ms.count('sample-service', 'sample-entity'), 0);
+
+			sinon.assert.calledOnceWithExactly(MicroServiceCall.prototype.call, 'sample-service', 'sample-entity', 'list',
+				null, countHeaders, undefined, { fallback: false });
+		});
+
+		it('Should reject when the service does not inform the total', async () => {
+
+			sinon.stub(MicroServiceCall.prototype, 'call').resolves({
+				statusCode: 200,
+				headers: {},
+				body: [{ id: 1 }]
+			});
+
+			await assert.rejects(() => ms.count('sample-service', 'sample-entity'), totalsNotSupported);
+		});
+
+		it('Should reject when the service informs an invalid total', async () => {
+
+			sinon.stub(MicroServiceCall.prototype, 'call').resolves({
+				statusCode: 200,
+				headers: { 'x-janis-total': 'many' },
+				body: [{ id: 1 }]
+			});
+
+			await assert.rejects(() => ms.count('sample-service', 'sample-entity'), totalsNotSupported);
+		});
+
+		it('Should reject when the service responds with an error', async () => {
+
+			nock('https://sample-service.janis-test.in')
+				.get('/api/sample-entity')
+				.reply(500, { message: 'Database fails' });
+
+			getEndpointStub({
+				baseUrl: 'https://sample-service.janis-test.in',
+				path: '/api/sample-entity',
+				method: 'get'
+			});
+
+			await assert.rejects(() => ms.count('sample-service', 'sample-entity'), {
+				code: MicroServiceCallError.codes.MICROSERVICE_FAILED,
+				statusCode: 500
+			});
+		});
+
+		it('Should send the totals headers and read the total of the response', async () => {
+
+			nock('https://sample-service.janis-test.in', { reqheaders: { 'x-janis-page': '1', 'x-janis-page-size': '1', 'x-janis-totals': 'true' } })
+				.get('/api/sample-entity')
+				.query({ filters: { status: 'active' } })
+				.reply(200, [{ id: 1 }], { 'x-janis-total': '35' });
+
+			getEndpointStub({
+				baseUrl: 'https://sample-service.janis-test.in',
+				path: '/api/sample-entity',
+				method: 'get'
+			});
+
+			assert.deepStrictEqual(await ms.count('sample-service', 'sample-entity', { status: 'active' }), 35);
+		});
+
+		it('Should resolve the response with the total in safe mode', async () => {
+
+			sinon.stub(MicroServiceCall.prototype, 'safeCall').resolves({
+				statusCode: 200,
+				headers: { 'x-janis-total': '150' },
+				body: [{ id: 1 }]
+			});
+
+			const response = await ms.safeCount('sample-service', 'sample-entity', { status: 'active' });
+
+			assert.deepStrictEqual(response, {
+				statusCode: 200,
+				headers: { 'x-janis-total': '150' },
+				body: [{ id: 1 }],
+				total: 150
+			});
+
+			sinon.assert.calledOnceWithExactly(MicroServiceCall.prototype.safeCall, 'sample-service', 'sample-entity', 'list',
+				{ filters: { status: 'active' } }, countHeaders, undefined, undefined);
+		});
+
+		it('Should resolve the failed response in safe mode', async () => {
+
+			sinon.stub(MicroServiceCall.prototype, 'safeCall').resolves({
+				statusCode: 500,
+				body: { message: 'Database fails' }
+			});
+
+			assert.deepStrictEqual(await ms.safeCount('sample-service', 'sample-entity'), {
+				statusCode: 500,
+				body: { message: 'Database fails' }
+			});
+		});
+
+		it('Should reject when the service does not inform the total in safe mode', async () => {
+
+			sinon.stub(MicroServiceCall.prototype, 'safeCall').resolves({
+				statusCode: 200,
+				body: [{ id: 1 }]
+			});
+
+			await assert.rejects(() => ms.safeCount('sample-service', 'sample-entity'), totalsNotSupported);
+		});
+	});
+
+	describe('getByIds()', () => {
+
+		beforeEach(() => {
+			process.env.JANIS_SERVICE_SECRET = 'insecure-secret';
+		});
+
+		// responds the objects of the requested ids, except the ones of the missing ids
+		const stubListByIds = (missingIds = [], idField = 'id') => sinon.stub(MicroServiceCall.prototype, 'list')
+			.callsFake(async (service, namespace, { filters }) => ({
+				statusCode: 200,
+				headers: {},
+				body: filters[idField]
+					.filter(id => !missingIds.includes(id))
+					.map(id => ({ [idField]: id, name: `Object ${id}` }))
+			}));
+
+		const getRequestedChunks = () => MicroServiceCall.prototype.list.args.map(([, , { filters }]) => filters.id);
+
+		it('Should split the ids in chunks that do not exceed the max query length', async () => {
+
+			stubListByIds();
+
+			const ids = ['id-1', 'id-2', 'id-3', 'id-4', 'id-5', 'id-6', 'id-7'];
+
+			// filters[id][0]=id-1&filters[id][1]=id-2&filters[id][2]=id-3 has 59 characters
+			const objects = await ms.getByIds('sample-service', 'sample-entity', ids, null, { maxQueryLength: 60 });
+
+			assert.deepStrictEqual(objects, ids.map(id => ({ id, name: `Object ${id}` })));
+
+			assert.deepStrictEqual(getRequestedChunks(), [['id-1', 'id-2', 'id-3'], ['id-4', 'id-5', 'id-6'], ['id-7']]);
+		});
+
+		it('Should request every id alone when each one exceeds the max query length', async () => {
+
+			stubListByIds();
+
+			await ms.getByIds('sample-service', 'sample-entity', ['id-1', 'id-2'], null, { maxQueryLength: 10 });
+
+			assert.deepStrictEqual(getRequestedChunks(), [['id-1'], ['id-2']]);
+		});
+
+		it('Should request every id once and resolve the found objects without duplicates in the order of the ids', async () => {
+
+			sinon.stub(MicroServiceCall.prototype, 'list').resolves({
+				statusCode: 200,
+				headers: {},
+				body: [{ id: 'id-3' }, { id: 'id-1', name: 'First' }, { id: 'id-1', name: 'Duplicated' }]
+			});
+
+			const objects = await ms.getByIds('sample-service', 'sample-entity', ['id-1', 'id-2', 'id-3', 'id-1']);
+
+			assert.deepStrictEqual(objects, [{ id: 'id-1', name: 'First' }, { id: 'id-3' }]);
+
+			sinon.assert.calledOnceWithExactly(MicroServiceCall.prototype.list, 'sample-service', 'sample-entity',
+				{ filters: { id: ['id-1', 'id-2', 'id-3'] } }, undefined, undefined, { fallback: false });
+		});
+
+		it('Should resolve the objects by id in the order of the ids', async () => {
+
+			stubListByIds([2]);
+
+			const objects = await ms.getByIds('sample-service', 'sample-entity', [3, 2, 1], null, { keyById: true });
+
+			assert(objects instanceof Map);
+
+			assert.deepStrictEqual([...objects.entries()], [
+				[3, { id: 3, name: 'Object 3' }],
+				[1, { id: 1, name: 'Object 1' }]
+			]);
+		});
+
+		it('Should find the objects when the service responds the ids as strings', async () => {
+
+			sinon.stub(MicroServiceCall.prototype, 'list').resolves({
+				statusCode: 200,
+				headers: {},
+				body: [{ id: '10' }]
+			});
+
+			assert.deepStrictEqual(await ms.getByIds('sample-service', 'sample-entity', [10]), [{ id: '10' }]);
+		});
+
+		it('Should use the id field, the endpoint parameters and the call options in every list', async () => {
+
+			stubListByIds([], 'code');
+
+			const objects = await ms.getByIds('sample-service', 'sample-entity', ['A', 'B'], { id: 'some-id' }, {
+				idField: 'code',
+				pageSize: 100,
+				timeout: 1000
+			});
+
+			assert.deepStrictEqual(objects, [{ code: 'A', name: 'Object A' }, { code: 'B', name: 'Object B' }]);
+
+			sinon.assert.calledOnceWithExactly(MicroServiceCall.prototype.list, 'sample-service', 'sample-entity',
+				{ filters: { code: ['A', 'B'] } }, { id: 'some-id' }, 100, { timeout: 1000, fallback: false });
+		});
+
+		it('Should not request more chunks than the concurrency at the same time', async () => {
+
+			let active = 0;
+			let maxActive = 0;
+
+			sinon.stub(MicroServiceCall.prototype, 'list').callsFake(async (service, namespace, { filters }) => {
+
+				active++;
+				maxActive = Math.max(maxActive, active);
+
+				await new Promise(resolve => setTimeout(resolve, 5));
+
+				active--;
+
+				return { statusCode: 200, headers: {}, body: filters.id.map(id => ({ id })) };
+			});
+
+			const ids = Array.from({ length: 10 }, (_, index) => `id-${index}`);
+
+			const objects = await ms.getByIds('sample-service', 'sample-entity', ids, null, { maxQueryLength: 10, concurrency: 3 });
+
+			assert.deepStrictEqual(objects, ids.map(id => ({ id })));
+
+			sinon.assert.callCount(MicroServiceCall.prototype.list, 10);
+			assert.deepStrictEqual(maxActive, 3);
+		});
+
+		it('Should reject and not request more chunks when a chunk fails', async () => {
+
+			const error = new MicroServiceCallError('Microservice failed (500): Database fails', MicroServiceCallError.codes.MICROSERVICE_FAILED, 500);
+
+			sinon.stub(MicroServiceCall.prototype, 'list').rejects(error);
+
+			await assert.rejects(() => ms.getByIds('sample-service', 'sample-entity', ['id-1', 'id-2', 'id-3'], null, {
+				maxQueryLength: 10,
+				concurrency: 1
+			}), error);
+
+			sinon.assert.calledOnce(MicroServiceCall.prototype.list);
+		});
+
+		it('Should resolve an empty list without requests when there are no ids', async () => {
+
+			sinon.spy(MicroServiceCall.prototype, 'list');
+
+			assert.deepStrictEqual(await ms.getByIds('sample-service', 'sample-entity', []), []);
+
+			sinon.assert.notCalled(MicroServiceCall.prototype.list);
+		});
+
+		it('Should send the ids of each chunk in the query string', async () => {
+
+			getEndpointStub({
+				baseUrl: 'https://sample-service.janis-test.in',
+				path: '/api/sample-entity',
+				method: 'get'
+			});
+
+			nock('https://sample-service.janis-test.in')
+				.get('/api/sample-entity')
+				.query({ filters: { id: ['id 1', 'id-2'] } })
+				.reply(200, [{ id: 'id-2' }, { id: 'id 1' }])
+				.get('/api/sample-entity')
+				.query({ filters: { id: ['id-3'] } })
+				.reply(200, [{ id: 'id-3' }]);
+
+			// filters[id][0]=id%201&filters[id][1]=id-2 has 41 characters
+			const objects = await ms.getByIds('sample-service', 'sample-entity', ['id 1', 'id-2', 'id-3'], null, { maxQueryLength: 41 });
+
+			assert.deepStrictEqual(objects, [{ id: 'id 1' }, { id: 'id-2' }, { id: 'id-3' }]);
+			assert(nock.isDone());
+		});
+	});
+
+	describe('Should Retry', () => {
+
+		beforeEach(() => {
+			process.env.JANIS_SERVICE_SECRET = 'insecure-secret';
+		});
+
+		it('Should return true if no status code is found', () => {
+
+			assert(ms.shouldRetry());
+			assert(ms.shouldRetry({ body: [] }));
+			assert(ms.shouldRetry(new Error('TypeError')));
+			assert(ms.shouldRetry(new MicroServiceCallError('Request Lib Fails', MicroServiceCallError.codes.REQUEST_LIB_ERROR)));
+		});
+
+		it('Should return true if status code is 500 and not an exceptional one', () => {
+
+			assert(ms.shouldRetry(new MicroServiceCallError(
+				'Microservice failed (504): Timeout',
+				MicroServiceCallError.codes.MICROSERVICE_FAILED,
+				504
+			)));
+			assert(ms.shouldRetry({
+				statusCode: 504,
+				body: { message: 'Timeout' }
+			}));
+			assert(ms.shouldRetry({
+				statusCode: 500
+			}));
+		});
+
+		it('Should return true if the request was throttled', () => {
+
+			assert(ms.shouldRetry(new MicroServiceCallError(
+				'Microservice failed (429): Too Many Requests',
+				MicroServiceCallError.codes.TOO_MANY_REQUESTS,
+				429
+			)));
+			assert(ms.shouldRetry({
+				statusCode: 429,
+				body: { message: 'Too Many Requests' }
+			}));
+		});
+
+		it('Should return false if status code is 40X', () => {
+
+			assert(!ms.shouldRetry(new MicroServiceCallError(
+				'Microservice failed (404): Not Found',
+				MicroServiceCallError.codes.MICROSERVICE_FAILED,
+				404
+			)));
+			assert(!ms.shouldRetry({
+				statusCode: 404,
+				body: { message: 'Not Found' }
+			}));
+			assert(!ms.shouldRetry({
+				statusCode: 404
+			}));
+		});
+
+		it('Should return false if status code is 500 and is an exceptional one', () => {
+
+			assert(!ms.shouldRetry(new MicroServiceCallError(
+				'Microservice failed (500): Argument passed in must be a single String of 12 bytes or a string of 24 hex characters',
+				MicroServiceCallError.codes.MICROSERVICE_FAILED,
+				500
+			)));
+			assert(!ms.shouldRetry({
+				statusCode: 500,
+				body: { message: 'Argument passed in must be a single String of 12 bytes or a string of 24 hex characters' }
+			}));
+
+			assert(!ms.shouldRetry(new MicroServiceCallError(
+				'Microservice failed (500): Invalid client',
+				MicroServiceCallError.codes.MICROSERVICE_FAILED,
+				500
+			)));
+			assert(!ms.shouldRetry({
+				statusCode: 500,
+				body: { message: 'Invalid client' }
+			}));
+		});
+	});
+
+	describe('Cache endpoints', () => {
+
+		beforeEach(() => {
+			process.env.JANIS_SERVICE_SECRET = 'insecure-secret';
+		});
+
+		it('Should cache the getEndpoint response after 2 times calling with same parameters', async () => {
+
+			getEndpointStub({
+				baseUrl: 'https://sample-service.janis-test.in',
+				path: '/api/sample-entity',
+				method: 'POST'
+			});
+
+			const mockMsResponse = { id: 'foo-id' };
+
+			const headersResponse = {
+				'content-type': 'application/json'
+			};
+
+			nock('https://sample-service.janis-test.in')
+				.post('/api/sample-entity', { foo: 'bar' })
+				.reply(200, mockMsResponse, headersResponse);
+
+			const data = await ms.call('sample-service', 'sample-entity', 'create', { foo: 'bar' });
+
+			assert.deepStrictEqual(data, {
+				statusCode: 200,
+				statusMessage: null,
+				body: mockMsResponse,
+				headers: headersResponse
+			});
+
+			nock('https://sample-service.janis-test.in')
+				.post('/api/sample-entity', { foo: 'bar' })
+				.reply(200, mockMsResponse, headersResponse);
+
+			const data2 = await ms.call('sample-service', 'sample-entity', 'create', { foo: 'bar' });
+
+			assert.deepStrictEqual(data, data2);
+
+			sinon.assert.calledOnce(Invoker.serviceCall);
+		});
+
+		it('Shouldn\'t cache the getEndpoint response after 2 times calling with different parameters', async () => {
+
+
+			sinon.stub(Invoker, 'serviceCall')
+				.onFirstCall()
+				.resolves({
+					payload: {
+						baseUrl: 'https://sample-service.janis-test.in',
+						path: '/api/sample-entity',
+						method: 'POST'
+					}
+				})
+				.onSecondCall()
+				.resolves({
+					payload: {
+						baseUrl: 'https://sample-service.janis-test.in',
+						path: '/api/sample-entity',
+						method: 'PUT'
+					}
+				});
+
+			const mockMsResponse = { id: 'foo-id' };
+
+			const headersResponse = {
+				'content-type': 'application/json'
+			};
+
+			nock('https://sample-service.janis-test.in')
+				.post('/api/sample-entity', { foo: 'bar' })
+				.reply(200, mockMsResponse, headersResponse);
+
+			const data = await ms.call('sample-service', 'sample-entity', 'create', { foo: 'bar' });
+
+			assert.deepStrictEqual(data, {
+				statusCode: 200,
+				statusMessage: null,
+				body: mockMsResponse,
+				headers: headersResponse
+			});
+
+			nock('https://sample-service.janis-test.in')
+				.put('/api/sample-entity', { foo: 'bar' })
+				.reply(200, mockMsResponse, headersResponse);
+
+			const data2 = await ms.call('sample-service', 'sample-entity', 'update', { foo: 'bar' });
+
+			assert.deepStrictEqual(data, data2);
+
+			sinon.assert.calledTwice(Invoker.serviceCall);
+		});
+
+	});
+
+	describe('warmUp()', () => {
+
+		it('Should resolve the endpoints and use them from cache when making the calls', async () => {
+
+			process.env.JANIS_SERVICE_SECRET = 'insecure-secret';
+
+			getEndpointStub({
+				baseUrl: 'https://sample-service.janis-test.in',
+				path: '/api/sample-entity',
+				method: 'get'
+			});
+
+			const { endpoints, failed } = await MicroServiceCall.warmUp([
+				{ service: 'sample-service', namespace: 'sample-entity', method: 'list' }
+			], { concurrency: 1 });
+
+			assert.deepStrictEqual(endpoints, [{
+				service: 'sample-service',
+				namespace: 'sample-entity',
+				method: 'list',
+				endpoint: 'https://sample-service.janis-test.in/api/sample-entity',
+				httpMethod: 'get'
+			}]);
+
+			assert.deepStrictEqual(failed, []);
+
+			nock('https://sample-service.janis-test.in')
+				.get('/api/sample-entity')
+				.reply(200, []);
+
+			await ms.call('sample-service', 'sample-entity', 'list');
+
+			assertGetEndpoint('sample-service', 'sample-entity', 'list');
+		});
+	});
+
+	describe('Fetching secret when JANIS_SERVICE_SECRET is not set', () => {
+
+		const headersResponse = {
+			'content-type': 'application/json'
+		};
+
+		const apiSecret = 'ultra-secure-secret';
+
+		const mockMsResponse = [{ name: 'foo' }];
+
+		context('When secret was found', () => {
+
+			it('Should return the correct response object on successful calls adding the secret', async () => {
+
+				secretGetValueResolves({ apiSecret });
+
+				getEndpointStub({
+					baseUrl: 'https://sample-service.janis-test.in',
+					path: '/api/sample-entity',
+					method: 'get'
+				});
+
+				const reqheaders = {
+					'content-type': 'application/json',
+					'janis-api-key': 'service-dummy-service',
+					'janis-api-secret': apiSecret
+				};
+
+				nock('https://sample-service.janis-test.in', { reqheaders })
+					.get('/api/sample-entity')
+					.reply(200, mockMsResponse, headersResponse);
+
+				const data = await ms.call('sample-service', 'sample-entity', 'list');
+
+				assert.deepStrictEqual(data, {
+					statusCode: 200,
+					statusMessage: null,
+					body: mockMsResponse,
+					headers: headersResponse
+				});
+
+				assertGetEndpoint('sample-service', 'sample-entity', 'list');
+
+				assertSecretsGet(sinon, 'dummy-service');
+			});
+
+			it('Should cache the secret after the first call', async () => {
+
+				secretGetValueResolves({ apiSecret });
+
+				getEndpointStub({
+					baseUrl: 'https://sample-service.janis-test.in',
+					path: '/api/sample-entity',
+					method: 'get'
+				});
+
+				const reqheaders = {
+					'content-type': 'application/json',
+					'janis-api-key': 'service-dummy-service',
+					'janis-api-secret': apiSecret
+				};
+
+				const testRequest = async () => {
+					nock('https://sample-service.janis-test.in', { reqheaders })
+						.get('/api/sample-entity')
+						.reply(200, mockMsResponse, headersResponse);
+
+					const data = await ms.call('sample-service', 'sample-entity', 'list');
+
+					assert.deepStrictEqual(data, {
+						statusCode: 200,
+						statusMessage: null,
+						body: mockMsResponse,
+						headers: headersResponse
+					});
+				};
+
+				await testRequest();
+				await testRequest();
+				await testRequest();
+				await testRequest();
+				await testRequest();
+
+				assertGetEndpoint('sample-service', 'sample-entity', 'list');
+
+				assertSecretsGet(sinon, 'dummy-service');
+			});
+		});
+
+		context('When secret was found with bad format', () => {
+
+			it('should reject after making the call', async () => {
+
+				secretGetValueResolves(apiSecret);
+
+				getEndpointStub({
+					baseUrl: 'https://sample-service.janis-test.in',
+					path: '/api/sample-entity',
+					method: 'get'
+				});
+
+				await assert.rejects(() => ms.call('sample-service', 'sample-entity', 'list'), {
+					name: 'MicroServiceCallError',
+					code: MicroServiceCallError.codes.JANIS_SECRET_MISSING,
+					message: 'Microservice failed: Secret is missing'
+				});
+
+				assertGetEndpoint('sample-service', 'sample-entity', 'list');
+
+				assertSecretsGet(sinon, 'dummy-service');
+			});
+		});
+
+		context('When secrets manager package rejects or throws', () => {
+
+			it('should reject when secrets manager throws', async () => {
 
 				secretThrows(sinon);
 
-				getEndpointStub({
-					baseUrl: 'https://sample-service.janis-test.in',
-					path: '/api/sample-entity',
-					method: 'get'
-				});
+				getEndpointStub({
+					baseUrl: 'https://sample-service.janis-test.in',
+					path: '/api/sample-entity',
+					method: 'get'
+				});
+
+				await assert.rejects(() => ms.call('sample-service', 'sample-entity', 'list'), {
+					name: 'MicroServiceCallError',
+					code: MicroServiceCallError.codes.JANIS_SECRET_MISSING,
+					message: 'Microservice failed: Secret is missing'
+				});
+
+				assertGetEndpoint('sample-service', 'sample-entity', 'list');
+			});
+
+			it('should reject when secrets manager getValue rejects', async () => {
+
+				secretGetValueRejects(sinon);
+
+				getEndpointStub({
+					baseUrl: 'https://sample-service.janis-test.in',
+					path: '/api/sample-entity',
+					method: 'get'
+				});
+
+				await assert.rejects(() => ms.call('sample-service', 'sample-entity', 'list'), {
+					name: 'MicroServiceCallError',
+					code: MicroServiceCallError.codes.JANIS_SECRET_MISSING,
+					message: 'Microservice failed: Secret is missing'
+				});
+
+				assertGetEndpoint('sample-service', 'sample-entity', 'list');
+			});
+		});
+	});
+
+	describe('Avoid fetch secret on local environment', () => {
+
+		beforeEach(() => {
+			process.env.JANIS_ENV = 'local';
+		});
+
+		it('Should return the correct response object on successful calls adding the secret', async () => {
+
+			const headersResponse = {
+				'content-type': 'application/json'
+			};
+
+			const mockMsResponse = [{ name: 'foo' }];
+
+			getEndpointStub({
+				baseUrl: 'https://sample-service.janis-test.in',
+				path: '/api/sample-entity',
+				method: 'get'
+			});
+
+			const reqheaders = {
+				'content-type': 'application/json',
+				'janis-api-key': 'service-dummy-service',
+				'janis-api-secret': 'local-environment-secret'
+			};
+
+			nock('https://sample-service.janis-test.in', { reqheaders })
+				.get('/api/sample-entity')
+				.reply(200, mockMsResponse, headersResponse);
+
+			const data = await ms.call('sample-service', 'sample-entity', 'list');
+
+			assert.deepStrictEqual(data, {
+				statusCode: 200,
+				statusMessage: null,
+				body: mockMsResponse,
+				headers: headersResponse
+			});
+
+			assertGetEndpoint('sample-service', 'sample-entity', 'list');
+
+			secretsNotCalled(sinon);
+		});
+	});
+
+	describe('Using endpoint overrides on local environment', () => {
+
+		it('Should make the request to the overridden endpoint without calling Discovery', async () => {
+
+			process.env.JANIS_ENV = 'local';
+			process.env.JANIS_ENDPOINT_OVERRIDES = JSON.stringify({
+				catalog: { baseUrl: 'http://localhost:3001', path: '/api/product/{id}', method: 'get' }
+			});
+
+			sinon.spy(Invoker, 'serviceCall');
+
+			nock('http://localhost:3001', { reqheaders: { 'janis-api-secret': 'local-environment-secret' } })
+				.get('/api/product/product-1')
+				.reply(200, { id: 'product-1' });
+
+			const { body } = await ms.call('catalog', 'product', 'get', null, null, { id: 'product-1' });
+
+			assert.deepStrictEqual(body, { id: 'product-1' });
+
+			sinon.assert.notCalled(Invoker.serviceCall);
+			secretsNotCalled(sinon);
+		});
+	});
+
+	describe('Using discovery providers', () => {
+
+		const { StaticDiscoveryProvider } = MicroServiceCall.discoveryProviders;
+
+		const provider = new StaticDiscoveryProvider({
+			'sample-service.sample-entity.list': {
+				baseUrl: 'https://sample-service.janis-test.in',
+				path: '/api/sample-entity',
+				method: 'get'
+			}
+		});
+
+		beforeEach(() => {
+			process.env.JANIS_SERVICE_SECRET = 'insecure-secret';
+			sinon.spy(Invoker, 'serviceCall');
+		});
+
+		afterEach(() => {
+			MicroServiceCall.setDiscoveryProvider(null);
+		});
+
+		const mockRequest = () => {
+			nock('https://sample-service.janis-test.in')
+				.get('/api/sample-entity')
+				.reply(200, [{ name: 'foo' }]);
+		};
+
+		it('Should resolve the endpoint with the instance provider', async () => {
+
+			mockRequest();
+
+			const { body } = await new MicroServiceCall({ discoveryProvider: provider }).call('sample-service', 'sample-entity', 'list');
+
+			assert.deepStrictEqual(body, [{ name: 'foo' }]);
+
+			sinon.assert.notCalled(Invoker.serviceCall);
+		});
+
+		it('Should resolve the endpoint with the global provider', async () => {
+
+			MicroServiceCall.setDiscoveryProvider(provider);
+
+			mockRequest();
+
+			const { body } = await ms.safeCall('sample-service', 'sample-entity', 'list');
+
+			assert.deepStrictEqual(body, [{ name: 'foo' }]);
+
+			sinon.assert.notCalled(Invoker.serviceCall);
+		});
+	});
+
+	describe('Re-resolving stale endpoints', () => {
+
+		let staleEndpointListener;
+
+		beforeEach(() => {
+
+			process.env.JANIS_SERVICE_SECRET = 'insecure-secret';
+
+			staleEndpointListener = sinon.spy();
+			MicroServiceCall.events.on('staleEndpoint', staleEndpointListener);
+
+			sinon.stub(Invoker, 'serviceCall')
+				.onFirstCall()
+				.resolves({ payload: { baseUrl: 'https://old-service.janis-test.in', path: '/api/sample-entity', method: 'get' } })
+				.onSecondCall()
+				.resolves({ payload: { baseUrl: 'https://new-service.janis-test.in', path: '/api/sample-entity', method: 'get' } });
+		});
+
+		afterEach(() => {
+			MicroServiceCall.events.removeListener('staleEndpoint', staleEndpointListener);
+		});
+
+		const assertStaleEndpointReported = reason => {
+			sinon.assert.calledOnceWithExactly(staleEndpointListener, {
+				service: 'sample-service',
+				namespace: 'sample-entity',
+				method: 'list',
+				endpoint: 'https://old-service.janis-test.in/api/sample-entity',
+				httpMethod: 'get',
+				freshEndpoint: 'https://new-service.janis-test.in/api/sample-entity',
+				freshHttpMethod: 'get',
+				reason
+			});
+		};
+
+		const mockNewServiceRequest = () => {
+			nock('https://new-service.janis-test.in')
+				.get('/api/sample-entity')
+				.reply(200, [{ name: 'foo' }]);
+		};
+
+		['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'].forEach(errorCode => {
+
+			it(`Should resolve the endpoint again and retry once when the request fails with ${errorCode}`, async () => {
+
+				nock('https://old-service.janis-test.in')
+					.get('/api/sample-entity')
+					.replyWithError({ code: errorCode, message: `Request failed: ${errorCode}` });
+
+				mockNewServiceRequest();
+
+				const { statusCode, body } = await ms.call('sample-service', 'sample-entity', 'list');
+
+				assert.strictEqual(statusCode, 200);
+				assert.deepStrictEqual(body, [{ name: 'foo' }]);
+
+				sinon.assert.calledTwice(Invoker.serviceCall);
+				assertStaleEndpointReported(errorCode);
+			});
+		});
+
+		it('Should resolve the endpoint again and retry once when the API Gateway responds that the route does not exist', async () => {
+
+			nock('https://old-service.janis-test.in')
+				.get('/api/sample-entity')
+				.reply(403, { message: 'Missing Authentication Token' }, { 'x-amzn-errortype': 'MissingAuthenticationTokenException' });
+
+			mockNewServiceRequest();
+
+			const { statusCode, body } = await ms.safeCall('sample-service', 'sample-entity', 'list');
+
+			assert.strictEqual(statusCode, 200);
+			assert.deepStrictEqual(body, [{ name: 'foo' }]);
+
+			sinon.assert.calledTwice(Invoker.serviceCall);
+			assertStaleEndpointReported('403 MissingAuthenticationTokenException');
+		});
+
+		it('Should keep using the fresh endpoint after re-resolving it', async () => {
+
+			nock('https://old-service.janis-test.in')
+				.get('/api/sample-entity')
+				.reply(404, { message: 'Not Found' }, { 'x-amzn-errortype': 'NotFoundException' });
+
+			mockNewServiceRequest();
+			mockNewServiceRequest();
+
+			await ms.call('sample-service', 'sample-entity', 'list');
+			await ms.call('sample-service', 'sample-entity', 'list');
+
+			sinon.assert.calledTwice(Invoker.serviceCall);
+			assertStaleEndpointReported('404 NotFoundException');
+		});
+
+		it('Should retry only once when the fresh endpoint fails too', async () => {
+
+			nock('https://old-service.janis-test.in')
+				.get('/api/sample-entity')
+				.replyWithError({ code: 'ECONNREFUSED', message: 'connect ECONNREFUSED' });
+
+			nock('https://new-service.janis-test.in')
+				.get('/api/sample-entity')
+				.replyWithError({ code: 'ECONNREFUSED', message: 'connect ECONNREFUSED' });
+
+			await assert.rejects(() => ms.call('sample-service', 'sample-entity', 'list'), {
+				name: 'MicroServiceCallError',
+				code: MicroServiceCallError.codes.REQUEST_LIB_ERROR,
+				message: 'connect ECONNREFUSED'
+			});
+
+			sinon.assert.calledTwice(Invoker.serviceCall);
+			assertStaleEndpointReported('ECONNREFUSED');
+		});
+
+		it('Should not resolve the endpoint again when the 404 comes from the service', async () => {
+
+			nock('https://old-service.janis-test.in')
+				.get('/api/sample-entity')
+				.reply(404, { message: 'Item not found' });
+
+			const { statusCode } = await ms.safeCall('sample-service', 'sample-entity', 'list');
+
+			assert.strictEqual(statusCode, 404);
+
+			sinon.assert.calledOnce(Invoker.serviceCall);
+			sinon.assert.notCalled(staleEndpointListener);
+		});
+
+		it('Should resolve the endpoint again when the API Gateway error type has a suffix', async () => {
+
+			nock('https://old-service.janis-test.in')
+				.get('/api/sample-entity')
+				.reply(404, { message: 'Not Found' }, { 'x-amzn-errortype': 'NotFoundException:http://internal.amazon.com/coral/com.amazonaws.gateway/' });
+
+			mockNewServiceRequest();
+
+			await ms.call('sample-service', 'sample-entity', 'list');
+
+			assertStaleEndpointReported('404 NotFoundException');
+		});
+
+		it('Should not resolve the endpoint again when the API Gateway authorizer denies the request', async () => {
+
+			nock('https://old-service.janis-test.in')
+				.get('/api/sample-entity')
+				.reply(403, { message: 'User is not authorized to access this resource' }, { 'x-amzn-errortype': 'AccessDeniedException' });
+
+			const { statusCode } = await ms.safeCall('sample-service', 'sample-entity', 'list');
+
+			assert.strictEqual(statusCode, 403);
+
+			sinon.assert.calledOnce(Invoker.serviceCall);
+			sinon.assert.notCalled(staleEndpointListener);
+		});
+
+		it('Should not retry when the endpoint resolved again is the same', async () => {
+
+			Invoker.serviceCall.onSecondCall()
+				.resolves({ payload: { baseUrl: 'https://old-service.janis-test.in', path: '/api/sample-entity', method: 'get' } });
+
+			nock('https://old-service.janis-test.in')
+				.get('/api/sample-entity')
+				.reply(404, { message: 'Not Found' }, { 'x-amzn-errortype': 'NotFoundException' });
+
+			const { statusCode } = await ms.safeCall('sample-service', 'sample-entity', 'list');
+
+			assert.strictEqual(statusCode, 404);
+
+			sinon.assert.calledTwice(Invoker.serviceCall);
+			sinon.assert.notCalled(staleEndpointListener);
+		});
+
+		it('Should reject with the route error when the endpoint resolved again is the same', async () => {
+
+			Invoker.serviceCall.onSecondCall()
+				.resolves({ payload: { baseUrl: 'https://old-service.janis-test.in', path: '/api/sample-entity', method: 'get' } });
+
+			nock('https://old-service.janis-test.in')
+				.get('/api/sample-entity')
+				.replyWithError({ code: 'ECONNREFUSED', message: 'connect ECONNREFUSED' });
+
+			await assert.rejects(() => ms.call('sample-service', 'sample-entity', 'list'), {
+				name: 'MicroServiceCallError',
+				code: MicroServiceCallError.codes.REQUEST_LIB_ERROR,
+				message: 'connect ECONNREFUSED'
+			});
+
+			sinon.assert.calledTwice(Invoker.serviceCall);
+			sinon.assert.notCalled(staleEndpointListener);
+		});
+
+		it('Should not resolve the endpoint again when the API Gateway responds an error that is not about the route', async () => {
+
+			nock('https://old-service.janis-test.in')
+				.get('/api/sample-entity')
+				.reply(502, { message: 'Internal server error' }, { 'x-amzn-errortype': 'InternalServerErrorException' });
+
+			const { statusCode } = await ms.safeCall('sample-service', 'sample-entity', 'list');
+
+			assert.strictEqual(statusCode, 502);
+
+			sinon.assert.calledOnce(Invoker.serviceCall);
+			sinon.assert.notCalled(staleEndpointListener);
+		});
+
+		it('Should not resolve the endpoint again when the request fails for other reasons', async () => {
+
+			process.env.JANIS_SERVICE_SECRET = '';
+			secretGetValueRejects();
+
+			await assert.rejects(() => ms.call('sample-service', 'sample-entity', 'list'), {
+				name: 'MicroServiceCallError',
+				code: MicroServiceCallError.codes.JANIS_SECRET_MISSING
+			});
+
+			sinon.assert.calledOnce(Invoker.serviceCall);
+			sinon.assert.notCalled(staleEndpointListener);
+		});
+	});
+
+	describe('Endpoint parameters', () => {
+
+		beforeEach(() => {
+
+			process.env.JANIS_SERVICE_SECRET = 'insecure-secret';
+
+			getEndpointStub({
+				baseUrl: 'https://sample-service.janis-test.in',
+				path: '/api/{entity}/{id}/related/{entity}',
+				method: 'get'
+			});
+
+			sinon.spy(process, 'emitWarning');
+		});
+
+		it('Should replace every occurrence of the placeholders with the URL encoded values', async () => {
+
+			nock('https://sample-service.janis-test.in')
+				.get('/api/sample-entity/some%2Fid%3Fwith%20chars/related/sample-entity')
+				.reply(200, { id: 'some/id?with chars' });
+
+			const { body } = await ms.call('sample-service', 'sample-entity', 'get', null, null, {
+				entity: 'sample-entity',
+				id: 'some/id?with chars'
+			});
+
+			assert.deepStrictEqual(body, { id: 'some/id?with chars' });
+		});
+
+		it('Should reject without making the request when a placeholder has no value', async () => {
+
+			await assert.rejects(() => ms.call('sample-service', 'sample-entity', 'get', null, null, { entity: 'sample-entity', id: null }), {
+				name: 'MicroServiceCallError',
+				code: MicroServiceCallError.codes.MISSING_ENDPOINT_PARAMETERS,
+				message: 'Missing endpoint parameters for https://sample-service.janis-test.in/api/{entity}/{id}/related/{entity}: id'
+			});
+
+			await assert.rejects(() => ms.safeCall('sample-service', 'sample-entity', 'get'), {
+				name: 'MicroServiceCallError',
+				code: MicroServiceCallError.codes.MISSING_ENDPOINT_PARAMETERS,
+				message: 'Missing endpoint parameters for https://sample-service.janis-test.in/api/{entity}/{id}/related/{entity}: entity, id'
+			});
+
+			secretsNotCalled(sinon);
+		});
+
+		it('Should not warn about unused endpoint parameters by default', async () => {
+
+			nock('https://sample-service.janis-test.in')
+				.get('/api/sample-entity/1/related/sample-entity')
+				.reply(200, {});
+
+			await ms.call('sample-service', 'sample-entity', 'get', null, null, { entity: 'sample-entity', id: 1, other: 'foo' });
+
+			sinon.assert.notCalled(process.emitWarning);
+		});
+
+		it('Should warn about unused endpoint parameters when the option is enabled', async () => {
+
+			nock('https://sample-service.janis-test.in')
+				.get('/api/sample-entity/1/related/sample-entity')
+				.times(2)
+				.reply(200, {});
+
+			process.emitWarning.restore();
+			sinon.stub(process, 'emitWarning');
+
+			const msWithWarnings = new MicroServiceCall({ warnUnusedEndpointParameters: true });
+
+			await msWithWarnings.call('sample-service', 'sample-entity', 'get', null, null, { entity: 'sample-entity', id: 1 });
+
+			sinon.assert.notCalled(process.emitWarning);
+
+			await msWithWarnings.call('sample-service', 'sample-entity', 'get', null, null, {
+				entity: 'sample-entity',
+				id: 1,
+				other: 'foo',
+				another: 'bar'
+			});
+
+			sinon.assert.calledOnceWithExactly(process.emitWarning,
+				'Unused endpoint parameters for https://sample-service.janis-test.in/api/{entity}/{id}/related/{entity}: other, another',
+				'MicroServiceCallWarning');
+		});
+	});
+
+	describe('Timeouts and cancellation', () => {
+
+		beforeEach(() => {
+
+			process.env.JANIS_SERVICE_SECRET = 'insecure-secret';
+
+			getEndpointStub({
+				baseUrl: 'https://sample-service.janis-test.in',
+				path: '/api/sample-entity',
+				method: 'get'
+			});
+		});
+
+		afterEach(() => {
+			nock.abortPendingRequests();
+			nock.cleanAll();
+		});
+
+		it('Should make a request without options from a subclass', async () => {
+
+			sinon.spy(axios, 'request');
+
+			nock('https://sample-service.janis-test.in')
+				.get('/api/sample-entity')
+				.reply(200, []);
+
+			class CustomMicroServiceCall extends MicroServiceCall {
+				getEntities() {
+					return this._makeRequest('https://sample-service.janis-test.in/api/sample-entity', 'get');
+				}
+			}
+
+			const { statusCode } = await new CustomMicroServiceCall().getEntities();
+
+			assert.deepStrictEqual(statusCode, 200);
+			sinon.assert.calledOnceWithMatch(axios.request, { timeout: 0, signal: undefined });
+		});
+
+		it('Should not set a timeout nor a signal by default', async () => {
+
+			sinon.spy(axios, 'request');
+
+			nock('https://sample-service.janis-test.in')
+				.get('/api/sample-entity')
+				.delay(50)
+				.reply(200, []);
+
+			const { statusCode } = await ms.call('sample-service', 'sample-entity', 'list');
+
+			assert.deepStrictEqual(statusCode, 200);
+
+			sinon.assert.calledOnceWithMatch(axios.request, { timeout: 0, signal: undefined });
+		});
+
+		it('Should reject with a timeout error when the response takes longer than the instance timeout', async () => {
+
+			nock('https://sample-service.janis-test.in')
+				.get('/api/sample-entity')
+				.delay(200)
+				.reply(200, []);
+
+			const msWithTimeout = new MicroServiceCall({ timeout: 20 });
+
+			await assert.rejects(() => msWithTimeout.safeCall('sample-service', 'sample-entity', 'list'), error => {
+				assert.deepStrictEqual(error.name, 'MicroServiceCallError');
+				assert.deepStrictEqual(error.code, MicroServiceCallError.codes.TIMEOUT);
+				assert.deepStrictEqual(error.message, 'Request timed out after 20ms');
+				assert.deepStrictEqual(error.previousError.code, 'ECONNABORTED');
+				return true;
+			});
+		});
+
+		it('Should use the timeout of the call over the instance timeout', async () => {
+
+			nock('https://sample-service.janis-test.in')
+				.get('/api/sample-entity')
+				.delay(50)
+				.reply(200, [])
+				.get('/api/sample-entity')
+				.delay(200)
+				.reply(200, []);
+
+			const msWithTimeout = new MicroServiceCall({ timeout: 20 });
+
+			const { statusCode } = await msWithTimeout.call('sample-service', 'sample-entity', 'list', null, null, null, { timeout: 0 });
+
+			assert.deepStrictEqual(statusCode, 200);
+
+			await assert.rejects(() => ms.call('sample-service', 'sample-entity', 'list', null, null, null, { timeout: 30 }), {
+				name: 'MicroServiceCallError',
+				code: MicroServiceCallError.codes.TIMEOUT,
+				message: 'Request timed out after 30ms'
+			});
+		});
+
+		it('Should keep rejecting with a request lib error when the request fails for other reasons', async () => {
+
+			nock('https://sample-service.janis-test.in')
+				.get('/api/sample-entity')
+				.replyWithError({ code: 'ECONNRESET', message: 'socket hang up' });
+
+			await assert.rejects(() => ms.call('sample-service', 'sample-entity', 'list', null, null, null, { timeout: 1000 }), {
+				name: 'MicroServiceCallError',
+				code: MicroServiceCallError.codes.REQUEST_LIB_ERROR,
+				message: 'socket hang up'
+			});
+		});
+
+		it('Should reject without resolving the endpoint when the signal is already aborted', async () => {
+
+			const controller = new AbortController();
+			controller.abort();
+
+			await assert.rejects(() => ms.call('sample-service', 'sample-entity', 'list', null, null, null, { signal: controller.signal }), {
+				name: 'MicroServiceCallError',
+				code: MicroServiceCallError.codes.ABORTED,
+				message: 'Request aborted'
+			});
+
+			await assert.rejects(() => ms.safeCall('sample-service', 'sample-entity', 'list', null, null, null, { signal: controller.signal }), {
+				name: 'MicroServiceCallError',
+				code: MicroServiceCallError.codes.ABORTED
+			});
+
+			sinon.assert.notCalled(Invoker.serviceCall);
+		});
+
+		it('Should reject with an aborted error when the signal is aborted during the request', async () => {
+
+			nock('https://sample-service.janis-test.in')
+				.get('/api/sample-entity')
+				.delay(200)
+				.reply(200, []);
+
+			const controller = new AbortController();
+
+			setTimeout(() => controller.abort(), 20);
+
+			await assert.rejects(() => ms.safeCall('sample-service', 'sample-entity', 'list', null, null, null, { signal: controller.signal }), error => {
+				assert.deepStrictEqual(error.code, MicroServiceCallError.codes.ABORTED);
+				assert.deepStrictEqual(error.message, 'Request aborted');
+				assert(axios.isCancel(error.previousError));
+				return true;
+			});
+		});
+
+		it('Should stop listing when the signal is aborted between pages', async () => {
+
+			const controller = new AbortController();
+
+			sinon.stub(MicroServiceCall.prototype, 'call').callsFake(async () => {
+				controller.abort();
+				return { statusCode: 200, body: Array(60).fill({ id: 1 }) };
+			});
+
+			const options = { signal: controller.signal, timeout: 500 };
+
+			await assert.rejects(() => ms.list('sample-service', 'sample-entity', null, null, null, options), {
+				name: 'MicroServiceCallError',
+				code: MicroServiceCallError.codes.ABORTED
+			});
+
+			sinon.assert.calledOnceWithExactly(MicroServiceCall.prototype.call, 'sample-service', 'sample-entity', 'list', null, {
+				'x-janis-page': 1,
+				'x-janis-page-size': 60,
+				'x-janis-totals': false
+			}, null, { ...options, fallback: false });
+		});
+
+		// aborts the signal once the wait started
+		const abortWhileWaiting = controller => sinon.stub(backoff, 'wait').callsFake((delay, signal) => {
+			const waiting = backoff.wait.wrappedMethod(delay, signal);
+			controller.abort();
+			return waiting;
+		});
+
+		it('Should reject as soon as the signal is aborted while waiting to retry', async () => {
+
+			nock('https://sample-service.janis-test.in')
+				.get('/api/sample-entity')
+				.reply(429, {}, { 'retry-after': '5' });
+
+			const controller = new AbortController();
+
+			abortWhileWaiting(controller);
+
+			const msWithRetries = new MicroServiceCall({ retry: true });
+
+			const startedAt = Date.now();
+
+			await assert.rejects(() => msWithRetries.call('sample-service', 'sample-entity', 'list', null, null, null, { signal: controller.signal }), {
+				name: 'MicroServiceCallError',
+				code: MicroServiceCallError.codes.ABORTED,
+				message: 'Request aborted',
+				attempts: [{ attempt: 1, statusCode: 429, delay: 5000 }]
+			});
+
+			assert(Date.now() - startedAt < 1000, 'The retry delay was waited');
+		});
+
+		it('Should retry after the delay when the signal is not aborted', async () => {
+
+			nock('https://sample-service.janis-test.in')
+				.get('/api/sample-entity')
+				.reply(429, {}, { 'retry-after': '0' })
+				.get('/api/sample-entity')
+				.reply(200, []);
+
+			const msWithRetries = new MicroServiceCall({ retry: true });
+
+			const { statusCode } = await msWithRetries.call('sample-service', 'sample-entity', 'list', null, null, null, {
+				signal: new AbortController().signal
+			});
+
+			assert.deepStrictEqual(statusCode, 200);
+		});
+
+		it('Should reject as soon as the signal is aborted while waiting for the rate limit between pages', async () => {
+
+			const controller = new AbortController();
+
+			abortWhileWaiting(controller);
+
+			sinon.stub(MicroServiceCall.prototype, 'call')
+				.resolves({ statusCode: 200, headers: { 'ratelimit-remaining': '0', 'ratelimit-reset': '5' }, body: Array(60).fill({ id: 1 }) });
+
+			const startedAt = Date.now();
+
+			await assert.rejects(() => ms.list('sample-service', 'sample-entity', null, null, null, { signal: controller.signal }), {
+				name: 'MicroServiceCallError',
+				code: MicroServiceCallError.codes.ABORTED
+			});
+
+			assert(Date.now() - startedAt < 1000, 'The rate limit delay was waited');
+
+			sinon.assert.calledOnce(MicroServiceCall.prototype.call);
+		});
+
+		it('Should not wait for the rate limit between pages when the signal is already aborted', async () => {
+
+			const controller = new AbortController();
+
+			sinon.stub(MicroServiceCall.prototype, 'call').callsFake(async () => {
+				controller.abort();
+				return { statusCode: 200, headers: { 'ratelimit-remaining': '0', 'ratelimit-reset': '5' }, body: Array(60).fill({ id: 1 }) };
+			});
+
+			await assert.rejects(() => ms.list('sample-service', 'sample-entity', null, null, null, { signal: controller.signal }), {
+				name: 'MicroServiceCallError',
+				code: MicroServiceCallError.codes.ABORTED
+			});
+		});
+	});
+
+	describe('Deadline', () => {
+
+		beforeEach(() => {
+
+			process.env.JANIS_SERVICE_SECRET = 'insecure-secret';
+
+			getEndpointStub({
+				baseUrl: 'https://sample-service.janis-test.in',
+				path: '/api/sample-entity',
+				method: 'get'
+			});
+		});
+
+		afterEach(() => {
+			nock.abortPendingRequests();
+			nock.cleanAll();
+		});
+
+		const getRequestConfig = () => axios.request.lastCall.args[0];
+
+		it('Should set the deadline from a Date, a timestamp or a Lambda context', () => {
+
+			sinon.useFakeTimers({ now: 10000, toFake: ['Date'] });
+
+			assert.deepStrictEqual(ms.setDeadline(new Date(15000)).deadline, 15000);
+			assert.deepStrictEqual(ms.setDeadline(20000).deadline, 20000);
+
+			const context = { getRemainingTimeInMillis: () => 3000 };
+
+			assert.deepStrictEqual(ms.setDeadlineFromContext(context).deadline, 12900);
+			assert.deepStrictEqual(ms.setDeadlineFromContext(context, 500).deadline, 12500);
+
+			assert.deepStrictEqual(ms.setDeadline(20000).setDeadline(null).deadline, null);
+		});
+
+		it('Should set the deadline in the returned instance without setting it in the original one', async () => {
+
+			sinon.spy(axios, 'request');
+
+			nock('https://sample-service.janis-test.in')
+				.get('/api/sample-entity')
+				.times(2)
+				.reply(200, []);
+
+			const deadline = Date.now() + 1000;
+
+			const msWithDeadline = ms.setDeadline(deadline);
+
+			assert(msWithDeadline instanceof MicroServiceCall);
+			assert.notStrictEqual(msWithDeadline, ms);
+			assert.deepStrictEqual(ms.deadline, undefined);
+
+			await Promise.all([
+				msWithDeadline.call('sample-service', 'sample-entity', 'list'),
+				ms.call('sample-service', 'sample-entity', 'list')
+			]);
+
+			assert.deepStrictEqual(axios.request.args.map(([{ headers }]) => headers['x-janis-deadline']), [String(deadline), undefined]);
+		});
+
+		it('Should not send the deadline header when there is no deadline', async () => {
+
+			sinon.spy(axios, 'request');
+
+			nock('https://sample-service.janis-test.in')
+				.get('/api/sample-entity')
+				.reply(200, []);
+
+			await ms.call('sample-service', 'sample-entity', 'list');
+
+			assert.deepStrictEqual(getRequestConfig().headers['x-janis-deadline'], undefined);
+		});
+
+		it('Should send the deadline header and clamp the timeout to the remaining time', async () => {
+
+			sinon.spy(axios, 'request');
+
+			const deadline = Date.now() + 1000;
+
+			nock('https://sample-service.janis-test.in')
+				.matchHeader('x-janis-deadline', String(deadline))
+				.get('/api/sample-entity')
+				.times(2)
+				.reply(200, []);
+
+			const msWithDeadline = ms.setDeadline(deadline);
+
+			await msWithDeadline.call('sample-service', 'sample-entity', 'list');
+
+			const { timeout } = getRequestConfig();
+			assert(timeout > 0 && timeout <= 1000, `Unexpected timeout ${timeout}`);
+
+			await msWithDeadline.call('sample-service', 'sample-entity', 'list', null, null, null, { timeout: 500 });
+
+			assert.deepStrictEqual(getRequestConfig().timeout, 500);
+		});
+
+		it('Should let the caller override the deadline header', async () => {
+
+			sinon.spy(axios, 'request');
+
+			nock('https://sample-service.janis-test.in')
+				.get('/api/sample-entity')
+				.reply(200, []);
+
+			await ms.setDeadline(Date.now() + 1000).call('sample-service', 'sample-entity', 'list', null, { 'x-janis-deadline': '123' });
+
+			assert.deepStrictEqual(getRequestConfig().headers['x-janis-deadline'], '123');
+		});
+
+		it('Should reject without resolving the endpoint when the deadline was exceeded', async () => {
+
+			await assert.rejects(() => ms.setDeadline(Date.now() - 1).safeCall('sample-service', 'sample-entity', 'list'), {
+				name: 'MicroServiceCallError',
+				code: MicroServiceCallError.codes.DEADLINE_EXCEEDED,
+				message: 'Deadline exceeded'
+			});
+
+			sinon.assert.notCalled(Invoker.serviceCall);
+		});
+
+		it('Should reject without making the request when the deadline is exceeded while resolving the endpoint', async () => {
+
+			sinon.spy(axios, 'request');
+
+			const clock = sinon.useFakeTimers({ now: 10000, toFake: ['Date'] });
+
+			Invoker.serviceCall.restore();
+
+			sinon.stub(Invoker, 'serviceCall').callsFake(async () => {
+				clock.tick(1000);
+				return { payload: { baseUrl: 'https://sample-service.janis-test.in', path: '/api/sample-entity', method: 'get' } };
+			});
+
+			await assert.rejects(() => ms.setDeadline(11000).call('sample-service', 'sample-entity', 'list'), {
+				name: 'MicroServiceCallError',
+				code: MicroServiceCallError.codes.DEADLINE_EXCEEDED,
+				message: 'Deadline exceeded'
+			});
+
+			sinon.assert.notCalled(axios.request);
+		});
+
+		it('Should reject with a deadline error when the response does not arrive before the deadline', async () => {
+
+			nock('https://sample-service.janis-test.in')
+				.get('/api/sample-entity')
+				.delay(200)
+				.reply(200, []);
+
+			const msWithTimeout = new MicroServiceCall({ timeout: 1000 }).setDeadline(Date.now() + 30);
+
+			await assert.rejects(() => msWithTimeout.safeCall('sample-service', 'sample-entity', 'list'), error => {
+				assert.deepStrictEqual(error.code, MicroServiceCallError.codes.DEADLINE_EXCEEDED);
+				assert.match(error.message, /^Deadline exceeded after \d+ms$/);
+				assert.deepStrictEqual(error.previousError.code, 'ECONNABORTED');
+				return true;
+			});
+		});
+
+		it('Should keep rejecting with a timeout error when the timeout is shorter than the remaining time', async () => {
+
+			nock('https://sample-service.janis-test.in')
+				.get('/api/sample-entity')
+				.delay(200)
+				.reply(200, []);
+
+			const msWithDeadline = ms.setDeadline(Date.now() + 5000);
+
+			await assert.rejects(() => msWithDeadline.call('sample-service', 'sample-entity', 'list', null, null, null, { timeout: 20 }), {
+				name: 'MicroServiceCallError',
+				code: MicroServiceCallError.codes.TIMEOUT,
+				message: 'Request timed out after 20ms'
+			});
+		});
+
+		it('Should never send a request without timeout when the deadline is reached while getting the timeout', async () => {
+
+			sinon.spy(axios, 'request');
+
+			nock('https://sample-service.janis-test.in')
+				.persist()
+				.get('/api/sample-entity')
+				.reply(200, []);
+
+			// every read of the time advances it 1ms, so the deadline is reached at a different point of each call
+			let now = 10000;
+			sinon.stub(Date, 'now').callsFake(() => now++);
+
+			for(let remainingTime = 1; remainingTime <= 20; remainingTime++) {
+
+				try {
+					await ms.setDeadline(now + remainingTime).call('sample-service', 'sample-entity', 'list');
+				} catch(error) {
+					assert.deepStrictEqual(error.code, MicroServiceCallError.codes.DEADLINE_EXCEEDED);
+				}
+			}
+
+			sinon.assert.called(axios.request);
+
+			axios.request.args.forEach(([{ timeout }]) => assert(timeout > 0, `Unexpected timeout ${timeout}`));
+		});
+
+		it('Should stop listing when the deadline is exceeded between pages', async () => {
+
+			const clock = sinon.useFakeTimers({ now: 10000, toFake: ['Date'] });
+
+			sinon.stub(MicroServiceCall.prototype, 'call').callsFake(async () => {
+				clock.tick(1000);
+				return { statusCode: 200, body: Array(60).fill({ id: 1 }) };
+			});
+
+			await assert.rejects(() => ms.setDeadline(11000).list('sample-service', 'sample-entity'), {
+				name: 'MicroServiceCallError',
+				code: MicroServiceCallError.codes.DEADLINE_EXCEEDED
+			});
+
+			sinon.assert.calledOnce(MicroServiceCall.prototype.call);
+		});
+	});
+
+	describe('Automatic retries', () => {
+
+		const host = 'https://sample-service.janis-test.in';
+
+		beforeEach(() => {
+
+			process.env.JANIS_SERVICE_SECRET = 'insecure-secret';
+
+			sinon.stub(backoff, 'wait').resolves();
+			sinon.stub(Math, 'random').returns(0.5);
+		});
+
+		afterEach(() => {
+			nock.cleanAll();
+		});
+
+		it('Should not retry nor inform the attempts by default', async () => {
+
+			stubEndpoint();
+
+			nock(host)
+				.get('/api/sample-entity')
+				.reply(503, { message: 'Service unavailable' });
+
+			const response = await ms.safeCall('sample-service', 'sample-entity', 'list');
+
+			assert.deepStrictEqual(response.statusCode, 503);
+			assert.deepStrictEqual(response.attempts, undefined);
+
+			sinon.assert.notCalled(backoff.wait);
+		});
+
+		it('Should retry with exponential backoff until a successful response', async () => {
+
+			stubEndpoint();
+
+			nock(host)
+				.get('/api/sample-entity')
+				.times(2)
+				.reply(503, { message: 'Service unavailable' })
+				.get('/api/sample-entity')
+				.reply(200, [{ id: 1 }]);
+
+			const msWithRetries = new MicroServiceCall({ retry: true });
+
+			const response = await msWithRetries.safeCall('sample-service', 'sample-entity', 'list');
+
+			assert.deepStrictEqual(response.statusCode, 200);
+			assert.deepStrictEqual(response.body, [{ id: 1 }]);
+			assert.deepStrictEqual(response.attempts, [
+				{ attempt: 1, statusCode: 503, delay: 50 },
+				{ attempt: 2, statusCode: 503, delay: 100 },
+				{ attempt: 3, statusCode: 200 }
+			]);
+
+			assert.deepStrictEqual(backoff.wait.args, [[50, undefined], [100, undefined]]);
+			assertGetEndpoint('sample-service', 'sample-entity', 'list');
+		});
+
+		it('Should reject with every attempt when the attempts are exhausted', async () => {
+
+			stubEndpoint();
+
+			nock(host)
+				.get('/api/sample-entity')
+				.times(2)
+				.reply(500, { message: 'Internal error' });
+
+			const msWithRetries = new MicroServiceCall({ retry: { maxAttempts: 2, baseDelay: 10 } });
+
+			await assert.rejects(() => msWithRetries.call('sample-service', 'sample-entity', 'list'), {
+				name: 'MicroServiceCallError',
+				code: MicroServiceCallError.codes.MICROSERVICE_FAILED,
+				statusCode: 500,
+				attempts: [
+					{ attempt: 1, statusCode: 500, delay: 5 },
+					{ attempt: 2, statusCode: 500 }
+				]
+			});
+		});
+
+		it('Should retry the errors of the request library', async () => {
+
+			stubEndpoint();
+
+			nock(host)
+				.get('/api/sample-entity')
+				.replyWithError({ code: 'ECONNRESET', message: 'socket hang up' })
+				.get('/api/sample-entity')
+				.reply(200, []);
+
+			const msWithRetries = new MicroServiceCall({ retry: true });
+
+			const { statusCode, attempts } = await msWithRetries.call('sample-service', 'sample-entity', 'list');
+
+			assert.deepStrictEqual(statusCode, 200);
+			assert.deepStrictEqual(attempts, [
+				{
+					attempt: 1,
+					errorCode: MicroServiceCallError.codes.REQUEST_LIB_ERROR,
+					errorMessage: 'socket hang up',
+					delay: 50
+				},
+				{ attempt: 2, statusCode: 200 }
+			]);
+		});
+
+		it('Should not retry the responses that shouldRetry() rejects', async () => {
+
+			stubEndpoint();
+
+			nock(host)
+				.get('/api/sample-entity')
+				.reply(400, { message: 'Invalid filter' })
+				.get('/api/sample-entity')
+				.reply(500, { message: 'Invalid client' });
+
+			const msWithRetries = new MicroServiceCall({ retry: true });
+
+			const badRequest = await msWithRetries.safeCall('sample-service', 'sample-entity', 'list');
+
+			assert.deepStrictEqual(badRequest.attempts, [{ attempt: 1, statusCode: 400 }]);
+
+			const invalidClient = await msWithRetries.safeCall('sample-service', 'sample-entity', 'list');
+
+			assert.deepStrictEqual(invalidClient.attempts, [{ attempt: 1, statusCode: 500 }]);
+
+			sinon.assert.notCalled(backoff.wait);
+		});
+
+		it('Should classify the responses with the retry classification rules of the instance', async () => {
+
+			stubEndpoint();
+
+			nock(host)
+				.get('/api/sample-entity')
+				.reply(500, { message: 'Duplicated order (10)' })
+				.get('/api/sample-entity')
+				.reply(409, { message: 'Conflict' })
+				.get('/api/sample-entity')
+				.reply(200, []);
+
+			const msWithRetries = new MicroServiceCall({
+				retry: true,
+				retryClassifier: {
+					retryStatusCodes: ['5xx', 409],
+					noRetryMessages: [/^Duplicated order/]
+				}
+			});
+
+			const duplicated = await msWithRetries.safeCall('sample-service', 'sample-entity', 'list');
+
+			assert.deepStrictEqual(duplicated.attempts, [{ attempt: 1, statusCode: 500 }]);
+
+			const conflict = await msWithRetries.safeCall('sample-service', 'sample-entity', 'list');
+
+			assert.deepStrictEqual(conflict.attempts, [{ attempt: 1, statusCode: 409, delay: 50 }, { attempt: 2, statusCode: 200 }]);
+		});
+
+		it('Should classify the responses of a service with its own retry classification rules', async () => {
+
+			stubEndpoint();
+
+			Invoker.serviceCall
+				.withArgs('discovery', 'GetEndpoint', { service: 'other-service', namespace: 'other-entity', method: 'list' })
+				.resolves({ payload: { baseUrl: 'https://other-service.janis-test.in', path: '/api/other-entity', method: 'get' } });
+
+			nock(host)
+				.get('/api/sample-entity')
+				.reply(503, { message: 'Service unavailable' })
+				.get('/api/sample-entity')
+				.reply(200, []);
+
+			nock('https://other-service.janis-test.in')
+				.get('/api/other-entity')
+				.reply(503, { message: 'Service unavailable' });
+
+			const msWithRetries = new MicroServiceCall({
+				retry: true,
+				retryClassifier: {
+					services: {
+						'other-service': { retryStatusCodes: [502] }
+					}
+				}
+			});
+
+			const { attempts } = await msWithRetries.call('sample-service', 'sample-entity', 'list');
+
+			assert.deepStrictEqual(attempts.length, 2);
+
+			const otherResponse = await msWithRetries.safeCall('other-service', 'other-entity', 'list');
+
+			assert.deepStrictEqual(otherResponse.attempts, [{ attempt: 1, statusCode: 503 }]);
+
+			assert(msWithRetries.shouldRetry({ statusCode: 503 }, 'sample-service'));
+			assert(!msWithRetries.shouldRetry({ statusCode: 503 }, 'other-service'));
+		});
+
+		it('Should not retry non idempotent methods by default', async () => {
+
+			stubEndpoint('post');
+
+			nock(host)
+				.post('/api/sample-entity')
+				.reply(503, {});
+
+			const msWithRetries = new MicroServiceCall({ retry: true });
+
+			const { statusCode, attempts } = await msWithRetries.safeCall('sample-service', 'sample-entity', 'post', { name: 'foo' });
+
+			assert.deepStrictEqual(statusCode, 503);
+			assert.deepStrictEqual(attempts, [{ attempt: 1, statusCode: 503 }]);
+		});
+
+		it('Should retry the methods of the retry policy of the call over the instance one', async () => {
+
+			stubEndpoint('post');
+
+			nock(host)
+				.post('/api/sample-entity')
+				.reply(503, {})
+				.post('/api/sample-entity')
+				.reply(201, { id: 1 });
+
+			const { statusCode, attempts } = await ms.call('sample-service', 'sample-entity', 'post', { name: 'foo' }, null, null, {
+				retry: { methods: ['post'] }
+			});
+
+			assert.deepStrictEqual(statusCode, 201);
+			assert.deepStrictEqual(attempts, [{ attempt: 1, statusCode: 503, delay: 50 }, { attempt: 2, statusCode: 201 }]);
+		});
+
+		it('Should not retry when the retries are disabled in the call', async () => {
+
+			stubEndpoint();
+
+			nock(host)
+				.get('/api/sample-entity')
+				.reply(503, {});
+
+			const msWithRetries = new MicroServiceCall({ retry: true });
+
+			const response = await msWithRetries.safeCall('sample-service', 'sample-entity', 'list', null, null, null, { retry: false });
+
+			assert.deepStrictEqual(response.statusCode, 503);
+			assert.deepStrictEqual(response.attempts, undefined);
+		});
+
+		it('Should not retry the errors that a new attempt cannot fix', async () => {
+
+			stubEndpoint('get', '/api/sample-entity/{id}');
+
+			const msWithRetries = new MicroServiceCall({ retry: true });
+
+			await assert.rejects(() => msWithRetries.call('sample-service', 'sample-entity', 'get'), {
+				code: MicroServiceCallError.codes.MISSING_ENDPOINT_PARAMETERS,
+				attempts: [{
+					attempt: 1,
+					errorCode: MicroServiceCallError.codes.MISSING_ENDPOINT_PARAMETERS,
+					errorMessage: 'Missing endpoint parameters for https://sample-service.janis-test.in/api/sample-entity/{id}: id'
+				}]
+			});
+
+			sinon.assert.notCalled(backoff.wait);
+		});
+
+		it('Should not retry when the endpoint cannot be resolved', async () => {
+
+			getEndpointStub({ errorMessage: 'Endpoint not found' }, 'Handled');
+
+			const msWithRetries = new MicroServiceCall({ retry: true });
+
+			await assert.rejects(() => msWithRetries.call('sample-service', 'sample-entity', 'list'), {
+				code: MicroServiceCallError.codes.DISCOVERY_ERROR,
+				attempts: [{
+					attempt: 1,
+					errorCode: MicroServiceCallError.codes.DISCOVERY_ERROR,
+					errorMessage: 'Service Discovery fails getting endpoint. Error: Endpoint not found'
+				}]
+			});
+
+			sinon.assert.notCalled(backoff.wait);
+		});
+
+		it('Should not retry when waiting for the next attempt would exceed the deadline', async () => {
+
+			stubEndpoint();
+
+			nock(host)
+				.get('/api/sample-entity')
+				.reply(503, {});
+
+			const msWithRetries = new MicroServiceCall({ retry: { baseDelay: 10000 } }).setDeadline(Date.now() + 1000);
+
+			const { attempts } = await msWithRetries.safeCall('sample-service', 'sample-entity', 'list');
+
+			assert.deepStrictEqual(attempts, [{ attempt: 1, statusCode: 503 }]);
+
+			sinon.assert.notCalled(backoff.wait);
+		});
+
+		it('Should retry each page of a list', async () => {
+
+			stubEndpoint();
+
+			nock(host)
+				.get('/api/sample-entity')
+				.reply(200, Array(2).fill({ id: 1 }))
+				.get('/api/sample-entity')
+				.reply(503, {})
+				.get('/api/sample-entity')
+				.reply(200, [{ id: 2 }]);
+
+			const msWithRetries = new MicroServiceCall({ retry: true });
+
+			const { statusCode, body, attempts } = await msWithRetries.list('sample-service', 'sample-entity', null, null, 2);
+
+			assert.deepStrictEqual(statusCode, 200);
+			assert.deepStrictEqual(body, [{ id: 1 }, { id: 1 }, { id: 2 }]);
+			assert.deepStrictEqual(attempts, [{ attempt: 1, statusCode: 503, delay: 50 }, { attempt: 2, statusCode: 200 }]);
+		});
+	});
+
+	describe('Circuit breaker', () => {
+
+		const host = 'https://sample-service.janis-test.in';
+
+		beforeEach(() => {
+
+			process.env.JANIS_SERVICE_SECRET = 'insecure-secret';
+
+			getEndpointStub({ baseUrl: host, path: '/api/sample-entity', method: 'get' });
+		});
+
+		afterEach(() => {
+			nock.cleanAll();
+		});
+
+		const circuitOpenError = {
+			name: 'MicroServiceCallError',
+			code: MicroServiceCallError.codes.CIRCUIT_OPEN,
+			message: 'Circuit open for sample-service'
+		};
+
+		it('Should expose the circuit breaker to inspect and reset the circuits', () => {
+			assert.strictEqual(MicroServiceCall.circuitBreaker, CircuitBreaker);
+		});
+
+		it('Should not track the requests by default', async () => {
+
+			nock(host)
+				.get('/api/sample-entity')
+				.reply(503, {});
+
+			await ms.safeCall('sample-service', 'sample-entity', 'list');
+
+			assert.deepStrictEqual(CircuitBreaker.inspect(), {});
+		});
+
+		it('Should reject without resolving the endpoint nor making the request while the circuit is open', async () => {
+
+			nock(host)
+				.get('/api/sample-entity')
+				.reply(503, {})
+				.get('/api/sample-entity')
+				.replyWithError({ code: 'ECONNRESET', message: 'socket hang up' });
+
+			const msWithCircuitBreaker = new MicroServiceCall({ circuitBreaker: { failureThreshold: 2 } });
+
+			await msWithCircuitBreaker.safeCall('sample-service', 'sample-entity', 'list');
+
+			await assert.rejects(() => msWithCircuitBreaker.safeCall('sample-service', 'sample-entity', 'list'), {
+				code: MicroServiceCallError.codes.REQUEST_LIB_ERROR
+			});
+
+			await assert.rejects(() => msWithCircuitBreaker.call('sample-service', 'sample-entity', 'list'), circuitOpenError);
+			await assert.rejects(() => new MicroServiceCall({ circuitBreaker: true }).safeCall('sample-service', 'sample-entity', 'get'), circuitOpenError);
+
+			assert.deepStrictEqual(CircuitBreaker.inspect('sample-service').state, 'open');
+
+			assertGetEndpoint('sample-service', 'sample-entity', 'list');
+		});
+
+		it('Should not count client errors nor errors that do not come from the service as failures', async () => {
+
+			nock(host)
+				.get('/api/sample-entity')
+				.reply(404, { message: 'Not found' });
+
+			const msWithCircuitBreaker = new MicroServiceCall({ circuitBreaker: true });
+
+			await msWithCircuitBreaker.safeCall('sample-service', 'sample-entity', 'list');
+
+			const controller = new AbortController();
+			controller.abort();
+
+			await assert.rejects(() => msWithCircuitBreaker.call('sample-service', 'sample-entity', 'list', null, null, null, {
+				signal: controller.signal
+			}), { code: MicroServiceCallError.codes.ABORTED });
+
+			Invoker.serviceCall
+				.withArgs('discovery', 'GetEndpoint', { service: 'sample-service', namespace: 'sample-entity', method: 'get' })
+				.resolves({ payload: { errorMessage: 'Endpoint not found' }, functionError: 'Handled' });
+
+			await assert.rejects(() => msWithCircuitBreaker.call('sample-service', 'sample-entity', 'get'), {
+				code: MicroServiceCallError.codes.DISCOVERY_ERROR
+			});
+
+			assert.deepStrictEqual(CircuitBreaker.inspect('sample-service'), {
+				state: 'closed',
+				consecutiveFailures: 0,
+				requests: 1,
+				failures: 0,
+				openedAt: null
+			});
+		});
+
+		it('Should keep a circuit for each namespace with namespace scope', async () => {
+
+			nock(host)
+				.get('/api/sample-entity')
+				.reply(500, { message: 'Internal error' });
+
+			const msWithCircuitBreaker = new MicroServiceCall({ circuitBreaker: { scope: 'namespace', failureThreshold: 1 } });
+
+			await msWithCircuitBreaker.safeCall('sample-service', 'sample-entity', 'list');
+
+			await assert.rejects(() => msWithCircuitBreaker.safeCall('sample-service', 'sample-entity', 'list'), {
+				code: MicroServiceCallError.codes.CIRCUIT_OPEN,
+				message: 'Circuit open for sample-service/sample-entity'
+			});
+
+			assert.deepStrictEqual(Object.keys(CircuitBreaker.inspect()), ['sample-service/sample-entity']);
+		});
+
+		it('Should stop retrying when the circuit is opened', async () => {
+
+			sinon.stub(backoff, 'wait').resolves();
+
+			nock(host)
+				.get('/api/sample-entity')
+				.times(2)
+				.reply(503, {});
+
+			const msWithCircuitBreaker = new MicroServiceCall({ retry: { maxAttempts: 5 }, circuitBreaker: { failureThreshold: 2 } });
+
+			await assert.rejects(() => msWithCircuitBreaker.call('sample-service', 'sample-entity', 'list'), error => {
+				assert.deepStrictEqual(error.code, MicroServiceCallError.codes.CIRCUIT_OPEN);
+				assert.deepStrictEqual(error.attempts.map(({ statusCode, errorCode }) => statusCode || errorCode), [503, 503, 10]);
+				return true;
+			});
+
+			sinon.assert.calledTwice(backoff.wait);
+		});
+	});
+
+	describe('Throttling', () => {
+
+		const host = 'https://sample-service.janis-test.in';
+
+		beforeEach(() => {
+
+			process.env.JANIS_SERVICE_SECRET = 'insecure-secret';
+
+			sinon.stub(backoff, 'wait').resolves();
+			sinon.stub(Math, 'random').returns(0.5);
+		});
+
+		afterEach(() => {
+			nock.cleanAll();
+		});
+
+		it('Should reject with a too many requests error informing the time to wait', async () => {
+
+			stubEndpoint();
+
+			nock(host)
+				.get('/api/sample-entity')
+				.reply(429, { message: 'Too Many Requests' }, { 'retry-after': '2' })
+				.get('/api/sample-entity')
+				.reply(429, { message: 'Too Many Requests' });
+
+			await assert.rejects(() => ms.call('sample-service', 'sample-entity', 'list'), {
+				name: 'MicroServiceCallError',
+				code: MicroServiceCallError.codes.TOO_MANY_REQUESTS,
+				statusCode: 429,
+				message: 'Microservice failed (429): Too Many Requests',
+				retryAfter: 2000
+			});
+
+			await assert.rejects(() => ms.call('sample-service', 'sample-entity', 'list'), error => {
+				assert.deepStrictEqual(error.code, MicroServiceCallError.codes.TOO_MANY_REQUESTS);
+				assert(!('retryAfter' in error));
+				return true;
+			});
+
+			sinon.assert.notCalled(backoff.wait);
+		});
+
+		it('Should not reject throttled requests in safe mode', async () => {
+
+			stubEndpoint();
+
+			nock(host)
+				.get('/api/sample-entity')
+				.reply(429, { message: 'Too Many Requests' });
+
+			const { statusCode } = await ms.safeCall('sample-service', 'sample-entity', 'list');
+
+			assert.deepStrictEqual(statusCode, 429);
+		});
+
+		it('Should parse the Retry-After header as an HTTP date', async () => {
+
+			sinon.useFakeTimers({ now: new Date('2024-01-01T00:00:00.000Z').getTime(), toFake: ['Date'] });
+
+			stubEndpoint();
+
+			const retryAfterValues = ['Mon, 01 Jan 2024 00:00:05 GMT', 'Sun, 31 Dec 2023 23:59:00 GMT', 'soon', ''];
+
+			retryAfterValues.forEach(retryAfter => {
+				nock(host)
+					.get('/api/sample-entity')
+					.reply(429, {}, { 'retry-after': retryAfter });
+			});
+
+			const getRetryAfter = () => ms.call('sample-service', 'sample-entity', 'list')
+				.catch(error => ('retryAfter' in error ? error.retryAfter : null));
+
+			assert.deepStrictEqual(await getRetryAfter(), 5000);
+			assert.deepStrictEqual(await getRetryAfter(), 0);
+			assert.deepStrictEqual(await getRetryAfter(), null);
+			assert.deepStrictEqual(await getRetryAfter(), null);
+		});
+
+		it('Should retry waiting the time of the Retry-After header, capped by the max throttle delay', async () => {
+
+			stubEndpoint();
+
+			nock(host)
+				.get('/api/sample-entity')
+				.reply(429, {}, { 'retry-after': '3' })
+				.get('/api/sample-entity')
+				.reply(429, {}, { 'retry-after': '60' })
+				.get('/api/sample-entity')
+				.reply(200, []);
+
+			const msWithRetries = new MicroServiceCall({ retry: true, maxThrottleDelay: 5000 });
+
+			const { statusCode, attempts } = await msWithRetries.call('sample-service', 'sample-entity', 'list');
+
+			assert.deepStrictEqual(statusCode, 200);
+			assert.deepStrictEqual(attempts, [
+				{ attempt: 1, statusCode: 429, delay: 3000 },
+				{ attempt: 2, statusCode: 429, delay: 5000 },
+				{ attempt: 3, statusCode: 200 }
+			]);
+		});
+
+		it('Should retry throttled requests with exponential backoff when there is no Retry-After header', async () => {
+
+			stubEndpoint();
+
+			nock(host)
+				.get('/api/sample-entity')
+				.reply(429, {})
+				.get('/api/sample-entity')
+				.reply(200, []);
+
+			const msWithRetries = new MicroServiceCall({ retry: true });
+
+			const { attempts } = await msWithRetries.call('sample-service', 'sample-entity', 'list');
+
+			assert.deepStrictEqual(attempts, [{ attempt: 1, statusCode: 429, delay: 50 }, { attempt: 2, statusCode: 200 }]);
+		});
+
+		it('Should retry throttled requests of non idempotent methods', async () => {
+
+			stubEndpoint('post');
+
+			nock(host)
+				.post('/api/sample-entity')
+				.reply(429, {}, { 'retry-after': '1' })
+				.post('/api/sample-entity')
+				.reply(201, { id: 1 });
+
+			const msWithRetries = new MicroServiceCall({ retry: true });
+
+			const { statusCode } = await msWithRetries.call('sample-service', 'sample-entity', 'post', { name: 'foo' });
+
+			assert.deepStrictEqual(statusCode, 201);
+			sinon.assert.calledOnceWithExactly(backoff.wait, 1000, undefined);
+		});
+
+		describe('Rate limit headers in lists', () => {
+
+			const page = (headers, size = 2) => ({ statusCode: 200, headers, body: Array(size).fill({ id: 1 }) });
+
+			it('Should wait before the next page when there are no remaining requests', async () => {
+
+				sinon.stub(MicroServiceCall.prototype, 'call')
+					.onFirstCall()
+					.resolves(page({ 'ratelimit-remaining': '0', 'ratelimit-reset': '2' }))
+					.onSecondCall()
+					.resolves(page({ 'ratelimit-remaining': '10', 'ratelimit-reset': '2' }))
+					.onThirdCall()
+					.resolves(page({}, 1));
+
+				const { body } = await ms.list('sample-service', 'sample-entity', null, null, 2);
+
+				assert.deepStrictEqual(body.length, 5);
+				sinon.assert.calledOnceWithExactly(backoff.wait, 2000, undefined);
+			});
+
+			it('Should use the x-ratelimit headers with the reset as epoch seconds, capped by the max throttle delay', async () => {
+
+				sinon.useFakeTimers({ now: 1700000000000, toFake: ['Date'] });
+
+				sinon.stub(MicroServiceCall.prototype, 'call')
+					.onFirstCall()
+					.resolves(page({ 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '1700000003' }))
+					.onSecondCall()
+					.resolves(page({ 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '1700000060' }))
+					.onThirdCall()
+					.resolves(page({ 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '1699999999' }))
+					.onCall(3)
+					.resolves(page({ 'x-ratelimit-remaining': '0' }))
+					.onCall(4)
+					.resolves(page({}, 0));
+
+				const { body } = await ms.list('sample-service', 'sample-entity', null, null, 2);
+
+				assert.deepStrictEqual(body.length, 8);
+				assert.deepStrictEqual(backoff.wait.args, [[3000, undefined], [10000, undefined]]);
+			});
+
+			it('Should reject when waiting for the next page would exceed the deadline', async () => {
+
+				sinon.stub(MicroServiceCall.prototype, 'call')
+					.resolves(page({ 'ratelimit-remaining': '0', 'ratelimit-reset': '5' }));
+
+				await assert.rejects(() => ms.setDeadline(Date.now() + 1000).list('sample-service', 'sample-entity', null, null, 2), {
+					name: 'MicroServiceCallError',
+					code: MicroServiceCallError.codes.DEADLINE_EXCEEDED
+				});
+
+				sinon.assert.calledOnce(MicroServiceCall.prototype.call);
+				sinon.assert.notCalled(backoff.wait);
+			});
+
+			it('Should wait before starting the concurrent pages when there are no remaining requests', async () => {
+
+				sinon.stub(MicroServiceCall.prototype, 'call')
+					.onFirstCall()
+					.resolves(page({ 'x-janis-total': '6', 'ratelimit-remaining': '0', 'ratelimit-reset': '2' }))
+					.onCall(3)
+					.resolves(page({}, 0))
+					.resolves(page({}));
+
+				let callsWhenWaited;
+
+				backoff.wait.callsFake(async () => {
+					await new Promise(resolve => setImmediate(resolve));
+					callsWhenWaited = MicroServiceCall.prototype.call.callCount;
+				});
+
+				const { body } = await ms.list('sample-service', 'sample-entity', null, null, 2, { concurrency: 5 });
+
+				assert.deepStrictEqual(body.length, 6);
+				sinon.assert.calledOnceWithExactly(backoff.wait, 2000, undefined);
+				assert.deepStrictEqual(callsWhenWaited, 1);
+			});
+
+			it('Should wait before starting more concurrent pages when a page informs that there are no remaining requests', async () => {
+
+				sinon.stub(MicroServiceCall.prototype, 'call')
+					.onFirstCall()
+					.resolves(page({ 'x-janis-total': '8' }))
+					.onSecondCall()
+					.resolves(page({ 'ratelimit-remaining': '0', 'ratelimit-reset': '3' }))
+					.onCall(4)
+					.resolves(page({}, 0))
+					.resolves(page({}));
+
+				let callsWhenWaited;
+
+				backoff.wait.callsFake(async () => {
+					await new Promise(resolve => setImmediate(resolve));
+					callsWhenWaited = MicroServiceCall.prototype.call.callCount;
+				});
+
+				const { body } = await ms.list('sample-service', 'sample-entity', null, null, 2, { concurrency: 1 });
+
+				assert.deepStrictEqual(body.length, 8);
+				sinon.assert.calledOnceWithExactly(backoff.wait, 3000, undefined);
+				assert.deepStrictEqual(callsWhenWaited, 2);
+			});
+
+			it('Should reject when waiting for the concurrent pages would exceed the deadline', async () => {
+
+				sinon.stub(MicroServiceCall.prototype, 'call')
+					.resolves(page({ 'x-janis-total': '6', 'ratelimit-remaining': '0', 'ratelimit-reset': '5' }));
+
+				await assert.rejects(() => ms.setDeadline(Date.now() + 1000).list('sample-service', 'sample-entity', null, null, 2, { concurrency: 5 }), {
+					name: 'MicroServiceCallError',
+					code: MicroServiceCallError.codes.DEADLINE_EXCEEDED
+				});
+
+				sinon.assert.calledOnce(MicroServiceCall.prototype.call);
+				sinon.assert.notCalled(backoff.wait);
+			});
+		});
+	});
+
+	describe('Bulkhead', () => {
+
+		const host = 'https://sample-service.janis-test.in';
+
+		beforeEach(() => {
+
+			process.env.JANIS_SERVICE_SECRET = 'insecure-secret';
+
+			getEndpointStub({ baseUrl: host, path: '/api/sample-entity', method: 'get' });
+		});
+
+		afterEach(() => {
+			nock.abortPendingRequests();
+			nock.cleanAll();
+		});
+
+		const flush = () => new Promise(resolve => setImmediate(resolve));
+
+		it('Should expose the bulkhead to inspect the requests', () => {
+			assert.strictEqual(MicroServiceCall.bulkhead, Bulkhead);
+		});
+
+		it('Should not limit the requests by default', async () => {
+
+			nock(host)
+				.get('/api/sample-entity')
+				.times(2)
+				.delay(20)
+				.reply(200, []);
+
+			const requests = [ms.call('sample-service', 'sample-entity', 'list'), ms.call('sample-service', 'sample-entity', 'list')];
+
+			await flush();
+
+			assert.deepStrictEqual(Bulkhead.inspect(), {});
+
+			await Promise.all(requests);
+		});
+
+		it('Should make the requests that exceed the limit of the service wait for a free slot', async () => {
+
+			nock(host)
+				.get('/api/sample-entity')
+				.times(2)
+				.delay(20)
+				.reply(200, []);
+
+			const msWithBulkhead = new MicroServiceCall({ bulkhead: { maxConcurrent: 1 } });
+
+			const requests = [
+				msWithBulkhead.call('sample-service', 'sample-entity', 'list'),
+				msWithBulkhead.call('sample-service', 'sample-entity', 'list')
+			];
+
+			await flush();
+
+			assert.deepStrictEqual(Bulkhead.inspect('sample-service'), { active: 1, queued: 1 });
+
+			const responses = await Promise.all(requests);
+
+			assert.deepStrictEqual(responses.map(({ statusCode }) => statusCode), [200, 200]);
+			assert.deepStrictEqual(Bulkhead.inspect(), {});
+		});
+
+		it('Should reject when the queue of the service is full', async () => {
+
+			nock(host)
+				.get('/api/sample-entity')
+				.delay(20)
+				.reply(200, []);
+
+			const msWithBulkhead = new MicroServiceCall({ bulkhead: { maxConcurrent: 1, maxQueue: 0 } });
+
+			const request = msWithBulkhead.call('sample-service', 'sample-entity', 'list');
+
+			await assert.rejects(() => msWithBulkhead.safeCall('sample-service', 'sample-entity', 'list'), {
+				name: 'MicroServiceCallError',
+				code: MicroServiceCallError.codes.BULKHEAD_FULL,
+				message: 'Bulkhead queue full for sample-service'
+			});
+
+			await request;
+		});
+
+		it('Should count the time waiting for a free slot in the timeout', async () => {
+
+			nock(host)
+				.get('/api/sample-entity')
+				.times(10)
+				.delay(100)
+				.reply(200, []);
+
+			const msWithBulkhead = new MicroServiceCall({ bulkhead: true, timeout: 50 });
+
+			const requests = [...Array(10)].map(() => msWithBulkhead.call('sample-service', 'sample-entity', 'list', null, null, null, { timeout: 0 }));
+
+			await assert.rejects(() => msWithBulkhead.call('sample-service', 'sample-entity', 'list'), {
+				name: 'MicroServiceCallError',
+				code: MicroServiceCallError.codes.TIMEOUT,
+				message: 'Request timed out after 50ms waiting for a free slot for sample-service'
+			});
+
+			await Promise.all(requests);
+		});
+
+		it('Should make the request with the remaining time of the timeout after waiting for a free slot', async () => {
+
+			sinon.spy(axios, 'request');
+
+			nock(host)
+				.get('/api/sample-entity')
+				.delay(50)
+				.reply(200, [])
+				.get('/api/sample-entity')
+				.delay(500)
+				.reply(200, []);
+
+			const msWithBulkhead = new MicroServiceCall({ bulkhead: { maxConcurrent: 1 } });
+
+			const request = msWithBulkhead.call('sample-service', 'sample-entity', 'list');
+
+			await assert.rejects(() => msWithBulkhead.call('sample-service', 'sample-entity', 'list', null, null, null, { timeout: 200 }), {
+				name: 'MicroServiceCallError',
+				code: MicroServiceCallError.codes.TIMEOUT,
+				message: 'Request timed out after 200ms'
+			});
+
+			const { timeout } = axios.request.secondCall.args[0];
+
+			assert(timeout > 0 && timeout < 200, `Unexpected timeout ${timeout}`);
+
+			await request;
+		});
+
+		it('Should reject with a deadline error when the deadline is exceeded while waiting for a free slot', async () => {
+
+			nock(host)
+				.get('/api/sample-entity')
+				.delay(100)
+				.reply(200, []);
+
+			const request = new MicroServiceCall({ bulkhead: { maxConcurrent: 1 } }).call('sample-service', 'sample-entity', 'list');
+
+			const msWithDeadline = new MicroServiceCall({ bulkhead: { maxConcurrent: 1 } }).setDeadline(Date.now() + 30);
+
+			await assert.rejects(() => msWithDeadline.call('sample-service', 'sample-entity', 'list'), {
+				name: 'MicroServiceCallError',
+				code: MicroServiceCallError.codes.DEADLINE_EXCEEDED,
+				message: 'Deadline exceeded'
+			});
+
+			await request;
+		});
+
+		it('Should release the slot when the request fails', async () => {
+
+			nock(host)
+				.get('/api/sample-entity')
+				.replyWithError({ code: 'ECONNRESET', message: 'socket hang up' });
+
+			const msWithBulkhead = new MicroServiceCall({ bulkhead: { maxConcurrent: 1 } });
+
+			await assert.rejects(() => msWithBulkhead.call('sample-service', 'sample-entity', 'list'), {
+				code: MicroServiceCallError.codes.REQUEST_LIB_ERROR
+			});
+
+			assert.deepStrictEqual(Bulkhead.inspect(), {});
+		});
+	});
+
+	describe('Hedging', () => {
+
+		const host = 'https://sample-service.janis-test.in';
+
+		const connectionReset = () => Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+
+		let clock;
+		let requests;
+
+		beforeEach(() => {
+
+			process.env.JANIS_SERVICE_SECRET = 'insecure-secret';
+
+			clock = sinon.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date'] });
+
+			requests = [];
+
+			// every request is pending until the test answers it, and is rejected when its signal is aborted
+			sinon.stub(axios, 'request').callsFake(({ signal }) => new Promise((resolve, reject) => {
+
+				requests.push({
+					respond: (status, data) => resolve({ status, statusText: '', headers: {}, data }),
+					fail: reject
+				});
+
+				const abort = () => reject(new axios.CanceledError());
+
+				if(signal && signal.aborted)
+					abort();
+				else if(signal)
+					signal.addEventListener('abort', abort);
+			}));
+		});
+
+		const getSignals = () => axios.request.args.map(([{ signal }]) => signal);
+
+		it('Should expose the hedge budget to inspect the hedged requests', () => {
+			assert.strictEqual(MicroServiceCall.hedging, Hedging);
+		});
+
+		it('Should not hedge the requests by default', async () => {
+
+			stubEndpoint();
+
+			const call = ms.call('sample-service', 'sample-entity', 'list');
+
+			await clock.tickAsync(1000);
+
+			requests[0].respond(200, []);
+
+			await call;
+
+			sinon.assert.calledOnce(axios.request);
+			assert.deepStrictEqual(Hedging.inspect(), {});
+		});
+
+		it('Should send a hedged request when the first one does not answer in time and abort the slowest one', async () => {
+
+			stubEndpoint();
+
+			const msWithHedging = new MicroServiceCall({ hedging: { delay: 20 } });
+
+			const call = msWithHedging.call('sample-service', 'sample-entity', 'list');
+
+			await clock.tickAsync(19);
+
+			sinon.assert.calledOnce(axios.request);
+
+			await clock.tickAsync(1);
+
+			sinon.assert.calledTwice(axios.request);
+
+			requests[1].respond(200, [{ id: 'fast' }]);
+
+			const { body } = await call;
+
+			assert.deepStrictEqual(body, [{ id: 'fast' }]);
+			assert.deepStrictEqual(Hedging.inspect('sample-service'), { requests: 1, hedges: 1 });
+
+			const [slowSignal, fastSignal] = getSignals();
+
+			assert.deepStrictEqual(slowSignal.aborted, true);
+			assert.deepStrictEqual(fastSignal.aborted, false);
+		});
+
+		it('Should not send a hedged request when the first one answers in time', async () => {
+
+			stubEndpoint();
+
+			const msWithHedging = new MicroServiceCall({ hedging: { delay: 50 } });
+
+			const call = msWithHedging.call('sample-service', 'sample-entity', 'list');
+
+			await clock.tickAsync(49);
+
+			requests[0].respond(200, []);
+
+			await call;
+
+			await clock.tickAsync(50);
+
+			sinon.assert.calledOnce(axios.request);
+			assert.deepStrictEqual(Hedging.inspect('sample-service'), { requests: 1, hedges: 0 });
+		});
+
+		it('Should not send more hedged requests than the budget allows', async () => {
+
+			stubEndpoint();
+
+			const msWithHedging = new MicroServiceCall({ hedging: { delay: 10, budgetPercent: 50 } });
+
+			const firstCall = msWithHedging.call('sample-service', 'sample-entity', 'list');
+
+			await clock.tickAsync(10);
+
+			requests[1].respond(200, []);
+
+			await firstCall;
+
+			const secondCall = msWithHedging.call('sample-service', 'sample-entity', 'list');
+
+			await clock.tickAsync(10);
+
+			requests[2].respond(200, []);
+
+			await secondCall;
+
+			sinon.assert.calledThrice(axios.request);
+			assert.deepStrictEqual(Hedging.inspect('sample-service'), { requests: 2, hedges: 1 });
+		});
+
+		it('Should wait for the hedged request when the first one fails', async () => {
+
+			stubEndpoint();
+
+			const msWithHedging = new MicroServiceCall({ hedging: { delay: 10 } });
+
+			const call = msWithHedging.call('sample-service', 'sample-entity', 'list');
+
+			await clock.tickAsync(10);
+
+			requests[0].fail(connectionReset());
+
+			await clock.tickAsync(0);
+
+			requests[1].respond(200, [{ id: 'hedged' }]);
+
+			const { body } = await call;
+
+			assert.deepStrictEqual(body, [{ id: 'hedged' }]);
+		});
+
+		it('Should reject with the error of the last request when every request fails', async () => {
+
+			stubEndpoint();
+
+			const msWithHedging = new MicroServiceCall({ hedging: { delay: 10 } });
+
+			const call = msWithHedging.call('sample-service', 'sample-entity', 'list');
+
+			await clock.tickAsync(0);
+
+			requests[0].fail(connectionReset());
+
+			await assert.rejects(() => call, {
+				code: MicroServiceCallError.codes.REQUEST_LIB_ERROR,
+				message: 'socket hang up'
+			});
+
+			await clock.tickAsync(10);
+
+			sinon.assert.calledOnce(axios.request);
+		});
+
+		it('Should abort every request when the call is aborted', async () => {
+
+			stubEndpoint();
+
+			const controller = new AbortController();
+
+			const msWithHedging = new MicroServiceCall({ hedging: { delay: 10 } });
+
+			const call = msWithHedging.call('sample-service', 'sample-entity', 'list', null, null, null, { signal: controller.signal });
+
+			await clock.tickAsync(10);
+
+			controller.abort();
+
+			await assert.rejects(() => call, { code: MicroServiceCallError.codes.ABORTED });
+
+			assert.deepStrictEqual(getSignals().map(signal => signal.aborted), [true, true]);
+		});
+
+		it('Should not send any request but the aborted one when the call is aborted while getting the endpoint', async () => {
+
+			const controller = new AbortController();
+
+			sinon.stub(Invoker, 'serviceCall').callsFake(async () => {
+				controller.abort();
+				return { payload: { baseUrl: host, path: '/api/sample-entity', method: 'get' } };
+			});
+
+			const msWithHedging = new MicroServiceCall({ hedging: { delay: 10 } });
+
+			const call = msWithHedging.call('sample-service', 'sample-entity', 'list', null, null, null, { signal: controller.signal });
+
+			await assert.rejects(() => call, { code: MicroServiceCallError.codes.ABORTED });
+
+			await clock.tickAsync(10);
+
+			assert.deepStrictEqual(getSignals(), [controller.signal]);
+			assert.deepStrictEqual(Hedging.inspect(), {});
+		});
+
+		it('Should give the hedged request only the time remaining of the timeout', async () => {
+
+			stubEndpoint();
+
+			const msWithHedging = new MicroServiceCall({ hedging: { delay: 30 }, timeout: 100 });
+
+			const call = msWithHedging.call('sample-service', 'sample-entity', 'list');
+
+			await clock.tickAsync(30);
+
+			assert.deepStrictEqual(axios.request.args.map(([{ timeout }]) => timeout), [100, 70]);
+
+			requests[0].fail(Object.assign(new Error('timeout of 100ms exceeded'), { code: 'ECONNABORTED' }));
+			requests[1].fail(Object.assign(new Error('timeout of 70ms exceeded'), { code: 'ECONNABORTED' }));
+
+			await assert.rejects(() => call, {
+				code: MicroServiceCallError.codes.TIMEOUT,
+				message: 'Request timed out after 100ms'
+			});
+		});
+
+		it('Should not hedge other methods than GET nor calls with hedging disabled', async () => {
+
+			stubEndpoint('post');
+
+			const msWithHedging = new MicroServiceCall({ hedging: { delay: 10 } });
+
+			const create = msWithHedging.call('sample-service', 'sample-entity', 'create', {});
+
+			await clock.tickAsync(50);
+
+			requests[0].respond(201, {});
+
+			await create;
+
+			Invoker.serviceCall.resolves({ payload: { baseUrl: host, path: '/api/sample-entity', method: 'get' } });
+
+			const list = msWithHedging.call('sample-service', 'sample-entity', 'list', null, null, null, { hedging: false });
+
+			await clock.tickAsync(50);
+
+			requests[1].respond(200, []);
+
+			await list;
+
+			sinon.assert.calledTwice(axios.request);
+			assert.deepStrictEqual(Hedging.inspect(), {});
+		});
+	});
+
+	describe('Idempotency keys', () => {
+
+		const host = 'https://sample-service.janis-test.in';
+
+		const uuidRegExp = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+		beforeEach(() => {
+
+			process.env.JANIS_SERVICE_SECRET = 'insecure-secret';
+
+			sinon.spy(axios, 'request');
+			sinon.stub(backoff, 'wait').resolves();
+		});
+
+		afterEach(() => {
+			nock.cleanAll();
+		});
+
+		const getSentKeys = () => axios.request.args.map(([{ headers }]) => headers['x-janis-idempotency-key']);
+
+		it('Should not send an idempotency key by default', async () => {
+
+			stubEndpoint('post');
+
+			nock(host)
+				.post('/api/sample-entity')
+				.reply(201, { id: 1 });
+
+			const response = await ms.call('sample-service', 'sample-entity', 'post', { name: 'foo' });
+
+			assert.deepStrictEqual(response.idempotencyKey, undefined);
+			assert.deepStrictEqual(getSentKeys(), [undefined]);
+		});
+
+		it('Should send the same generated key in every attempt of a write call', async () => {
+
+			stubEndpoint('post');
+
+			nock(host)
+				.post('/api/sample-entity')
+				.reply(503, {})
+				.post('/api/sample-entity')
+				.reply(201, { id: 1 })
+				.post('/api/sample-entity')
+				.reply(201, { id: 2 });
+
+			const msWithKeys = new MicroServiceCall({ idempotencyKeys: true, retry: { methods: ['POST'] } });
+
+			const { idempotencyKey } = await msWithKeys.call('sample-service', 'sample-entity', 'post', { name: 'foo' });
+
+			assert.match(idempotencyKey, uuidRegExp);
+
+			const otherCall = await msWithKeys.call('sample-service', 'sample-entity', 'post', { name: 'bar' });
+
+			assert.notDeepStrictEqual(otherCall.idempotencyKey, idempotencyKey);
+			assert.deepStrictEqual(getSentKeys(), [idempotencyKey, idempotencyKey, otherCall.idempotencyKey]);
+		});
+
+		it('Should not send the key in read calls', async () => {
 
-				await assert.rejects(() => ms.call('sample-service', 'sample-entity', 'list'), {
-					name: 'MicroServiceCallError',
-					code: MicroServiceCallError.codes.JANIS_SECRET_MISSING,
-					message: 'Microservice failed: Secret is missing'
-				});
+			stubEndpoint('get');
 
-				assertGetEndpoint('sample-service', 'sample-entity', 'list');
+			nock(host)
+				.get('/api/sample-entity')
+				.reply(200, []);
+
+			const msWithKeys = new MicroServiceCall({ idempotencyKeys: true });
+
+			const response = await msWithKeys.call('sample-service', 'sample-entity', 'list');
+
+			assert.deepStrictEqual(response.idempotencyKey, undefined);
+			assert.deepStrictEqual(getSentKeys(), [undefined]);
+		});
+
+		it('Should send the key received in the call and inform it in the errors', async () => {
+
+			stubEndpoint('put');
+
+			nock(host)
+				.put('/api/sample-entity')
+				.reply(409, { message: 'Already updated' })
+				.put('/api/sample-entity')
+				.replyWithError({ code: 'ECONNRESET', message: 'socket hang up' });
+
+			const options = { idempotencyKey: 'update-order-123' };
+
+			await assert.rejects(() => ms.call('sample-service', 'sample-entity', 'update', { name: 'foo' }, null, null, options), {
+				name: 'MicroServiceCallError',
+				code: MicroServiceCallError.codes.MICROSERVICE_FAILED,
+				statusCode: 409,
+				idempotencyKey: 'update-order-123'
 			});
 
-			it('should reject when secrets manager getValue rejects', async () => {
+			await assert.rejects(() => ms.safeCall('sample-service', 'sample-entity', 'update', { name: 'foo' }, null, null, options), {
+				name: 'MicroServiceCallError',
+				code: MicroServiceCallError.codes.REQUEST_LIB_ERROR,
+				idempotencyKey: 'update-order-123'
+			});
 
-				secretGetValueRejects(sinon);
+			assert.deepStrictEqual(getSentKeys(), ['update-order-123', 'update-order-123']);
+		});
 
-				getEndpointStub({
-					baseUrl: 'https://sample-service.janis-test.in',
-					path: '/api/sample-entity',
-					method: 'get'
-				});
+		it('Should let the caller send the key in the request headers', async () => {
 
-				await assert.rejects(() => ms.call('sample-service', 'sample-entity', 'list'), {
-					name: 'MicroServiceCallError',
-					code: MicroServiceCallError.codes.JANIS_SECRET_MISSING,
-					message: 'Microservice failed: Secret is missing'
-				});
+			stubEndpoint('patch');
 
-				assertGetEndpoint('sample-service', 'sample-entity', 'list');
+			nock(host)
+				.patch('/api/sample-entity')
+				.reply(200, {});
+
+			const msWithKeys = new MicroServiceCall({ idempotencyKeys: true });
+
+			const { idempotencyKey } = await msWithKeys.call('sample-service', 'sample-entity', 'patch', { name: 'foo' }, {
+				'x-janis-idempotency-key': 'my-key'
 			});
+
+			assert.deepStrictEqual(idempotencyKey, 'my-key');
+			assert.deepStrictEqual(getSentKeys(), ['my-key']);
 		});
 	});
 
-	describe('Avoid fetch secret on local environment', () => {
+	describe('Fallbacks', () => {
+
+		const host = 'https://sample-service.janis-test.in';
+
+		let fallbackListener;
 
 		beforeEach(() => {
-			process.env.JANIS_ENV = 'local';
+
+			process.env.JANIS_SERVICE_SECRET = 'insecure-secret';
+
+			getEndpointStub({ baseUrl: host, path: '/api/sample-entity', method: 'get' });
+
+			fallbackListener = sinon.spy();
+			MicroServiceCall.events.on('fallback', fallbackListener);
 		});
 
-		it('Should return the correct response object on successful calls adding the secret', async () => {
+		afterEach(() => {
+			MicroServiceCall.events.removeListener('fallback', fallbackListener);
+			nock.cleanAll();
+		});
 
-			const headersResponse = {
-				'content-type': 'application/json'
-			};
+		it('Should resolve the fallback value marked as fallback when the service is unavailable', async () => {
 
-			const mockMsResponse = [{ name: 'foo' }];
+			nock(host)
+				.get('/api/sample-entity')
+				.reply(503, { message: 'Service unavailable' });
 
-			getEndpointStub({
-				baseUrl: 'https://sample-service.janis-test.in',
-				path: '/api/sample-entity',
-				method: 'get'
+			const msWithFallbacks = new MicroServiceCall({ fallbacks: { 'sample-service.sample-entity.get': { id: 'default' } } });
+
+			const response = await msWithFallbacks.call('sample-service', 'sample-entity', 'get');
+
+			assert.deepStrictEqual(response, {
+				headers: {},
+				body: { id: 'default' },
+				isFallback: true
 			});
 
-			const reqheaders = {
-				'content-type': 'application/json',
-				'janis-api-key': 'service-dummy-service',
-				'janis-api-secret': 'local-environment-secret'
-			};
+			sinon.assert.calledOnceWithMatch(fallbackListener, {
+				service: 'sample-service',
+				namespace: 'sample-entity',
+				method: 'get',
+				error: sinon.match({ code: MicroServiceCallError.codes.MICROSERVICE_FAILED, statusCode: 503 })
+			});
+		});
 
-			nock('https://sample-service.janis-test.in', { reqheaders })
+		it('Should resolve the body returned by a fallback function that receives the error', async () => {
+
+			nock(host)
 				.get('/api/sample-entity')
-				.reply(200, mockMsResponse, headersResponse);
+				.replyWithError({ code: 'ECONNRESET', message: 'socket hang up' });
 
-			const data = await ms.call('sample-service', 'sample-entity', 'list');
+			const fallback = sinon.stub().resolves([]);
 
-			assert.deepStrictEqual(data, {
-				statusCode: 200,
-				statusMessage: null,
-				body: mockMsResponse,
-				headers: headersResponse
+			const msWithFallbacks = new MicroServiceCall({ fallbacks: { 'sample-service': fallback } });
+
+			const { body, isFallback } = await msWithFallbacks.call('sample-service', 'sample-entity', 'list');
+
+			assert.deepStrictEqual(body, []);
+			assert.deepStrictEqual(isFallback, true);
+
+			sinon.assert.calledOnceWithMatch(fallback, sinon.match({ code: MicroServiceCallError.codes.REQUEST_LIB_ERROR, message: 'socket hang up' }));
+		});
+
+		it('Should use the most specific fallback of the endpoint', async () => {
+
+			nock(host)
+				.get('/api/sample-entity')
+				.times(3)
+				.reply(500, {});
+
+			const msWithFallbacks = new MicroServiceCall({
+				fallbacks: {
+					'sample-service': 'service',
+					'sample-service.sample-entity': 'namespace',
+					'sample-service.sample-entity.list': null
+				}
 			});
 
-			assertGetEndpoint('sample-service', 'sample-entity', 'list');
+			const list = await msWithFallbacks.call('sample-service', 'sample-entity', 'list');
+			const get = await msWithFallbacks.call('sample-service', 'sample-entity', 'get');
+			const other = await msWithFallbacks.call('sample-service', 'other-entity', 'get');
 
-			secretsNotCalled(sinon);
+			assert.deepStrictEqual([list.body, get.body, other.body], [null, 'namespace', 'service']);
+		});
+
+		it('Should use the fallback when the circuit is open', async () => {
+
+			nock(host)
+				.get('/api/sample-entity')
+				.reply(503, {});
+
+			const msWithFallbacks = new MicroServiceCall({
+				circuitBreaker: { failureThreshold: 1 },
+				fallbacks: { 'sample-service': [] }
+			});
+
+			await msWithFallbacks.call('sample-service', 'sample-entity', 'list');
+
+			const { body, isFallback } = await msWithFallbacks.call('sample-service', 'sample-entity', 'list');
+
+			assert.deepStrictEqual(body, []);
+			assert.deepStrictEqual(isFallback, true);
+
+			sinon.assert.calledWithMatch(fallbackListener, { error: sinon.match({ code: MicroServiceCallError.codes.CIRCUIT_OPEN }) });
+		});
+
+		it('Should reject when the error is not retryable or the endpoint has no fallback', async () => {
+
+			nock(host)
+				.get('/api/sample-entity')
+				.reply(404, { message: 'Not found' })
+				.get('/api/sample-entity')
+				.reply(503, { message: 'Service unavailable' });
+
+			const msWithFallbacks = new MicroServiceCall({ fallbacks: { 'sample-service.sample-entity.get': {} } });
+
+			await assert.rejects(() => msWithFallbacks.call('sample-service', 'sample-entity', 'get'), {
+				code: MicroServiceCallError.codes.MICROSERVICE_FAILED,
+				statusCode: 404
+			});
+
+			await assert.rejects(() => msWithFallbacks.call('sample-service', 'sample-entity', 'list'), {
+				code: MicroServiceCallError.codes.MICROSERVICE_FAILED,
+				statusCode: 503
+			});
+
+			sinon.assert.notCalled(fallbackListener);
+		});
+
+		it('Should not use the fallback in safe mode', async () => {
+
+			nock(host)
+				.get('/api/sample-entity')
+				.reply(503, {});
+
+			const msWithFallbacks = new MicroServiceCall({ fallbacks: { 'sample-service': [] } });
+
+			const { statusCode, isFallback } = await msWithFallbacks.safeCall('sample-service', 'sample-entity', 'list');
+
+			assert.deepStrictEqual(statusCode, 503);
+			assert.deepStrictEqual(isFallback, undefined);
+		});
+
+		it('Should use the fallback once for the whole list instead of the failed page', async () => {
+
+			nock(host)
+				.get('/api/sample-entity')
+				.reply(200, [{ id: 1 }, { id: 2 }])
+				.get('/api/sample-entity')
+				.reply(503, {});
+
+			const msWithFallbacks = new MicroServiceCall({ fallbacks: { 'sample-service.sample-entity.list': [] } });
+
+			const { body, isFallback } = await msWithFallbacks.list('sample-service', 'sample-entity', null, null, 2);
+
+			assert.deepStrictEqual(body, []);
+			assert.deepStrictEqual(isFallback, true);
+
+			sinon.assert.calledOnce(fallbackListener);
+			assert(nock.isDone());
+		});
+
+		it('Should use an object fallback of the service for the whole list', async () => {
+
+			nock(host)
+				.get('/api/sample-entity')
+				.reply(503, {});
+
+			const msWithFallbacks = new MicroServiceCall({ fallbacks: { 'sample-service': { name: 'x' } } });
+
+			const response = await msWithFallbacks.list('sample-service', 'sample-entity');
+
+			assert.deepStrictEqual(response, { headers: {}, body: { name: 'x' }, isFallback: true });
+
+			sinon.assert.calledOnce(fallbackListener);
+		});
+
+		it('Should not request more pages when the fallback is a full page', async () => {
+
+			nock(host)
+				.get('/api/sample-entity')
+				.reply(503, {});
+
+			const msWithFallbacks = new MicroServiceCall({ fallbacks: { 'sample-service': [{ id: 1 }, { id: 2 }] } });
+
+			const { body, isFallback } = await msWithFallbacks.list('sample-service', 'sample-entity', null, null, 2, { concurrency: 2 });
+
+			assert.deepStrictEqual(body, [{ id: 1 }, { id: 2 }]);
+			assert.deepStrictEqual(isFallback, true);
+
+			sinon.assert.calledOnce(fallbackListener);
+			assert(nock.isDone());
+		});
+
+		it('Should not use the fallback when iterating a list', async () => {
+
+			nock(host)
+				.get('/api/sample-entity')
+				.reply(503, {});
+
+			const msWithFallbacks = new MicroServiceCall({ fallbacks: { 'sample-service': [{ id: 1 }, { id: 2 }] } });
+
+			const items = [];
+
+			await assert.rejects(async () => {
+				for await (const item of msWithFallbacks.iterateList('sample-service', 'sample-entity', null, null, 2))
+					items.push(item);
+			}, {
+				code: MicroServiceCallError.codes.MICROSERVICE_FAILED,
+				statusCode: 503
+			});
+
+			assert.deepStrictEqual(items, []);
+			sinon.assert.notCalled(fallbackListener);
+		});
+
+		it('Should reject with the error of the service when getting by ids', async () => {
+
+			nock(host)
+				.get('/api/sample-entity')
+				.query(true)
+				.reply(503, {});
+
+			const msWithFallbacks = new MicroServiceCall({ fallbacks: { 'sample-service': { name: 'x' } } });
+
+			await assert.rejects(() => msWithFallbacks.getByIds('sample-service', 'sample-entity', [1, 2]), {
+				code: MicroServiceCallError.codes.MICROSERVICE_FAILED,
+				statusCode: 503
+			});
+
+			sinon.assert.notCalled(fallbackListener);
+		});
+
+		it('Should not use the fallback for a safe list when the circuit is open', async () => {
+
+			nock(host)
+				.get('/api/sample-entity')
+				.reply(503, {});
+
+			const msWithFallbacks = new MicroServiceCall({
+				circuitBreaker: { failureThreshold: 1 },
+				fallbacks: { 'sample-service': [] }
+			});
+
+			await msWithFallbacks.safeList('sample-service', 'sample-entity');
+
+			await assert.rejects(() => msWithFallbacks.safeList('sample-service', 'sample-entity'), {
+				code: MicroServiceCallError.codes.CIRCUIT_OPEN
+			});
+
+			sinon.assert.notCalled(fallbackListener);
+		});
+
+		it('Should reject with the error of the service when counting', async () => {
+
+			nock(host)
+				.get('/api/sample-entity')
+				.reply(503, {});
+
+			const msWithFallbacks = new MicroServiceCall({ fallbacks: { 'sample-service.sample-entity.list': [] } });
+
+			await assert.rejects(() => msWithFallbacks.count('sample-service', 'sample-entity'), {
+				code: MicroServiceCallError.codes.MICROSERVICE_FAILED,
+				statusCode: 503
+			});
+
+			sinon.assert.notCalled(fallbackListener);
+		});
+
+		it('Should not use the fallback when the fallback option is false', async () => {
+
+			nock(host)
+				.get('/api/sample-entity')
+				.reply(503, {});
+
+			const msWithFallbacks = new MicroServiceCall({ fallbacks: { 'sample-service': [] } });
+
+			await assert.rejects(() => msWithFallbacks.call('sample-service', 'sample-entity', 'list', null, null, null, { fallback: false }), {
+				code: MicroServiceCallError.codes.MICROSERVICE_FAILED,
+				statusCode: 503
+			});
+
+			sinon.assert.notCalled(fallbackListener);
 		});
 	});
 
@@ -1433,6 +5061,139 @@ describe('MicroService call', () => {
 			secretsNotCalled(sinon);
 		});
 
+		it('Should not set the user id in the calls of the instance when the returned one is not used', async () => {
+
+			mockRequest({ ...baseRequestHeaders, 'janis-api-key': 'service-dummy-service' });
+
+			ms.setUserId('5f4adc8f9c4ae13ea8000000');
+
+			await ms.call(...requestArgs);
+
+			assert(nock.isDone());
+		});
+
+		it('Should keep the user id in every call of the returned instance without setting it in the original one', async () => {
+
+			const msAsUser = ms.setUserId('5f4adc8f9c4ae13ea8000000');
+
+			assert.deepStrictEqual(msAsUser.credentialsHeaders['janis-api-key'], 'service-dummy-service_user-5f4adc8f9c4ae13ea8000000');
+			assert.deepStrictEqual(ms.credentialsHeaders['janis-api-key'], 'service-dummy-service');
+
+			mockRequest({ ...baseRequestHeaders, 'janis-api-key': 'service-dummy-service_user-5f4adc8f9c4ae13ea8000000' });
+			mockRequest({ ...baseRequestHeaders, 'janis-api-key': 'service-dummy-service_user-5f4adc8f9c4ae13ea8000000' });
+
+			await msAsUser.call(...requestArgs);
+			await msAsUser.call(...requestArgs);
+
+			assert(nock.isDone());
+
+			mockRequest({ ...baseRequestHeaders, 'janis-api-key': 'service-dummy-service' });
+
+			await ms.call(...requestArgs);
+
+			assert(nock.isDone());
+		});
+
+		it('Should set the user id of a single call with the userId option', async () => {
+
+			mockRequest({ ...baseRequestHeaders, 'janis-api-key': 'service-dummy-service_user-other-user' });
+
+			await ms.setUserId('5f4adc8f9c4ae13ea8000000').call(...requestArgs, { userId: 'other-user' });
+
+			assert(nock.isDone());
+		});
+
+		it('Should not set the user id in the concurrent calls of the original instance', async () => {
+
+			const mockCall = (call, apiKey) => {
+				nock('https://sample-service.janis-test.in', { reqheaders: { ...baseRequestHeaders, 'janis-api-key': apiKey } })
+					.post('/api/alarms/foo/state', { call })
+					.reply(200, {});
+			};
+
+			mockCall(1, 'service-dummy-service');
+			mockCall(2, 'service-dummy-service_user-5f4adc8f9c4ae13ea8000000');
+			mockCall(3, 'service-dummy-service');
+
+			await Promise.all([
+				ms.call('sample-service', 'alarms', 'list', { call: 1 }, null, { alarmName: 'foo' }),
+				ms.setUserId('5f4adc8f9c4ae13ea8000000').call('sample-service', 'alarms', 'list', { call: 2 }, null, { alarmName: 'foo' }),
+				ms.call('sample-service', 'alarms', 'list', { call: 3 }, null, { alarmName: 'foo' })
+			]);
+
+			assert(nock.isDone());
+		});
+
+		it('Should not set the user id in the calls of the original instance started before the call of the returned one', async () => {
+
+			const mockCall = (call, apiKey) => {
+				nock('https://sample-service.janis-test.in', { reqheaders: { ...baseRequestHeaders, 'janis-api-key': apiKey } })
+					.post('/api/alarms/foo/state', { call })
+					.reply(200, {});
+			};
+
+			mockCall(1, 'service-dummy-service');
+			mockCall(2, 'service-dummy-service_user-admin');
+			mockCall(3, 'service-dummy-service_user-other-admin');
+			mockCall(4, 'service-dummy-service');
+
+			const msAsAdmin = ms.setUserId('admin');
+			const msAsOtherAdmin = ms.setUserId('other-admin');
+
+			await Promise.all([
+				ms.call('sample-service', 'alarms', 'list', { call: 1 }, null, { alarmName: 'foo' }),
+				msAsAdmin.call('sample-service', 'alarms', 'list', { call: 2 }, null, { alarmName: 'foo' })
+			]);
+
+			await msAsOtherAdmin.call('sample-service', 'alarms', 'list', { call: 3 }, null, { alarmName: 'foo' });
+			await ms.call('sample-service', 'alarms', 'list', { call: 4 }, null, { alarmName: 'foo' });
+
+			assert(nock.isDone());
+		});
+
+	});
+
+	describe('Concurrent lists in safe and unsafe mode', () => {
+
+		beforeEach(() => {
+			process.env.JANIS_SERVICE_SECRET = 'insecure-secret';
+		});
+
+		it('Should not make a list safe while a safe list of the same instance is in progress', async () => {
+
+			sinon.stub(MicroServiceCall.prototype, '_callService')
+				.resolves({ statusCode: 500, body: { message: 'Service Fails' } });
+
+			const [safeList, list] = await Promise.allSettled([
+				ms.safeList('sample-service', 'sample-entity'),
+				ms.list('sample-service', 'sample-entity')
+			]);
+
+			assert.deepStrictEqual(safeList, { status: 'fulfilled', value: { statusCode: 500, body: { message: 'Service Fails' } } });
+
+			assert.deepStrictEqual(list.status, 'rejected');
+			assert.deepStrictEqual(list.reason.code, MicroServiceCallError.codes.MICROSERVICE_FAILED);
+		});
+
+		it('Should keep a safe list safe when another safe list of the same instance finishes first', async () => {
+
+			sinon.stub(MicroServiceCall.prototype, '_callService')
+				.onCall(0)
+				.resolves({ statusCode: 200, body: [{ id: 1 }] })
+				.onCall(1)
+				.resolves({ statusCode: 200, body: [] })
+				.onCall(2)
+				.resolves({ statusCode: 500, body: { message: 'Service Fails' } });
+
+			const [firstList, secondList] = await Promise.all([
+				ms.safeList('sample-service', 'sample-entity', null, null, 1),
+				ms.safeList('sample-service', 'sample-entity', null, null, 1)
+			]);
+
+			assert.deepStrictEqual(secondList.body, []);
+			assert.deepStrictEqual(firstList.statusCode, 500);
+		});
+
 	});
 
 	describe('Discovery service fails', () => {
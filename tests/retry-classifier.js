@@ -0,0 +1,113 @@
+'use strict';
+
+const assert = require('assert');
+
+const RetryClassifier = require('../lib/retry-classifier');
+const MicroServiceCallError = require('../lib/microservice-call-error');
+
+describe('RetryClassifier', () => {
+
+	const failedError = (statusCode, message, code = MicroServiceCallError.codes.MICROSERVICE_FAILED) => new MicroServiceCallError(
+		`Microservice failed (${statusCode}): ${message}`,
+		code,
+		statusCode
+	);
+
+	const networkError = code => {
+		const error = new Error('Network error');
+		error.code = code;
+		return new MicroServiceCallError(error, MicroServiceCallError.codes.REQUEST_LIB_ERROR);
+	};
+
+	it('Should expose the default rules', () => {
+		assert.deepStrictEqual(RetryClassifier.defaultRules.retryStatusCodes, ['5xx', 429]);
+		assert.deepStrictEqual(RetryClassifier.defaultRules.retryUnknownErrors, true);
+	});
+
+	describe('Status codes', () => {
+
+		it('Should retry the server errors and throttled requests by default', () => {
+
+			const retryClassifier = new RetryClassifier();
+
+			assert(retryClassifier.shouldRetry({ statusCode: 500 }));
+			assert(retryClassifier.shouldRetry({ statusCode: 503, body: { message: 'Service unavailable' } }));
+			assert(retryClassifier.shouldRetry(failedError(429, 'Too Many Requests', MicroServiceCallError.codes.TOO_MANY_REQUESTS)));
+
+			assert(!retryClassifier.shouldRetry({ statusCode: 404 }));
+			assert(!retryClassifier.shouldRetry(failedError(400, 'Invalid filter')));
+		});
+
+		it('Should retry only the configured status codes and classes', () => {
+
+			const retryClassifier = new RetryClassifier({ retryStatusCodes: [502, 503, '4xx'] });
+
+			assert(retryClassifier.shouldRetry({ statusCode: 502 }));
+			assert(retryClassifier.shouldRetry({ statusCode: 409 }));
+
+			assert(!retryClassifier.shouldRetry({ statusCode: 500 }));
+			assert(!retryClassifier.shouldRetry({ statusCode: 504 }));
+		});
+	});
+
+	describe('Messages', () => {
+
+		it('Should not retry the messages that match exactly a string or a regular expression', () => {
+
+			const retryClassifier = new RetryClassifier({ noRetryMessages: ['Duplicated order', /^Invalid/] });
+
+			assert(!retryClassifier.shouldRetry({ statusCode: 500, body: { message: 'Duplicated order' } }));
+			assert(!retryClassifier.shouldRetry(failedError(500, 'Invalid status')));
+
+			assert(retryClassifier.shouldRetry({ statusCode: 500, body: { message: 'Duplicated order 10' } }));
+			assert(retryClassifier.shouldRetry(failedError(500, 'Status is Invalid')));
+			assert(retryClassifier.shouldRetry({ statusCode: 500, body: { message: { code: 'Invalid' } } }));
+		});
+
+		it('Should read the whole message of the error even when it has parentheses', () => {
+
+			const retryClassifier = new RetryClassifier({ noRetryMessages: ['Invalid client (sample-client)'] });
+
+			assert(!retryClassifier.shouldRetry(failedError(500, 'Invalid client (sample-client)')));
+			assert(retryClassifier.shouldRetry(failedError(500, 'Invalid client')));
+		});
+
+		it('Should retry the errors with status code that do not come from a failed response', () => {
+
+			const retryClassifier = new RetryClassifier({ noRetryMessages: [/./] });
+
+			assert(retryClassifier.shouldRetry(new MicroServiceCallError('Gateway error', MicroServiceCallError.codes.REQUEST_LIB_ERROR, 502)));
+		});
+	});
+
+	describe('Error codes', () => {
+
+		it('Should not retry the configured error codes', () => {
+
+			const retryClassifier = new RetryClassifier({ noRetryErrorCodes: [MicroServiceCallError.codes.TIMEOUT] });
+
+			assert(!retryClassifier.shouldRetry(new MicroServiceCallError('Request timed out after 100ms', MicroServiceCallError.codes.TIMEOUT)));
+			assert(retryClassifier.shouldRetry(new MicroServiceCallError('Request aborted', MicroServiceCallError.codes.ABORTED)));
+		});
+
+		it('Should retry the network errors even when unknown errors are not retried', () => {
+
+			const retryClassifier = new RetryClassifier({ retryUnknownErrors: false });
+
+			assert(retryClassifier.shouldRetry(networkError('ECONNRESET')));
+			assert(retryClassifier.shouldRetry(Object.assign(new Error('getaddrinfo EAI_AGAIN'), { code: 'EAI_AGAIN' })));
+
+			assert(!retryClassifier.shouldRetry(networkError('ECONNREFUSED')));
+			assert(!retryClassifier.shouldRetry(new MicroServiceCallError('Unknown', MicroServiceCallError.codes.REQUEST_LIB_ERROR)));
+			assert(!retryClassifier.shouldRetry());
+		});
+
+		it('Should retry the configured network errors only', () => {
+
+			const retryClassifier = new RetryClassifier({ networkErrorCodes: ['ECONNREFUSED'], retryUnknownErrors: false });
+
+			assert(retryClassifier.shouldRetry(networkError('ECONNREFUSED')));
+			assert(!retryClassifier.shouldRetry(networkError('ECONNRESET')));
+		});
+	});
+});